@@ -13,6 +13,13 @@ ln -s "/tmp/mongodb-linux-x86_64-${MONGODB_VERSION}/bin/mongo" /tmp/usr/bin/mong
 ln -s "/tmp/mongodb-linux-x86_64-${MONGODB_VERSION}/bin/mongod" /tmp/usr/bin/mongod
 ln -s "/tmp/mongodb-linux-x86_64-${MONGODB_VERSION}/bin/mongoimport" /tmp/usr/bin/mongoimport
 
+wget "https://get.enterprisedb.com/postgresql/postgresql-${POSTGRESQL_VERSION}-linux-x64-binaries.tar.gz"
+mkdir -p "/tmp/postgresql-${POSTGRESQL_VERSION}"
+tar xfz "postgresql-${POSTGRESQL_VERSION}-linux-x64-binaries.tar.gz" -C "/tmp/postgresql-${POSTGRESQL_VERSION}"
+
+ln -s "/tmp/postgresql-${POSTGRESQL_VERSION}/pgsql/bin/initdb" /tmp/usr/bin/initdb
+ln -s "/tmp/postgresql-${POSTGRESQL_VERSION}/pgsql/bin/pg_ctl" /tmp/usr/bin/pg_ctl
+
 npm i -g node-qunit-phantomjs
 
 popd
@@ -3,18 +3,20 @@
 const ACL = require('acl');
 
 const constants = require('./constants');
-const dbConn    = require('./db_conn');
+const storage   = require('./storage');
 
 // if (opts.get('acls')) {
-let p_acl = dbConn.p_db.then((db) => {
-  /* eslint-disable new-cap */
-  let acl = new ACL(new ACL.mongodbBackend(db, constants.ACL_BACKEND_PREFIX));
-  /* eslint-enable new-cap */
-
-  return acl;
+let p_acl = storage.provide().aclBackend().then((backend) => {
+  return new ACL(backend);
 });
 // }
 
+let unauthorised = (user, description) => {
+  let unauth = new Error(user + ' is not allowed to perform ' + description);
+  unauth.statusCode = 403;
+  return unauth;
+};
+
 let aclMiddleware = (resource, actions) => {
   return (req, res, next) => {
     if ( p_acl ) {
@@ -31,10 +33,7 @@ let aclMiddleware = (resource, actions) => {
           } else if ( acl_result ) {
             next();
           } else {
-            let unauth = new Error(user + ' is not allowed to perform ' +
-                                   JSON.stringify(actions) + ' on ' + resource);
-            unauth.statusCode = 403;
-            next(unauth);
+            next(unauthorised(user, JSON.stringify(actions) + ' on ' + resource));
           }
         });
       });
@@ -44,5 +43,59 @@ let aclMiddleware = (resource, actions) => {
   };
 };
 
+/**
+ * Resources for the groups of a user, of which members of delegated roles
+ * may manage the tokens. Users who are unknown or no longer current have
+ * none.
+ * @param {String} user
+ * @return {Promise} Fulfills with an Array of resource names.
+ */
+let groupResources = (user) => {
+  return storage.provide().findUsers([user]).then((docs) => {
+    if (docs.length !== 1 || docs[0].current === false) {
+      return [];
+    }
+    return (docs[0].groups || []).map((group) => {
+      return constants.ACL_RESOURCE_GROUP_PREFIX + group;
+    });
+  });
+};
+
+/**
+ * Builds middleware which allows a request if the user is allowed any one
+ * of several permissions, as needed by delegated roles.
+ * @param {Function} resolve - called with the request and the acl. Must
+ *   return an Array, or a Promise of one, of permissions of form
+ *   [resource, actions].
+ * @return {Function}
+ */
+let anyOf = (resolve) => {
+  return (req, res, next) => {
+    let user = req.headers[constants.USER_ID_HEADER];
+    if (!user) {
+      let err = new Error('User was not authenticated');
+      err.statusCode = 401;
+      return next(err);
+    }
+    let permissions;
+    p_acl.then((acl) => {
+      return Promise.resolve(resolve(req, acl)).then((resolved) => {
+        permissions = resolved;
+        return Promise.all(permissions.map((permission) => {
+          return acl.isAllowed(user, permission[0], permission[1]);
+        }));
+      });
+    }).then((results) => {
+      if (results.some(Boolean)) {
+        next();
+      } else {
+        next(unauthorised(user, 'any of ' + JSON.stringify(permissions)));
+      }
+    }, next);
+  };
+};
+
 module.exports = aclMiddleware;
 module.exports.p_acl = p_acl;
+module.exports.anyOf = anyOf;
+module.exports.groupResources = groupResources;
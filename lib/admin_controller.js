@@ -1,61 +1,363 @@
 "use strict";
 
-const assert = require('assert');
-const path   = require('path');
+const assert     = require('assert');
+const path       = require('path');
+const bodyParser = require('body-parser');
 
 const acl_mid     = require('./acl_mid');
+const audit       = require('./audit');
 const constants   = require('./constants');
+const metrics     = require('./metrics');
 const model       = require('./model');
+const roles       = require('./roles');
 const sentryUtils = require('./sentry_utils');
+const userImport  = require('./user_import');
+
+/**
+ * Reads filters for audit events from the query string of a request.
+ * @private
+ * @param {express.Request} req
+ * @return {Object|Error} filters for {@link module:lib/audit.query}, or an
+ *   Error with statusCode 400 if a parameter is malformed
+ */
+function readAuditFilters(req) {
+  let filters = {};
+  try {
+    ['event', 'actor', 'target'].forEach(function(name) {
+      if (req.query[name] !== undefined) {
+        assert(typeof req.query[name] === 'string', `${name} must be a string`);
+        filters[name] = req.query[name];
+      }
+    });
+    ['from', 'to'].forEach(function(name) {
+      if (req.query[name] !== undefined) {
+        let time = new Date(req.query[name]);
+        assert(!isNaN(time.getTime()), `${name} must be a time`);
+        filters[name] = time;
+      }
+    });
+    readPagination(req.query, filters);
+  } catch (e) {
+    e.statusCode = 400;
+    return e;
+  }
+  return filters;
+}
+
+/**
+ * Reads offset and limit parameters for pagination.
+ * @private
+ * @param {Object} params - query string or body of a request
+ * @param {Object} filters - to which offset and limit are added
+ * @throws external:assert.AssertionError
+ */
+function readPagination(params, filters) {
+  if (params.offset !== undefined) {
+    filters.offset = Number(params.offset);
+    assert(Number.isInteger(filters.offset) && filters.offset >= 0,
+      'offset must be a non-negative integer');
+  }
+  if (params.limit !== undefined) {
+    filters.limit = Number(params.limit);
+    assert(Number.isInteger(filters.limit) && filters.limit > 0,
+      'limit must be a positive integer');
+  }
+}
+
+/**
+ * Parameters for the criteria shared by token searches and bulk
+ * revocations.
+ * @private
+ */
+const TOKEN_CRITERIA = [
+  'user', 'group', 'operator', 'reason',
+  'created_from', 'created_to', 'expires_from', 'expires_to',
+];
+
+/**
+ * Reads the criteria shared by token searches and bulk revocations.
+ * @private
+ * @param {Object} params - query string or body of a request
+ * @param {Object} filters - to which the criteria are added
+ * @throws external:assert.AssertionError
+ */
+function readTokenCriteria(params, filters) {
+  ['user', 'group', 'operator', 'reason'].forEach(function(name) {
+    if (params[name] !== undefined) {
+      assert(typeof params[name] === 'string', `${name} must be a string`);
+      filters[name] = params[name];
+    }
+  });
+  [
+    ['created_from', 'createdFrom'],
+    ['created_to',   'createdTo'],
+    ['expires_from', 'expiresFrom'],
+    ['expires_to',   'expiresTo'],
+  ].forEach(function(names) {
+    if (params[names[0]] !== undefined) {
+      let time = new Date(params[names[0]]);
+      assert(!isNaN(time.getTime()), `${names[0]} must be a time`);
+      filters[names[1]] = time;
+    }
+  });
+}
+
+/**
+ * Reads filters for tokens from the query string of a request.
+ * @private
+ * @param {express.Request} req
+ * @return {Object|Error} filters for {@link module:lib/model.searchTokens},
+ *   or an Error with statusCode 400 if a parameter is malformed
+ */
+function readTokenFilters(req) {
+  let filters = {};
+  try {
+    if (req.query.status !== undefined) {
+      assert(typeof req.query.status === 'string', 'status must be a string');
+      filters.status = req.query.status;
+    }
+    readTokenCriteria(req.query, filters);
+    if (req.query.sort !== undefined) {
+      assert(['created', 'expires', 'user', 'status'].indexOf(req.query.sort) >= 0,
+        'sort must be one of created, expires, user or status');
+      filters.sort = req.query.sort;
+    }
+    if (req.query.order !== undefined) {
+      assert(['asc', 'desc'].indexOf(req.query.order) >= 0, 'order must be asc or desc');
+      filters.order = req.query.order;
+    }
+    readPagination(req.query, filters);
+  } catch (e) {
+    e.statusCode = 400;
+    return e;
+  }
+  return filters;
+}
+
+/**
+ * Reads a bulk revocation from the body of a request.
+ * @private
+ * @param {express.Request} req
+ * @return {Object|Error} an Object of form
+ *   {filters, criteria, justification, preview, expected, pagination}, where
+ *   criteria are the filters as given, or an Error with statusCode 400 if
+ *   the body is malformed, has no criteria or has an empty one
+ */
+function readBulkRevocation(req) {
+  let revocation = {filters: {}, criteria: {}, pagination: {}};
+  try {
+    assert(req.body, 'Request is missing a body');
+    readTokenCriteria(req.body, revocation.filters);
+    TOKEN_CRITERIA.forEach(function(name) {
+      if (req.body[name] !== undefined) {
+        // An empty criterion would be dropped, matching more tokens than
+        // were asked for
+        assert(req.body[name] !== '', `${name} must not be empty`);
+        revocation.criteria[name] = req.body[name];
+      }
+    });
+    // No criteria match every token
+    assert(Object.keys(revocation.filters).some(function(name) {
+      return revocation.filters[name];
+    }), 'Request body must have at least one of ' + TOKEN_CRITERIA.join(', '));
+    revocation.preview = Boolean(req.body.preview);
+    if (revocation.preview) {
+      readPagination(req.body, revocation.pagination);
+    } else {
+      assert(typeof req.body.justification === 'string' && req.body.justification.trim(),
+        'Request body is missing a justification entry');
+      revocation.justification = req.body.justification;
+    }
+    if (req.body.expected !== undefined) {
+      assert(Number.isInteger(req.body.expected) && req.body.expected >= 0,
+        'expected must be a non-negative integer');
+      revocation.expected = req.body.expected;
+    }
+  } catch (e) {
+    e.statusCode = 400;
+    return e;
+  }
+  return revocation;
+}
+
+/**
+ * Builds middleware which allows an action on the tokens of the user named
+ * by the username parameter to administrators, to delegated roles allowed
+ * the action on the tokens resource and, if byGroup, to delegated roles
+ * allowed it on a group of which the user is a member.
+ * @private
+ * @param {String} adminAction - action needed on the /admin resource
+ * @param {String} action - action needed on the tokens or group resource
+ * @param {Boolean} byGroup
+ * @return {Function}
+ */
+function allowedOnTokens(adminAction, action, byGroup) {
+  return acl_mid.anyOf(function(req) {
+    let permissions = [
+      [constants.ACL_RESOURCE_ADMIN, adminAction],
+      [constants.ACL_RESOURCE_TOKENS, action],
+    ];
+    if (!byGroup) {
+      return permissions;
+    }
+    return acl_mid.groupResources(req.params.username).then(function(resources) {
+      return permissions.concat(resources.map(function(resource) {
+        return [resource, action];
+      }));
+    });
+  });
+}
+
+/**
+ * Middleware which allows only administrators to create a token beyond the
+ * quotas of its owner.
+ * @private
+ */
+let allowedToOverride = (function(administrators) {
+  return (req, res, next) => {
+    if (!req.body || !req.body.override) {
+      return next();
+    }
+    administrators(req, res, next);
+  };
+})(acl_mid(constants.ACL_RESOURCE_ADMIN, constants.ACL_ACTION_POST));
+
+/**
+ * Middleware which allows administrators, and delegated roles allowed to
+ * view the tokens of every user, to search all tokens.
+ * @private
+ */
+let allowedToViewTokens = acl_mid.anyOf(function() {
+  return [
+    [constants.ACL_RESOURCE_ADMIN, constants.ACL_ACTION_VIEW],
+    [constants.ACL_RESOURCE_TOKENS, constants.ACL_ACTION_VIEW],
+  ];
+});
+
+/**
+ * Middleware which allows users with any permission, of any role, to see
+ * the admin landing page.
+ * @private
+ */
+let allowedAnything = acl_mid.anyOf(function(req, acl) {
+  return acl.userRoles(req.headers[constants.USER_ID_HEADER]).then(function(userRoles) {
+    return userRoles.length ? acl.whatResources(userRoles) : {};
+  }).then(function(resources) {
+    return Object.keys(resources).map(function(resource) {
+      return [resource, resources[resource]];
+    });
+  });
+});
+
+/**
+ * Reads a permission, of form {resource, actions}, from the body of a
+ * request.
+ * @private
+ * @param {express.Request} req
+ * @return {Object|Error} the permission, or an Error with statusCode 400 if
+ *   the body has no resource or actions
+ */
+function readPermission(req) {
+  try {
+    assert(req.body, 'Request is missing a body');
+    assert(req.body.resource, 'Request body is missing a resource entry');
+    assert(req.body.actions, 'Request body is missing an actions entry');
+  } catch (e) {
+    e.statusCode = 400;
+    return e;
+  }
+  return {resource: req.body.resource, actions: req.body.actions};
+}
+
+/**
+ * Reads a user from the body of a request.
+ * @private
+ * @param {express.Request} req
+ * @return {String|Error} the user, or an Error with statusCode 400 if the
+ *   body has no user
+ */
+function readUser(req) {
+  try {
+    assert(req.body, 'Request is missing a body');
+    assert(req.body.user, 'Request body is missing a user entry');
+  } catch (e) {
+    e.statusCode = 400;
+    return e;
+  }
+  return req.body.user;
+}
 
 module.exports.setup = function( app ) {
 
   app.post('/admin/user/:username/createToken',
-    acl_mid('/admin', constants.ACL_ACTION_POST),
+    allowedOnTokens(constants.ACL_ACTION_POST, constants.ACL_ACTION_CREATE, false),
+    allowedToOverride,
     function(req, res, next) {
       let user = req.headers[constants.USER_ID_HEADER];
       let targetUser = req.params.username;
       let reason = req.body.reason;
+      let lifetime = sentryUtils.readLifetime(req);
+      if (lifetime instanceof Error) {
+        return next(lifetime);
+      }
+      let scopes = sentryUtils.readScopes(req);
+      if (scopes instanceof Error) {
+        return next(scopes);
+      }
+      let override = sentryUtils.readOverride(req);
+      if (override instanceof Error) {
+        return next(override);
+      }
       model.createToken(
         targetUser, // token owner
         user,       // application user
-        reason ? reason : 'Created by admin ' + user + ' via admin interface'
+        reason ? reason : 'Created by admin ' + user + ' via admin interface',
+        {lifetime, scopes, override}
       ).then(function(response) {
+        let details = {hash: response.hash};
+        if (override) {
+          details.override = true;
+        }
+        audit.recordAfter(req, constants.AUDIT_TOKEN_CREATE, targetUser, details);
         sentryUtils.dispatchSuccess(res, response);
       }, next);
     }
   );
 
   app.post('/admin/user/:username/revokeToken',
-    acl_mid('/admin', constants.ACL_ACTION_POST),
+    allowedOnTokens(constants.ACL_ACTION_POST, constants.ACL_ACTION_REVOKE, true),
     function(req, res, next) {
       let user = req.headers[constants.USER_ID_HEADER];
       let targetUser = req.params.username;
 
-      let token = sentryUtils.readToken(req);
-      if (token instanceof Error) {
-        return next(token);
+      let hash = sentryUtils.readTokenHash(req);
+      if (hash instanceof Error) {
+        return next(hash);
       }
 
       model.revokeToken(
         targetUser, // token owner
         user,       // application user
-        token,
+        hash,
         // TODO move this somewhere more helpful; probably constants?
         'Revoked by admin ' + user + ' via admin interface'
       ).then(function(response) {
+        audit.recordAfter(req, constants.AUDIT_TOKEN_REVOKE, targetUser, {hash});
         sentryUtils.dispatchSuccess(res, response);
       }, next);
     }
   );
 
   app.get('/admin/user/:username/listTokens',
-    acl_mid('/admin', constants.ACL_ACTION_VIEW),
+    allowedOnTokens(constants.ACL_ACTION_VIEW, constants.ACL_ACTION_VIEW, true),
     function(req, res, next) {
       let targetUser = req.params.username;
 
-      model.listTokens(targetUser).then(function(docs) {
-        sentryUtils.dispatchSuccess(res, docs);
+      Promise.all([
+        model.listTokens(targetUser), model.tokenUsage(targetUser)
+      ]).then(function(results) {
+        sentryUtils.setTokenUsage(res, results[1]);
+        sentryUtils.dispatchSuccess(res, results[0]);
       }, next);
     }
   );
@@ -63,14 +365,14 @@ module.exports.setup = function( app ) {
   // this is a resource, so should have a trailing slash
   // (this allows relative urls to work)
   app.get('/admin/user/:username',
-    acl_mid('/admin', constants.ACL_ACTION_VIEW),
+    allowedOnTokens(constants.ACL_ACTION_VIEW, constants.ACL_ACTION_VIEW, true),
     function(req, res) {
       res.redirect(`/admin/user/${req.params.username}/`);
     }
   );
 
   app.get('/admin/user/:username/',
-    acl_mid('/admin', constants.ACL_ACTION_VIEW),
+    allowedOnTokens(constants.ACL_ACTION_VIEW, constants.ACL_ACTION_VIEW, true),
     function(req, res) {
       res.status(200).render(path.join(__dirname, '../sentry/views', 'admin'), {
         user: req.params.username,
@@ -95,6 +397,7 @@ module.exports.setup = function( app ) {
       acl_mid.p_acl.then((acl) => {
         return acl.addUserRoles(user, constants.ACL_ROLE_ADMINISTRATOR);
       }).then(() => {
+        audit.recordAfter(req, constants.AUDIT_ADMIN_GRANT, user);
         res.sendStatus(200);
       }, next);
     }
@@ -123,11 +426,292 @@ module.exports.setup = function( app ) {
       acl_mid.p_acl.then((acl) => {
         return acl.removeUserRoles(targetUser, constants.ACL_ROLE_ADMINISTRATOR);
       }).then(() => {
+        audit.recordAfter(req, constants.AUDIT_ADMIN_REMOVE, targetUser);
         res.sendStatus(200);
       }, next);
     }
   );
 
+  app.get('/admin/manage/roles',
+    acl_mid('/admin', constants.ACL_ACTION_VIEW),
+    function(req, res, next) {
+      // Returns every role, with the actions it is allowed on each resource
+      // and its users, as application/json [{role, permissions, users}]
+      roles.list().then(function(result) {
+        sentryUtils.dispatchSuccess(res, result);
+      }, next);
+    }
+  );
+
+  app.get('/admin/manage/roles/',
+    acl_mid('/admin', constants.ACL_ACTION_VIEW),
+    function(req, res) {
+      res.status(200).render(path.join(__dirname, '../sentry/views', 'admin-roles'), {
+        baseurl: req.relativeRoot,
+      });
+    }
+  );
+
+  app.delete('/admin/manage/roles/:role',
+    acl_mid('/admin', constants.ACL_ACTION_POST),
+    function(req, res, next) {
+      let role = req.params.role;
+      roles.remove(role).then(() => {
+        audit.recordAfter(req, constants.AUDIT_ROLE_REMOVE, null, {role});
+        res.sendStatus(200);
+      }, next);
+    }
+  );
+
+  app.put('/admin/manage/roles/:role/permissions',
+    acl_mid('/admin', constants.ACL_ACTION_POST),
+    function(req, res, next) {
+      let role = req.params.role;
+      let permission = readPermission(req);
+      if (permission instanceof Error) {
+        return next(permission);
+      }
+      roles.allow(role, permission.resource, permission.actions).then(() => {
+        audit.recordAfter(req, constants.AUDIT_ROLE_ALLOW, null, {
+          role, resource: permission.resource, actions: permission.actions
+        });
+        res.sendStatus(200);
+      }, next);
+    }
+  );
+
+  app.delete('/admin/manage/roles/:role/permissions',
+    acl_mid('/admin', constants.ACL_ACTION_POST),
+    function(req, res, next) {
+      let role = req.params.role;
+      let permission = readPermission(req);
+      if (permission instanceof Error) {
+        return next(permission);
+      }
+      roles.disallow(role, permission.resource, permission.actions).then(() => {
+        audit.recordAfter(req, constants.AUDIT_ROLE_DISALLOW, null, {
+          role, resource: permission.resource, actions: permission.actions
+        });
+        res.sendStatus(200);
+      }, next);
+    }
+  );
+
+  app.put('/admin/manage/roles/:role/users',
+    acl_mid('/admin', constants.ACL_ACTION_POST),
+    function(req, res, next) {
+      let role = req.params.role;
+      let targetUser = readUser(req);
+      if (targetUser instanceof Error) {
+        return next(targetUser);
+      }
+      roles.grant(role, targetUser).then(() => {
+        audit.recordAfter(req, constants.AUDIT_ROLE_GRANT, targetUser, {role});
+        res.sendStatus(200);
+      }, next);
+    }
+  );
+
+  app.delete('/admin/manage/roles/:role/users',
+    acl_mid('/admin', constants.ACL_ACTION_POST),
+    function(req, res, next) {
+      let user = req.headers[constants.USER_ID_HEADER];
+      let role = req.params.role;
+      let targetUser = readUser(req);
+      if (targetUser instanceof Error) {
+        return next(targetUser);
+      }
+
+      if (user === targetUser && role === constants.ACL_ROLE_ADMINISTRATOR) {
+        let e = new Error("Can't remove yourself from admins");
+        e.statusCode = 400;
+        return next(e);
+      }
+
+      roles.withdraw(role, targetUser).then(() => {
+        audit.recordAfter(req, constants.AUDIT_ROLE_WITHDRAW, targetUser, {role});
+        res.sendStatus(200);
+      }, next);
+    }
+  );
+
+  app.post('/admin/users/import',
+    acl_mid('/admin', constants.ACL_ACTION_POST),
+    // The whole list of users, as printed by access_control_groups.pl,
+    // is larger than a JSON body is allowed to be elsewhere
+    bodyParser.json({limit: '10mb'}),
+    bodyParser.text({type: ['text/*', 'application/x-ndjson'], limit: '10mb'}),
+    function(req, res, next) {
+      // Imports the users in the body, as JSON lines of form
+      // {user, groups, current, last_modified}, or as a JSON Array of them.
+      // With the dryrun query parameter, reports the changes without making
+      // them. Responds with {added, removed, changed, unchanged}.
+      let records;
+      try {
+        assert(typeof req.body === 'string' || req.body instanceof Array,
+          'Request body must be JSON lines or a JSON Array of users');
+        records = userImport.parse(req.body);
+      } catch (e) {
+        e.statusCode = 400;
+        return next(e);
+      }
+      let dryRun = req.query.dryrun !== undefined && req.query.dryrun !== 'false';
+
+      userImport.run(records, {dryRun}).then(function(summary) {
+        if (dryRun) {
+          return summary;
+        }
+        audit.recordAfter(req, constants.AUDIT_USERS_IMPORT, null, {
+          added:   summary.added.length,
+          removed: summary.removed.length,
+          changed: summary.changed.length,
+        });
+        return summary;
+      }).then(function(summary) {
+        sentryUtils.dispatchSuccess(res, summary);
+      }, next);
+    }
+  );
+
+  app.get('/admin/audit',
+    acl_mid('/admin', constants.ACL_ACTION_VIEW),
+    function(req, res, next) {
+      // Returns audit events matching the optional query parameters event,
+      // actor, target, from and to (ISO 8601 times), most recent first, as
+      // application/json {total, offset, limit, events}. Paginated with the
+      // offset and limit query parameters.
+      let filters = readAuditFilters(req);
+      if (filters instanceof Error) {
+        return next(filters);
+      }
+
+      audit.query(filters).then(function(result) {
+        sentryUtils.dispatchSuccess(res, result);
+      }, next);
+    }
+  );
+
+  app.get('/admin/audit/',
+    acl_mid('/admin', constants.ACL_ACTION_VIEW),
+    function(req, res) {
+      res.status(200).render(path.join(__dirname, '../sentry/views', 'admin-audit'), {
+        baseurl: req.relativeRoot,
+      });
+    }
+  );
+
+  app.get('/admin/tokens',
+    allowedToViewTokens,
+    function(req, res, next) {
+      // Returns the tokens of every user matching the optional query
+      // parameters status, user, operator (who created the token), reason
+      // (text in any reason of its history), created_from, created_to,
+      // expires_from and expires_to (ISO 8601 times), as application/json
+      // {total, offset, limit, tokens}. Sorted by the sort parameter,
+      // created (default), expires, user or status, in the order asc or desc
+      // (default), and paginated with the offset and limit query parameters.
+      let filters = readTokenFilters(req);
+      if (filters instanceof Error) {
+        return next(filters);
+      }
+
+      model.searchTokens(filters).then(function(result) {
+        sentryUtils.dispatchSuccess(res, result);
+      }, next);
+    }
+  );
+
+  app.post('/admin/tokens/revoke',
+    acl_mid.anyOf(function(req) {
+      // The permissions depend on the group of the revocation, so one which
+      // is malformed is refused first
+      let revocation = readBulkRevocation(req);
+      if (revocation instanceof Error) {
+        throw revocation;
+      }
+      let permissions = [
+        [constants.ACL_RESOURCE_ADMIN, constants.ACL_ACTION_POST],
+        [constants.ACL_RESOURCE_TOKENS, constants.ACL_ACTION_REVOKE],
+      ];
+      // Only tokens of members of the group can match
+      if (revocation.filters.group) {
+        permissions.push([
+          constants.ACL_RESOURCE_GROUP_PREFIX + revocation.filters.group, constants.ACL_ACTION_REVOKE
+        ]);
+      }
+      return permissions;
+    }),
+    function(req, res, next) {
+      // Revokes every valid token matching the criteria in the body, as for
+      // /admin/tokens with group for members of a group, giving each the
+      // justification. With preview, responds with the matching tokens as
+      // for /admin/tokens instead. With expected, revokes nothing unless that
+      // many tokens match. Responds with {matched, revoked, changed}.
+      let user = req.headers[constants.USER_ID_HEADER];
+      let revocation = readBulkRevocation(req);
+      if (revocation instanceof Error) {
+        return next(revocation);
+      }
+
+      if (revocation.preview) {
+        let filters = Object.assign(
+          {status: constants.TOKEN_STATUS_VALID}, revocation.filters, revocation.pagination
+        );
+        return model.searchTokens(filters).then(function(result) {
+          sentryUtils.dispatchSuccess(res, result);
+        }, next);
+      }
+
+      model.revokeTokens(
+        revocation.filters, user, revocation.justification, revocation.expected
+      ).then(function(counts) {
+        audit.recordAfter(req, constants.AUDIT_TOKENS_BULK_REVOKE, null, {
+          criteria:      revocation.criteria,
+          justification: revocation.justification,
+          matched:       counts.matched,
+          revoked:       counts.revoked,
+        });
+        sentryUtils.dispatchSuccess(res, counts);
+      }, next);
+    }
+  );
+
+  app.get('/admin/tokens/revoke/',
+    acl_mid.anyOf(function() {
+      return [
+        [constants.ACL_RESOURCE_ADMIN, constants.ACL_ACTION_POST],
+        [constants.ACL_RESOURCE_TOKENS, constants.ACL_ACTION_REVOKE],
+      ];
+    }),
+    function(req, res) {
+      res.status(200).render(path.join(__dirname, '../sentry/views', 'admin-bulk-revoke'), {
+        baseurl: req.relativeRoot,
+      });
+    }
+  );
+
+  app.get('/admin/tokens/',
+    allowedToViewTokens,
+    function(req, res) {
+      res.status(200).render(path.join(__dirname, '../sentry/views', 'admin-tokens'), {
+        baseurl: req.relativeRoot,
+      });
+    }
+  );
+
+  app.get('/metrics',
+    acl_mid('/admin', constants.ACL_ACTION_VIEW),
+    function(req, res, next) {
+      // Returns the metrics of the server in the Prometheus text format,
+      // with the number of active and expired tokens counted now.
+      model.countTokens().then(function(counts) {
+        metrics.tokens.set({state: 'active'}, counts.active);
+        metrics.tokens.set({state: 'expired'}, counts.expired);
+        res.status(200).set('Content-Type', metrics.CONTENT_TYPE).send(metrics.format());
+      }, next);
+    }
+  );
+
   app.get('/admin/manage',
     acl_mid('/admin', constants.ACL_ACTION_VIEW),
     function(req, res) {
@@ -154,14 +738,14 @@ module.exports.setup = function( app ) {
   // this is a resource, so should have a trailing slash
   // (this allows relative urls to work)
   app.get('/admin',
-    acl_mid('/admin', constants.ACL_ACTION_VIEW),
+    allowedAnything,
     function(req, res) {
       res.redirect('/admin/');
     }
   );
 
   app.get('/admin/',
-    acl_mid('/admin', constants.ACL_ACTION_VIEW),
+    allowedAnything,
     function(req, res) {
       let user = req.headers[constants.USER_ID_HEADER];
       // logger.info('admin page for ', user);
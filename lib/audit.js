@@ -0,0 +1,138 @@
+'use strict';
+
+/**
+ * Append-only log of token and access control operations. Unlike the history
+ * embedded in each token, the log also records denied validations and
+ * changes to administrators, and can be searched across users. Events are
+ * numbered in order by their seq field, and form a hash chain, see
+ * {@link module:lib/chain}.
+ * @module lib/audit
+ * @copyright 2017 Genome Research Ltd
+ * @author Andrew Nowak
+ */
+
+const chain       = require('./chain.js');
+const constants   = require('./constants.js');
+const logger      = require('./logger.js');
+const sentryUtils = require('./sentry_utils.js');
+const storage     = require('./storage.js');
+
+/**
+ * Number of events returned by a query if no limit is requested.
+ * @const
+ * @default
+ * @type {Number}
+ */
+const DEFAULT_LIMIT = 50;
+
+/**
+ * Largest number of events returned by a query.
+ * @const
+ * @default
+ * @type {Number}
+ */
+const MAX_LIMIT = 500;
+
+/**
+ * Fulfills once the events recorded so far by this process are stored.
+ * @private
+ */
+let p_appended = Promise.resolve();
+
+/**
+ * Records an event. The actor, client address and client certificate are
+ * taken from the request. Events are stored one at a time, in the order
+ * they are recorded, so that they do not contend for the same seq.
+ * @alias module:lib/audit.record
+ * @param {express.Request} req - request which caused the event
+ * @param {String} event - one of the AUDIT_ values of
+ *   {@link module:lib/constants}
+ * @param {String} target - user whose token or role was acted upon
+ * @param {Object} [details] - further description of the event, such as
+ *   the hash of a token or the groups requested
+ * @return {Promise} Fulfills once the event is recorded.
+ */
+let record = (req, event, target, details) => {
+  let doc = {
+    time:   new Date(),
+    event:  event,
+    actor:  req.headers[constants.USER_ID_HEADER] || null,
+    target: target || null,
+    ip:     req.ip,
+    cert:   sentryUtils.certSubject(req) || null,
+  };
+  if (details) {
+    doc.details = details;
+  }
+  logger.debug(`Recording audit event ${event} for ${target}`);
+  let p_recorded = p_appended.then(function() {
+    return storage.provide().appendAuditEvent(function(previous) {
+      doc.seq = previous ? previous.seq + 1 : 1;
+      return chain.link(doc, previous);
+    });
+  });
+  // A failure is reported to the caller, and does not hold up later events
+  p_appended = p_recorded.catch(function() {});
+  return p_recorded;
+};
+
+/**
+ * Records an event of an operation which has already taken effect, such as
+ * the creation of a token. Responses need not wait for the event to be
+ * stored, and must not fail if it can not be, as the operation stands
+ * either way; a failure is logged instead.
+ * @alias module:lib/audit.recordAfter
+ * @param {express.Request} req - request which caused the event
+ * @param {String} event - one of the AUDIT_ values of
+ *   {@link module:lib/constants}
+ * @param {String} target - user whose token or role was acted upon
+ * @param {Object} [details] - further description of the event
+ */
+let recordAfter = (req, event, target, details) => {
+  record(req, event, target, details).catch(function(reason) {
+    logger.error(`Failed to record audit event ${event} for ${target}: ${reason}`);
+  });
+};
+
+/**
+ * Finds events, most recent first. Events recorded by this process before
+ * are stored first, so are found.
+ * @alias module:lib/audit.query
+ * @param {Object} [filters]
+ * @param {String} [filters.event] - only events of this type
+ * @param {String} [filters.actor] - only events caused by this user
+ * @param {String} [filters.target] - only events acting upon this user
+ * @param {Date} [filters.from] - only events at or after this time
+ * @param {Date} [filters.to] - only events before this time
+ * @param {Number} [filters.offset=0] - number of matching events to skip
+ * @param {Number} [filters.limit=50] - maximum number of events to return,
+ *   at most 500
+ * @return {Promise} Fulfills with an Object of form
+ *   {total, offset, limit, events}, where total is the number of matching
+ *   events.
+ */
+let query = (filters) => {
+  filters = filters || {};
+  let offset = filters.offset || 0;
+  let limit = Math.min(filters.limit || DEFAULT_LIMIT, MAX_LIMIT);
+
+  return p_appended.then(function() {
+    return storage.provide().queryAuditEvents({
+      event:  filters.event,
+      actor:  filters.actor,
+      target: filters.target,
+      from:   filters.from,
+      to:     filters.to,
+      offset,
+      limit,
+    });
+  }).then(function(found) {
+    return {total: found.total, offset, limit, events: found.events};
+  });
+};
+
+module.exports = {
+  record,
+  recordAfter,
+  query,
+};
@@ -9,9 +9,81 @@
 
 const assert    = require('assert');
 
+const bodyParser = require('body-parser');
+
+const audit     = require('./audit');
 const constants = require('./constants');
+const jwt       = require('./jwt');
+const metrics   = require('./metrics');
 const model     = require('./model');
 const sentryUtils = require('./sentry_utils');
+const tokenHash = require('./token_hash');
+
+/**
+ * Reads a list of validation requests from the body of a batch request.
+ * @private
+ * @param {express.Request} req
+ * @param {String} key - name of the entry, besides groups, which each
+ *   validation request must include
+ * @return {Object[]}
+ * @throws assert.AssertionError if the body is malformed
+ */
+function readBatch(req, key) {
+  assert(req.body, 'Request is missing a body');
+  assert(req.body instanceof Array, 'Request body must be a list of requests');
+  req.body.forEach(function(request) {
+    assert(request, 'Request body contains an empty request');
+    assert(request[key], `Request body is missing a ${key} entry`);
+    assert(request.groups, 'Request body is missing a list of acceptable groups');
+  });
+  return req.body;
+}
+
+/**
+ * Counts validation decisions in the metrics, and records the negative
+ * decisions in the audit log: a denied validation of a single request as its
+ * own event, and the denials of a batch request as one event listing them.
+ * The decisions do not wait for the event, and a failure to record it is only
+ * logged, so that the audit log can not change a decision.
+ * @private
+ * @param {express.Request} req
+ * @param {Object[]} requests - validation requests, each with groups and
+ *   either a token or a user
+ * @param {Boolean[]} decisions - decisions in the same order as requests
+ * @param {Boolean} batch - whether requests is the body of a batch request
+ * @return {Boolean[]} decisions
+ */
+function recordDecisions(req, requests, decisions, batch) {
+  let denials = [];
+  requests.forEach(function(request, i) {
+    metrics.validations.inc({
+      type:     request.token ? 'token' : 'user',
+      decision: decisions[i] ? 'allow' : 'deny',
+    });
+    if (!decisions[i]) {
+      denials.push(request.token
+        ? {hash: tokenHash.hashToken(request.token), groups: request.groups}
+        : {user: request.user, groups: request.groups});
+    }
+  });
+  if (denials.length === 0) {
+    return decisions;
+  }
+
+  if (batch) {
+    audit.recordAfter(req, constants.AUDIT_VALIDATE_DENIED, null, {
+      requests: requests.length,
+      denials,
+    });
+  } else {
+    let details = {groups: denials[0].groups};
+    if (denials[0].hash) {
+      details.hash = denials[0].hash;
+    }
+    audit.recordAfter(req, constants.AUDIT_VALIDATE_DENIED, denials[0].user, details);
+  }
+  return decisions;
+}
 
 /**
  * Setup endpoints for the server.
@@ -21,40 +93,86 @@ const sentryUtils = require('./sentry_utils');
  */
 module.exports.setup = function( app ) {
   app.post('/createToken', function(req, res, next) {
-    // Does not expect any request body.
-    // Generates a random 32 character string and enters it
+    // Does not require any request body, but an application/json body may
+    // request a lifetime in seconds for the token, and a list of scopes
+    // (groups) to restrict the token to.
+    // Generates a random 32 character string and enters its hash
     // into the db.
-    // Returns the new document as an application/json body.
+    // Returns the new document, including the plaintext token and, if
+    // jwtkey is configured, a signed JWT, as an application/json body.
     let user = req.headers[constants.USER_ID_HEADER];
 
+    let lifetime = sentryUtils.readLifetime(req);
+    if (lifetime instanceof Error) {
+      return next(lifetime);
+    }
+
+    let scopes = sentryUtils.readScopes(req);
+    if (scopes instanceof Error) {
+      return next(scopes);
+    }
+
     model.createToken(
       user, // token owner
       user, // application user
-      constants.WEB_TOKEN_CREATION_MSG
+      constants.WEB_TOKEN_CREATION_MSG,
+      {lifetime, scopes}
     ).then(function(response) {
+      audit.recordAfter(req, constants.AUDIT_TOKEN_CREATE, user, {hash: response.hash});
       sentryUtils.dispatchSuccess(res, response);
     }, next);
   });
 
 
   app.post('/revokeToken', function(req, res, next) {
-    // Expects body of application/json containing only the token
-    // which is to be rejected. Updates the document in db so that
-    // the 'status' field is set to 'revoked'.
+    // Expects body of application/json containing only the token, or the
+    // hash of the token, which is to be rejected. Updates the document in db
+    // so that the 'status' field is set to 'revoked'.
     // Returns the updated document in  an application/json body.
     let user = req.headers[constants.USER_ID_HEADER];
 
-    let token = sentryUtils.readToken(req);
-    if (token instanceof Error) {
-      return next(token);
+    let hash = sentryUtils.readTokenHash(req);
+    if (hash instanceof Error) {
+      return next(hash);
     }
 
     model.revokeToken(
       user, // token owner
       user, // application user
-      token,
+      hash,
       constants.WEB_TOKEN_REVOCATION_MSG
     ).then(function(row) {
+      audit.recordAfter(req, constants.AUDIT_TOKEN_REVOKE, user, {hash});
+      sentryUtils.dispatchSuccess(res, row);
+    }, next);
+  });
+
+  app.post('/renewToken', function(req, res, next) {
+    // Expects body of application/json containing the token, or the hash of
+    // the token, which is to be renewed, and optionally a lifetime in seconds.
+    // Updates the document in db so that the token expires after the new
+    // lifetime.
+    // Returns the updated document in an application/json body.
+    let user = req.headers[constants.USER_ID_HEADER];
+
+    let hash = sentryUtils.readTokenHash(req);
+    if (hash instanceof Error) {
+      return next(hash);
+    }
+
+    let lifetime = sentryUtils.readLifetime(req);
+    if (lifetime instanceof Error) {
+      return next(lifetime);
+    }
+
+    model.renewToken(
+      user, // token owner
+      user, // application user
+      hash,
+      constants.WEB_TOKEN_RENEWAL_MSG,
+      lifetime
+    ).then(function(row) {
+      audit.recordAfter(req, constants.AUDIT_TOKEN_RENEW, user, {hash});
       sentryUtils.dispatchSuccess(res, row);
     }, next);
   });
@@ -63,8 +181,8 @@ module.exports.setup = function( app ) {
     // Expects application/json request body to include a token and
     // an array of group ids. Finds the user owning that token from db,
     // then finds the groups that user is a member of.
-    // Returns {ok: true} if user's group membership is a superset of
-    // groups specified in request body.
+    // Returns {ok: true} if user's group membership, and the token's scopes
+    // if it has any, are a superset of groups specified in request body.
     let token;
     let groups;
 
@@ -81,7 +199,60 @@ module.exports.setup = function( app ) {
     }
 
     model.validateToken(groups, token).then(function(decision) {
-      sentryUtils.dispatchSuccess(res, {ok: decision});
+      return recordDecisions(req, [{token, groups}], [decision], false);
+    }).then(function(decisions) {
+      sentryUtils.dispatchSuccess(res, {ok: decisions[0]});
+    }).catch(next);
+  });
+
+  app.post('/oauth/revoke', bodyParser.urlencoded({extended: false}), function(req, res, next) {
+    // Expects an application/x-www-form-urlencoded or application/json
+    // request body to include a token, as in OAuth 2.0 token revocation
+    // (RFC 7009). Does not require x-remote-user, as presenting the token
+    // is enough to revoke it.
+    // Responds with an empty application/json object, whether or not the
+    // token was known.
+    let token;
+
+    try {
+      assert(req.body, 'Request is missing a body');
+      assert(req.body.token, 'Request body is missing a token entry');
+
+      token = req.body.token;
+    } catch (e) {
+      e.statusCode = 400;
+      return next(e);
+    }
+
+    model.revokeBearerToken(token, req.ip).then(function(row) {
+      if (row) {
+        audit.recordAfter(req, constants.AUDIT_TOKEN_BEARER_REVOKE, row.user, {hash: row.hash});
+      }
+      sentryUtils.dispatchSuccess(res, {});
+    }, next);
+  });
+
+  app.post('/introspect', bodyParser.urlencoded({extended: false}), function(req, res, next) {
+    // Expects an application/x-www-form-urlencoded or application/json
+    // request body to include a token, as in OAuth 2.0 token introspection
+    // (RFC 7662).
+    // Returns {active: true, sub, exp, iat, scope} if the token is valid,
+    // where scope lists the groups the token authorises, otherwise
+    // {active: false}.
+    let token;
+
+    try {
+      assert(req.body, 'Request is missing a body');
+      assert(req.body.token, 'Request body is missing a token entry');
+
+      token = req.body.token;
+    } catch (e) {
+      e.statusCode = 400;
+      return next(e);
+    }
+
+    model.introspectToken(token).then(function(description) {
+      sentryUtils.dispatchSuccess(res, description);
     }, next);
   });
 
@@ -102,7 +273,65 @@ module.exports.setup = function( app ) {
     }
 
     model.validateUser(groups, user).then(function(decision) {
-      sentryUtils.dispatchSuccess(res, {ok: decision});
+      return recordDecisions(req, [{user, groups}], [decision], false);
+    }).then(function(decisions) {
+      sentryUtils.dispatchSuccess(res, {ok: decisions[0]});
+    }).catch(next);
+  });
+
+  app.post('/validateTokens', function(req, res, next) {
+    // Expects application/json request body to be an array of objects,
+    // each including a token and an array of group ids.
+    // Returns an array of decisions of the same form as /validateToken,
+    // in the same order as the request body. Unknown tokens are not
+    // authorised.
+    let requests;
+
+    try {
+      requests = readBatch(req, 'token');
+    } catch (e) {
+      e.statusCode = 400;
+      return next(e);
+    }
+
+    model.validateTokens(requests).then(function(decisions) {
+      return recordDecisions(req, requests, decisions, true);
+    }).then(function(decisions) {
+      sentryUtils.dispatchSuccess(res, decisions.map(function(decision) {
+        return {ok: decision};
+      }));
+    }).catch(next);
+  });
+
+  app.post('/validateUsers', function(req, res, next) {
+    // Expects application/json request body to be an array of objects,
+    // each including a user and an array of group ids.
+    // Returns an array of decisions of the same form as /validateUser,
+    // in the same order as the request body. Unknown users are not
+    // authorised.
+    let requests;
+
+    try {
+      requests = readBatch(req, 'user');
+    } catch (e) {
+      e.statusCode = 400;
+      return next(e);
+    }
+
+    model.validateUsers(requests).then(function(decisions) {
+      return recordDecisions(req, requests, decisions, true);
+    }).then(function(decisions) {
+      sentryUtils.dispatchSuccess(res, decisions.map(function(decision) {
+        return {ok: decision};
+      }));
+    }).catch(next);
+  });
+
+  app.get('/.well-known/jwks.json', function(req, res, next) {
+    // Returns the public keys which JWTs issued by /createToken are signed
+    // with, as an application/json JSON Web Key Set.
+    jwt.publicKeys().then(function(keySet) {
+      sentryUtils.dispatchSuccess(res, keySet);
     }, next);
   });
 
@@ -111,8 +340,10 @@ module.exports.setup = function( app ) {
     // x-remote-user header as an application/json array.
     let user = req.headers[constants.USER_ID_HEADER];
 
-    model.listTokens(user).then(function(docs) {
-      sentryUtils.dispatchSuccess(res, docs);
+    // The usage of the quotas of the user is given in X-Tokens-* headers
+    Promise.all([model.listTokens(user), model.tokenUsage(user)]).then(function(results) {
+      sentryUtils.setTokenUsage(res, results[1]);
+      sentryUtils.dispatchSuccess(res, results[0]);
     }, next);
   });
 };
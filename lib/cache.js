@@ -0,0 +1,146 @@
+'use strict';
+
+/**
+ * In-process caches of token and user documents, so that validation does not
+ * need to query the database on every request.
+ * @module lib/cache
+ * @copyright 2017 Genome Research Ltd
+ * @author Andrew Nowak
+ */
+
+const config = require('./config.js');
+
+/**
+ * Bounded cache which evicts the least recently used entry when full. Entries
+ * also expire after a fixed time to live.
+ */
+class LRUCache {
+  /**
+   * @param {Number} maxSize - maximum number of entries. The cache stores
+   *   nothing if this is not a positive number.
+   * @param {Number} ttl - time to live of an entry, in seconds
+   */
+  constructor(maxSize, ttl) {
+    this.maxSize = maxSize > 0 ? maxSize : 0;
+    this.ttl = ttl * 1000;
+    this.clear();
+  }
+
+  /**
+   * Number of entries in the cache, including any which have expired but
+   * have not been evicted yet.
+   * @type {Number}
+   */
+  get size() {
+    return this._size;
+  }
+
+  /**
+   * Gets the value of an entry, and marks it as most recently used.
+   * @param {String} key
+   * @return {*} value, or undefined if there is no entry or it has expired
+   */
+  get(key) {
+    let entry = this._entries[key];
+    if (!entry) {
+      return undefined;
+    }
+    if (entry.expires <= Date.now()) {
+      this._remove(entry);
+      return undefined;
+    }
+    this._unlink(entry);
+    this._pushFront(entry);
+    return entry.value;
+  }
+
+  /**
+   * Sets the value of an entry, evicting the least recently used entry if
+   * the cache is full.
+   * @param {String} key
+   * @param {*} value
+   */
+  set(key, value) {
+    if (!this.maxSize) {
+      return;
+    }
+    let entry = this._entries[key];
+    if (entry) {
+      this._unlink(entry);
+    } else {
+      entry = {key};
+      this._entries[key] = entry;
+      this._size++;
+    }
+    entry.value = value;
+    entry.expires = Date.now() + this.ttl;
+    this._pushFront(entry);
+    while (this._size > this.maxSize) {
+      this._remove(this._tail.prev);
+    }
+  }
+
+  /**
+   * Removes an entry, if present.
+   * @param {String} key
+   */
+  delete(key) {
+    let entry = this._entries[key];
+    if (entry) {
+      this._remove(entry);
+    }
+  }
+
+  /**
+   * Removes all entries.
+   */
+  clear() {
+    this._entries = Object.create(null);
+    this._size = 0;
+    // Sentinels of a doubly linked list, most recently used first
+    this._head = {};
+    this._tail = {};
+    this._head.next = this._tail;
+    this._tail.prev = this._head;
+  }
+
+  _pushFront(entry) {
+    entry.prev = this._head;
+    entry.next = this._head.next;
+    this._head.next.prev = entry;
+    this._head.next = entry;
+  }
+
+  _unlink(entry) {
+    entry.prev.next = entry.next;
+    entry.next.prev = entry.prev;
+  }
+
+  _remove(entry) {
+    this._unlink(entry);
+    delete this._entries[entry.key];
+    this._size--;
+  }
+}
+
+const opts = config.provide();
+
+// Values are strings when passed on the command line
+let maxSize = Number(opts.get('cachesize'));
+let ttl     = Number(opts.get('cachettl'));
+
+module.exports = {
+  LRUCache,
+
+  /**
+   * Cache of token documents, keyed by the hash of the token.
+   * @type {module:lib/cache~LRUCache}
+   */
+  tokens: new LRUCache(maxSize, ttl),
+
+  /**
+   * Cache of user documents, keyed by username.
+   * @type {module:lib/cache~LRUCache}
+   */
+  users: new LRUCache(maxSize, ttl),
+};
@@ -0,0 +1,174 @@
+'use strict';
+
+/**
+ * Hash chains, which make records tamper-evident. Each entry carries an
+ * HMAC of its own content, keyed with the 'tokensecret' configuration
+ * option, and the HMAC of the entry before it, so editing, inserting or
+ * removing an entry breaks the chain.
+ * @module lib/chain
+ * @copyright 2017 Genome Research Ltd
+ * @author Andrew Nowak
+ */
+
+const crypto = require('crypto');
+
+const config    = require('./config.js');
+const constants = require('./constants.js');
+
+// Fields which are not part of the content of an entry
+const EXCLUDED_FIELDS = ['_id', 'digest'];
+
+// Status of a token after each operation, for history entries recorded
+// before entries recorded the status
+const OPERATION_STATUS = {
+  [constants.TOKEN_OPERATION_CREATE]:          constants.TOKEN_STATUS_VALID,
+  [constants.TOKEN_OPERATION_RENEW]:           constants.TOKEN_STATUS_VALID,
+  [constants.TOKEN_OPERATION_REVOKE]:          constants.TOKEN_STATUS_REVOKED,
+  [constants.TOKEN_OPERATION_BEARER_REVOKE]:   constants.TOKEN_STATUS_REVOKED,
+  [constants.TOKEN_OPERATION_DEPARTED_REVOKE]: constants.TOKEN_STATUS_REVOKED,
+};
+
+/**
+ * Serialises a value as JSON, with the keys of objects sorted, so that equal
+ * values always give the same string.
+ * @private
+ * @param {*} value
+ * @return {String}
+ */
+function _canonical(value) {
+  if (value instanceof Date) {
+    return JSON.stringify(value.toISOString());
+  }
+  if (value instanceof Array) {
+    return '[' + value.map(_canonical).join(',') + ']';
+  }
+  if (value && typeof value === 'object') {
+    return '{' + Object.keys(value).sort().filter(function(key) {
+      return value[key] !== undefined;
+    }).map(function(key) {
+      return JSON.stringify(key) + ':' + _canonical(value[key]);
+    }).join(',') + '}';
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Computes the HMAC of the content of an entry.
+ * @alias module:lib/chain.digest
+ * @param {Object} entry
+ * @return {String} hex encoded HMAC
+ * @throws {Error} if the server secret is not configured
+ */
+let digest = (entry) => {
+  let secret = config.provide().get('tokensecret');
+  if (!secret) {
+    throw new Error('tokensecret is not defined in the configuration');
+  }
+  let content = {};
+  Object.keys(entry).forEach(function(key) {
+    if (EXCLUDED_FIELDS.indexOf(key) < 0) {
+      content[key] = entry[key];
+    }
+  });
+  return crypto.createHmac(constants.TOKEN_HASH_ALGORITHM, secret)
+    .update(_canonical(content))
+    .digest('hex');
+};
+
+/**
+ * Gets the digest an entry is linked to by the entry after it. Entries
+ * recorded before chaining was introduced have no stored digest, so their
+ * content is digested instead.
+ * @private
+ * @param {Object} entry
+ * @return {String}
+ */
+function _linkDigest(entry) {
+  return entry.digest || digest(entry);
+}
+
+/**
+ * Adds an entry to the end of a chain, by setting its prev_digest and
+ * digest fields.
+ * @alias module:lib/chain.link
+ * @param {Object} entry - new entry, which is modified
+ * @param {Object} [previous] - last entry of the chain, if any
+ * @return {Object} entry
+ */
+let link = (entry, previous) => {
+  entry.prev_digest = previous ? _linkDigest(previous) : null;
+  entry.digest = digest(entry);
+  return entry;
+};
+
+/**
+ * Finds the first broken link of a chain. Entries before the first entry
+ * with a digest were recorded before chaining was introduced, so are not
+ * checked themselves.
+ * @alias module:lib/chain.findBreak
+ * @param {Object[]} entries - the chain, in order
+ * @return {Object} undefined if the chain is intact, otherwise an Object of
+ *   form {index, reason} describing the first broken entry
+ */
+let findBreak = (entries) => {
+  let chained = false;
+  for (let i = 0; i < entries.length; i++) {
+    let entry = entries[i];
+    if (!entry.digest) {
+      if (chained) {
+        return {index: i, reason: 'entry has no digest'};
+      }
+      continue;
+    }
+    chained = true;
+    let expected = i ? _linkDigest(entries[i - 1]) : null;
+    if (entry.prev_digest !== expected) {
+      return {index: i, reason: 'entry does not follow the previous entry'};
+    }
+    if (entry.digest !== digest(entry)) {
+      return {index: i, reason: 'entry content has changed'};
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Checks that the status and expiry time of a token are those recorded by
+ * the last entries of its history, as the fields of the token itself are not
+ * part of the chain. Tokens whose last entry has no digest are not checked,
+ * nor is the expiry time of a token none of whose entries record one. Entries
+ * removed from the end of the history, with the token changed to match the
+ * entry left last, are not detected, as the head of a history is not kept.
+ * @alias module:lib/chain.findStateChange
+ * @param {Object} doc - document of the token
+ * @return {String} undefined if the token is as recorded, otherwise the
+ *   reason it is not
+ */
+let findStateChange = (doc) => {
+  let hist = doc.hist || [];
+  let last = hist[hist.length - 1];
+  if (!last || !last.digest) {
+    return undefined;
+  }
+  let status = last.status !== undefined ? last.status : OPERATION_STATUS[last.operation];
+  if (doc.status !== status) {
+    return `status ${doc.status} is not ${status} as recorded`;
+  }
+  for (let i = hist.length - 1; i >= 0; i--) {
+    let expiryTime = hist[i].expiryTime;
+    if (expiryTime !== undefined) {
+      if (new Date(doc.expiryTime).getTime() !== new Date(expiryTime).getTime()) {
+        return `expiry time ${doc.expiryTime} is not ${expiryTime} as recorded`;
+      }
+      break;
+    }
+  }
+  return undefined;
+};
+
+module.exports = {
+  digest,
+  link,
+  findBreak,
+  findStateChange,
+};
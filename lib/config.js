@@ -6,21 +6,56 @@ const optionsList = [
   ['p','port=PORT'        ,'PORT to listen on'],
   ['m','mongourl=URI'     ,'URI to connect to mongodb'],
   ['c','configfile=PATH'  ,'location of config file'],
+  ['' ,'pgurl=URI'        ,'URI to connect to postgresql, which then stores tokens and users'],
+  ['' ,'storage=[mongodb|postgresql|memory]',
+    'where tokens and users are stored [default: postgresql if pgurl is set, otherwise mongodb]'],
+  ['' ,'storagefixtures=PATH','JSON file of users and administrators to load into memory storage'],
   ['' ,'loglevel=[error|warn|info|debug]','set logging level [default: error]'],
   ['' ,'no-ssl'           ,'run server on http'],
   ['' ,'sslcert=PATH'     ,'certificate for https server'],
   ['' ,'sslkey=PATH'      ,'private key for https server'],
   ['' ,'sslca=PATH'       ,'CA certificate for verifying requests'],
+  ['' ,'maxtokenlifetime=SECONDS','maximum lifetime of a token [default: 90 days]'],
+  ['' ,'maxvalidtokens=NUMBER','most valid tokens a user may have [default: 0, no limit]'],
+  ['' ,'maxdailytokens=NUMBER','most tokens which may be created for a user in a day [default: 0, no limit]'],
+  ['' ,'jwtkey=PATH'      ,'private key for signing JWTs, RSA or P-256 EC [default: no JWTs]'],
+  ['' ,'jwtkeydir=PATH'   ,'key store for signing JWTs, used instead of jwtkey'],
+  ['' ,'cachesize=NUMBER' ,'number of tokens and of users to cache [default: 0, no caching]'],
+  ['' ,'cachettl=SECONDS' ,'time to cache tokens and users for [default: 60]'],
+  ['' ,'cachepoll=SECONDS','interval between checks for changes made by other processes [default: 5]'],
+  ['' ,'sweepinterval=SECONDS',
+    'interval between revocations of the tokens of users who are no longer current [default: 300, 0 to disable]'],
+  ['' ,'ratelimitstore=[memory|mongodb]',
+    'where rate limited requests are counted, mongodb to share limits between processes [default: memory]'],
+  ['' ,'mongoreplicaset=NAME','name of the mongodb replica set'],
+  ['' ,'mongopoolsize=NUMBER','size of the mongodb connection pool [default: 5]'],
+  ['' ,'mongoreadpreference=[primary|primaryPreferred|secondary|secondaryPreferred|nearest]',
+    'read preference for validation queries [default: primary]'],
+  ['' ,'mongowriteconcern=W','write concern for token writes, a number or majority [default: 1]'],
+  ['' ,'mongoauthsource=DB','database to authenticate against'],
+  ['' ,'mongossl'         ,'connect to mongodb with TLS'],
+  ['' ,'mongosslca=PATH'  ,'CA certificate for verifying mongodb'],
+  ['' ,'mongosslcert=PATH','client certificate for connecting to mongodb'],
+  ['' ,'mongosslkey=PATH' ,'private key of the client certificate for mongodb'],
   ['V','version'          ,'show version'],
   ['h','help'             ,'show this help'],
 ];
 
-const SECRET_OPTIONS = ['sslpassphrase'];
+const SECRET_OPTIONS = ['sslpassphrase', 'tokensecret'];
 
 const defaultOptions = {
   port: 8000,
   mongourl: 'mongodb://localhost:27017/test',
   loglevel: 'error',
+  maxtokenlifetime: 90 * 24 * 60 * 60,
+  maxvalidtokens: 0,
+  maxdailytokens: 0,
+  cachesize: 0,
+  cachettl: 60,
+  cachepoll: 5,
+  sweepinterval: 300,
+  ratelimits: {},
+  ratelimitstore: 'memory',
 };
 
 function fromCommandLine() {
@@ -13,6 +13,15 @@ const ACL_BACKEND_PREFIX     = 'sentry_acl';
 const ACL_ROLE_ADMINISTRATOR = 'administrator';
 const ACL_ACTION_VIEW        = 'view';
 const ACL_ACTION_POST        = 'post';
+const ACL_ACTION_CREATE      = 'create';
+const ACL_ACTION_REVOKE      = 'revoke';
+
+// Resources of delegated roles. Actions on the tokens resource apply to the
+// tokens of every user; actions on a group resource, named by appending the
+// group to its prefix, apply to the tokens of members of that group.
+const ACL_RESOURCE_ADMIN        = '/admin';
+const ACL_RESOURCE_TOKENS       = '/admin/tokens';
+const ACL_RESOURCE_GROUP_PREFIX = '/admin/groups/';
 
 /**
  * HTTP Header where authenticated username is provided.
@@ -41,6 +50,35 @@ const TOKEN_OPERATION_CREATE = 'create';
  */
 const TOKEN_OPERATION_REVOKE = 'revoke';
 
+/**
+ * Operation name inventory. Entry for token renewal.
+ * @const
+ * @default
+ * @type {String}
+ * @memberof module:lib/constants
+ */
+const TOKEN_OPERATION_RENEW  = 'renew';
+
+/**
+ * Operation name inventory. Entry for token revocation by its bearer,
+ * who may not be its owner.
+ * @const
+ * @default
+ * @type {String}
+ * @memberof module:lib/constants
+ */
+const TOKEN_OPERATION_BEARER_REVOKE = 'bearer_revoke';
+
+/**
+ * Operation name inventory. Entry for token revocation because its owner is
+ * no longer a current user.
+ * @const
+ * @default
+ * @type {String}
+ * @memberof module:lib/constants
+ */
+const TOKEN_OPERATION_DEPARTED_REVOKE = 'departed_revoke';
+
 /**
  * Token status inventory. Token is revoked.
  * @const
@@ -80,6 +118,174 @@ const TOKEN_DURATION       = 7;
  */
 const TOKEN_DURATION_UNIT  = 'days';
 
+/**
+ * Hash algorithm used for the HMAC of tokens stored in the database.
+ * @see module:lib/token_hash
+ * @const
+ * @default
+ * @type {String}
+ * @memberof module:lib/constants
+ */
+const TOKEN_HASH_ALGORITHM = 'sha256';
+
+/**
+ * Audit event inventory. Entry for token creation.
+ * @const
+ * @default
+ * @type {String}
+ * @memberof module:lib/constants
+ */
+const AUDIT_TOKEN_CREATE        = 'token_create';
+
+/**
+ * Audit event inventory. Entry for token revocation by its owner or an
+ * administrator.
+ * @const
+ * @default
+ * @type {String}
+ * @memberof module:lib/constants
+ */
+const AUDIT_TOKEN_REVOKE        = 'token_revoke';
+
+/**
+ * Audit event inventory. Entry for token revocation by its bearer.
+ * @const
+ * @default
+ * @type {String}
+ * @memberof module:lib/constants
+ */
+const AUDIT_TOKEN_BEARER_REVOKE = 'token_bearer_revoke';
+
+/**
+ * Audit event inventory. Entry for the tokens matching some criteria being
+ * revoked together.
+ * @const
+ * @default
+ * @type {String}
+ * @memberof module:lib/constants
+ */
+const AUDIT_TOKENS_BULK_REVOKE  = 'tokens_bulk_revoke';
+
+/**
+ * Audit event inventory. Entry for token renewal.
+ * @const
+ * @default
+ * @type {String}
+ * @memberof module:lib/constants
+ */
+const AUDIT_TOKEN_RENEW         = 'token_renew';
+
+/**
+ * Audit event inventory. Entry for a token or user which was not authorised
+ * for the requested groups.
+ * @const
+ * @default
+ * @type {String}
+ * @memberof module:lib/constants
+ */
+const AUDIT_VALIDATE_DENIED     = 'validate_denied';
+
+/**
+ * Audit event inventory. Entry for a user being made an administrator.
+ * @const
+ * @default
+ * @type {String}
+ * @memberof module:lib/constants
+ */
+const AUDIT_ADMIN_GRANT         = 'admin_grant';
+
+/**
+ * Audit event inventory. Entry for a user being removed from administrators.
+ * @const
+ * @default
+ * @type {String}
+ * @memberof module:lib/constants
+ */
+const AUDIT_ADMIN_REMOVE        = 'admin_remove';
+
+/**
+ * Audit event inventory. Entry for users and their groups being imported.
+ * @const
+ * @default
+ * @type {String}
+ * @memberof module:lib/constants
+ */
+const AUDIT_USERS_IMPORT        = 'users_import';
+
+/**
+ * Audit event inventory. Entry for actions on a resource being allowed to a role.
+ * @const
+ * @default
+ * @type {String}
+ * @memberof module:lib/constants
+ */
+const AUDIT_ROLE_ALLOW          = 'role_allow';
+
+/**
+ * Audit event inventory. Entry for actions on a resource being disallowed to a role.
+ * @const
+ * @default
+ * @type {String}
+ * @memberof module:lib/constants
+ */
+const AUDIT_ROLE_DISALLOW       = 'role_disallow';
+
+/**
+ * Audit event inventory. Entry for a role being removed.
+ * @const
+ * @default
+ * @type {String}
+ * @memberof module:lib/constants
+ */
+const AUDIT_ROLE_REMOVE         = 'role_remove';
+
+/**
+ * Audit event inventory. Entry for a user being given a role.
+ * @const
+ * @default
+ * @type {String}
+ * @memberof module:lib/constants
+ */
+const AUDIT_ROLE_GRANT          = 'role_grant';
+
+/**
+ * Audit event inventory. Entry for a role being taken from a user.
+ * @const
+ * @default
+ * @type {String}
+ * @memberof module:lib/constants
+ */
+const AUDIT_ROLE_WITHDRAW       = 'role_withdraw';
+
+/**
+ * Signing key state inventory. Key is published, so that verifiers can fetch
+ * it in advance, but is not used for signing yet.
+ * @const
+ * @default
+ * @type {String}
+ * @memberof module:lib/constants
+ */
+const KEY_STATE_NEXT    = 'next';
+
+/**
+ * Signing key state inventory. Key is published, and the most recently
+ * promoted active key is used for signing.
+ * @const
+ * @default
+ * @type {String}
+ * @memberof module:lib/constants
+ */
+const KEY_STATE_ACTIVE  = 'active';
+
+/**
+ * Signing key state inventory. Key is neither published nor used.
+ * @const
+ * @default
+ * @type {String}
+ * @memberof module:lib/constants
+ */
+const KEY_STATE_RETIRED = 'retired';
+
 /**
  * Name of mongoDB collection to store tokens.
  * @const
@@ -98,6 +304,55 @@ const COLLECTION_TOKENS = 'tokens';
  */
 const COLLECTION_USERS  = 'users';
 
+/**
+ * Name of mongoDB collection to record changes to tokens, so that other
+ * processes can remove them from their caches.
+ * @const
+ * @default
+ * @type {String}
+ * @memberof module:lib/constants
+ */
+const COLLECTION_REVOCATIONS = 'revocations';
+
+/**
+ * Name of mongoDB collection to store audit events.
+ * @const
+ * @default
+ * @type {String}
+ * @memberof module:lib/constants
+ */
+const COLLECTION_AUDIT = 'audit';
+
+/**
+ * Name of mongoDB collection to store the head of the audit log: the seq and
+ * digest of its last event, which numbers and links the next event.
+ * @const
+ * @default
+ * @type {String}
+ * @memberof module:lib/constants
+ */
+const COLLECTION_AUDIT_HEAD = 'audit_head';
+
+/**
+ * Name of mongoDB collection to store the counters of rate limits, so that
+ * every process of a cluster counts the same requests.
+ * @const
+ * @default
+ * @type {String}
+ * @memberof module:lib/constants
+ */
+const COLLECTION_RATE_LIMITS = 'ratelimits';
+
+/**
+ * Number of seconds after which records of changes to tokens are removed
+ * from the database. Must be longer than any cache time to live.
+ * @const
+ * @default
+ * @type {Number}
+ * @memberof module:lib/constants
+ */
+const REVOCATION_EXPIRY = 24 * 60 * 60;
+
 module.exports = {
   /**
    * Error message to log when number of documents found differs from expected.
@@ -116,6 +371,52 @@ module.exports = {
    */
   USER_NOT_TOKEN_OWNER: messages.ERRORS.USER_NOT_TOKEN_OWNER,
 
+  /**
+   * Error message to log when attempting to renew a token which has been
+   * revoked or has already expired.
+   * @const
+   * @default
+   * @type {String}
+   */
+  TOKEN_NOT_RENEWABLE: messages.ERRORS.TOKEN_NOT_RENEWABLE,
+
+  /**
+   * Error message to log when a token has been changed by another request
+   * between being read and being updated.
+   * @const
+   * @default
+   * @type {String}
+   */
+  TOKEN_CHANGED: messages.ERRORS.TOKEN_CHANGED,
+
+  /**
+   * Error message to log when the tokens matching a bulk revocation are not
+   * the number which was previewed.
+   * @const
+   * @default
+   * @type {String}
+   */
+  TOKENS_NOT_AS_PREVIEWED: messages.ERRORS.TOKENS_NOT_AS_PREVIEWED,
+
+  /**
+   * Error message when a token would be created for a user who already has
+   * as many valid tokens as the 'maxvalidtokens' option allows.
+   * @const
+   * @default
+   * @type {String}
+   */
+  VALID_TOKENS_QUOTA_REACHED: messages.ERRORS.VALID_TOKENS_QUOTA_REACHED,
+
+  /**
+   * Error message when a token would be created for a user who has been
+   * given as many tokens in the last day as the 'maxdailytokens' option
+   * allows.
+   * @const
+   * @default
+   * @type {String}
+   */
+  DAILY_TOKENS_QUOTA_REACHED: messages.ERRORS.DAILY_TOKENS_QUOTA_REACHED,
+
   /**
    * Message to insert into database when a user creates a token through
    * the web interface.
@@ -134,18 +435,76 @@ module.exports = {
    */
   WEB_TOKEN_REVOCATION_MSG: messages.WEB_TOKEN.REVOCATION_MSG,
 
+  /**
+   * Message to insert into database when a user renews their token through
+   * the web interface.
+   * @const
+   * @default
+   * @type {String}
+   */
+  WEB_TOKEN_RENEWAL_MSG: messages.WEB_TOKEN.RENEWAL_MSG,
+
+  /**
+   * Message to insert into database when the bearer of a token revokes it
+   * through the OAuth 2.0 revocation endpoint.
+   * @const
+   * @default
+   * @type {String}
+   */
+  WEB_TOKEN_BEARER_REVOCATION_MSG: messages.WEB_TOKEN.BEARER_REVOCATION_MSG,
+
+  /**
+   * Message to insert into database when a token is revoked because its
+   * owner is no longer a current user.
+   * @const
+   * @default
+   * @type {String}
+   */
+  WEB_TOKEN_DEPARTED_REVOCATION_MSG: messages.WEB_TOKEN.DEPARTED_REVOCATION_MSG,
+
   ACL_BACKEND_PREFIX,
   ACL_ROLE_ADMINISTRATOR,
   ACL_ACTION_VIEW,
   ACL_ACTION_POST,
+  ACL_ACTION_CREATE,
+  ACL_ACTION_REVOKE,
+  ACL_RESOURCE_ADMIN,
+  ACL_RESOURCE_TOKENS,
+  ACL_RESOURCE_GROUP_PREFIX,
 
   USER_ID_HEADER,
   TOKEN_OPERATION_CREATE,
   TOKEN_OPERATION_REVOKE,
+  TOKEN_OPERATION_RENEW,
+  TOKEN_OPERATION_BEARER_REVOKE,
+  TOKEN_OPERATION_DEPARTED_REVOKE,
   TOKEN_STATUS_REVOKED,
   TOKEN_STATUS_VALID,
   TOKEN_DURATION,
   TOKEN_DURATION_UNIT,
+  TOKEN_HASH_ALGORITHM,
+  AUDIT_TOKEN_CREATE,
+  AUDIT_TOKEN_REVOKE,
+  AUDIT_TOKEN_BEARER_REVOKE,
+  AUDIT_TOKENS_BULK_REVOKE,
+  AUDIT_TOKEN_RENEW,
+  AUDIT_VALIDATE_DENIED,
+  AUDIT_ADMIN_GRANT,
+  AUDIT_ADMIN_REMOVE,
+  AUDIT_USERS_IMPORT,
+  AUDIT_ROLE_ALLOW,
+  AUDIT_ROLE_DISALLOW,
+  AUDIT_ROLE_REMOVE,
+  AUDIT_ROLE_GRANT,
+  AUDIT_ROLE_WITHDRAW,
+  KEY_STATE_NEXT,
+  KEY_STATE_ACTIVE,
+  KEY_STATE_RETIRED,
   COLLECTION_TOKENS,
   COLLECTION_USERS,
+  COLLECTION_REVOCATIONS,
+  COLLECTION_AUDIT,
+  COLLECTION_AUDIT_HEAD,
+  COLLECTION_RATE_LIMITS,
+  REVOCATION_EXPIRY,
 };
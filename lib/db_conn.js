@@ -1,5 +1,20 @@
 'use strict';
 
+/**
+ * The single connection to the database shared by every module, opened when
+ * it is first used. The first connection is retried with exponential backoff
+ * until it succeeds, or as many times as scripts limit it to, and the driver
+ * reconnects after the connection is lost, queueing operations until it has
+ * reconnected. Replica sets, the connection pool, TLS and authentication are
+ * configured with the 'mongo' configuration options.
+ * @module lib/db_conn
+ * @copyright 2017 Genome Research Ltd
+ * @author Andrew Nowak
+ */
+
+const assert = require('assert');
+const fs     = require('fs');
+
 const MongoClient = require('mongodb').MongoClient;
 
 const config = require('./config.js');
@@ -12,18 +27,229 @@ class DbError extends Error {
   }
 }
 
-let p_db = MongoClient.connect(config.provide().get('mongourl'));
+/**
+ * Delay in milliseconds before the first connection is retried. Doubles
+ * after each failed attempt.
+ * @const
+ * @default
+ * @type {Number}
+ */
+const RETRY_INITIAL_DELAY = 500;
+
+/**
+ * Longest delay in milliseconds between attempts to connect for the first
+ * time.
+ * @const
+ * @default
+ * @type {Number}
+ */
+const RETRY_MAX_DELAY = 30000;
+
+/**
+ * Options of the driver, which reconnect every second, for as long as it
+ * takes, after the connection is lost.
+ * @const
+ * @type {Object}
+ */
+const RECONNECT_OPTIONS = {
+  autoReconnect:     true,
+  reconnectTries:    Number.MAX_VALUE,
+  reconnectInterval: 1000,
+};
+
+const READ_PREFERENCES = [
+  'primary', 'primaryPreferred', 'secondary', 'secondaryPreferred', 'nearest'
+];
+
+let closing = false;
+let connected;
+let attemptsLimit;
+
+/**
+ * Builds the options of the driver from the configuration. Options which are
+ * not configured are left to the driver, or to the connection URI.
+ * @private
+ * @param {Object} opts - configuration, see {@link module:lib/config}
+ * @return {Object} options for MongoClient.connect
+ * @throws {Error} if an option is invalid or a file can not be read
+ */
+function _connectOptions(opts) {
+  let options = Object.assign({}, RECONNECT_OPTIONS);
+  if (opts.get('mongoreplicaset')) {
+    options.replicaSet = opts.get('mongoreplicaset');
+  }
+  if (opts.get('mongopoolsize')) {
+    let poolSize = Number(opts.get('mongopoolsize'));
+    if (!Number.isInteger(poolSize) || poolSize < 1) {
+      throw new Error('mongopoolsize must be a positive integer');
+    }
+    options.poolSize = poolSize;
+  }
+  if (opts.get('mongoauthsource')) {
+    options.authSource = opts.get('mongoauthsource');
+  }
+  if (opts.get('mongossl')) {
+    options.ssl = true;
+    options.sslValidate = true;
+    if (opts.get('mongosslca')) {
+      options.sslCA = [fs.readFileSync(opts.get('mongosslca'))];
+    }
+    if (opts.get('mongosslcert')) {
+      options.sslCert = fs.readFileSync(opts.get('mongosslcert'));
+    }
+    if (opts.get('mongosslkey')) {
+      options.sslKey = fs.readFileSync(opts.get('mongosslkey'));
+    }
+  }
+  return options;
+}
 
-p_db.then(function() {
-  logger.debug('Successfully connected to database');
-});
+/**
+ * Options of collections read to validate tokens and users, which may be
+ * read from secondaries, as set by the 'mongoreadpreference' option.
+ * @alias module:lib/db_conn.readOptions
+ * @return {Object} options for Db.collection
+ * @throws {Error} if the read preference is not valid
+ */
+let readOptions = () => {
+  let readPreference = config.provide().get('mongoreadpreference');
+  if (!readPreference) {
+    return {};
+  }
+  if (READ_PREFERENCES.indexOf(readPreference) < 0) {
+    throw new Error(
+      `mongoreadpreference must be one of ${READ_PREFERENCES.join(', ')}`);
+  }
+  return {readPreference};
+};
 
-p_db.catch(function(reason) {
-  logger.error(reason);
-  throw reason;
-});
+/**
+ * Options of collections which tokens are written to, with the write concern
+ * set by the 'mongowriteconcern' option, a number of members or 'majority'.
+ * @alias module:lib/db_conn.writeOptions
+ * @return {Object} options for Db.collection
+ */
+let writeOptions = () => {
+  let w = config.provide().get('mongowriteconcern');
+  if (w === undefined || w === '') {
+    return {};
+  }
+  return {w: isNaN(Number(w)) ? w : Number(w)};
+};
+
+/**
+ * Waits for a time.
+ * @private
+ * @param {Number} delay - milliseconds
+ * @param {Boolean} keepRunning - whether the process is kept running until
+ *   the time has passed
+ * @return {Promise} Fulfills after the delay.
+ */
+function _wait(delay, keepRunning) {
+  return new Promise(function(resolve) {
+    let timer = setTimeout(resolve, delay);
+    if (!keepRunning) {
+      timer.unref();
+    }
+  });
+}
+
+/**
+ * Connects to the database, retrying until it succeeds, the attempts run
+ * out or the connection is closed.
+ * @private
+ * @param {String} url
+ * @param {Object} options - options of the driver
+ * @param {Number} delay - milliseconds to wait before the next attempt
+ * @param {Number} [attempts] - attempts left, unlimited if undefined
+ * @return {Promise} Fulfills with the db.
+ */
+function _connect(url, options, delay, attempts) {
+  return MongoClient.connect(url, options).catch(function(reason) {
+    if (closing || attempts === 1) {
+      throw reason;
+    }
+    logger.warn(`Failed to connect to database, retrying in ${delay}ms: ${reason}`);
+    // The server is kept running by its listeners while it retries, but a
+    // script which gives up must not exit before it has
+    return _wait(delay, attempts !== undefined).then(function() {
+      return _connect(url, options, Math.min(delay * 2, RETRY_MAX_DELAY),
+                      attempts === undefined ? undefined : attempts - 1);
+    });
+  });
+}
+
+let p_db;
+
+/**
+ * Connects to the database the first time it is called. Nothing is
+ * connected until then, so that storage backends which do not use MongoDB
+ * do not need it.
+ * @private
+ * @return {Promise} Fulfills with the db.
+ * @throws {Error} if the options are invalid
+ */
+function _p_db() {
+  if (!p_db) {
+    let opts = config.provide();
+    // Fail now if the options are invalid, rather than when first used
+    readOptions();
+    p_db = _connect(opts.get('mongourl'), _connectOptions(opts), RETRY_INITIAL_DELAY, attemptsLimit);
+
+    p_db.then(function(db) {
+      logger.debug('Successfully connected to database');
+      if (closing) {
+        db.close();
+        return;
+      }
+      connected = db;
+      db.on('close', function() {
+        if (!closing) {
+          logger.warn('Lost connection to database, reconnecting');
+        }
+      });
+      db.on('reconnect', function() {
+        logger.info('Reconnected to database');
+      });
+    }, function(reason) {
+      // Rejections are handled by the users of the connection
+      logger.error(`Failed to connect to database: ${reason}`);
+    });
+  }
+  return p_db;
+}
+
+/**
+ * Limits the attempts to connect for the first time, so that callers which
+ * run once, such as scripts, fail when the database can not be reached
+ * rather than retry forever. Must be called before the connection is first
+ * used.
+ * @alias module:lib/db_conn.limitAttempts
+ * @param {Number} attempts - at least 1
+ */
+let limitAttempts = (attempts) => {
+  assert(Number.isInteger(attempts) && attempts > 0, 'attempts must be a positive integer');
+  attemptsLimit = attempts;
+};
+
+/**
+ * Closes the connection to the database, or stops trying to connect if it
+ * has not yet connected.
+ * @alias module:lib/db_conn.close
+ * @return {Promise} Fulfills once the connection is closed.
+ */
+let close = () => {
+  closing = true;
+  return connected ? connected.close() : Promise.resolve();
+};
 
 module.exports = {
   DbError,
-  p_db,
+  get p_db() {
+    return _p_db();
+  },
+  readOptions,
+  writeOptions,
+  limitAttempts,
+  close,
 };
@@ -0,0 +1,108 @@
+"use strict";
+
+/**
+ * Provides expressjs routing for liveness and readiness endpoints, for
+ * process managers and load balancers. Neither endpoint requires a user.
+ * @module lib/health_controller
+ * @copyright 2017 Genome Research Ltd
+ * @author Andrew Nowak
+ */
+
+const acl_mid     = require('./acl_mid');
+const sentryUtils = require('./sentry_utils');
+const storage     = require('./storage');
+
+/**
+ * Time in milliseconds after which a readiness check fails.
+ * @const
+ * @default
+ * @type {Number}
+ */
+const CHECK_TIMEOUT = 2000;
+
+const STATUS_OK   = 'ok';
+const STATUS_FAIL = 'fail';
+
+/**
+ * Checks which must pass for sentry to be ready, by name.
+ * @private
+ */
+const CHECKS = {
+  storage: function() {
+    return storage.provide().ping();
+  },
+  tokens: function() {
+    return storage.provide().findTokens([]);
+  },
+  users: function() {
+    return storage.provide().findUsers([]);
+  },
+  acl: function() {
+    return acl_mid.p_acl;
+  },
+};
+
+/**
+ * Runs a check, failing it if it takes longer than CHECK_TIMEOUT.
+ * @private
+ * @param {Function} check - returns a Promise which fulfills if the check
+ *   passes
+ * @return {Promise} Fulfills with an Object of form
+ *   {status, duration_ms, error}, where error is only present if the check
+ *   failed.
+ */
+function runCheck(check) {
+  let started = Date.now();
+  let timer;
+  let p_timeout = new Promise(function(resolve, reject) {
+    timer = setTimeout(function() {
+      reject(new Error(`Timed out after ${CHECK_TIMEOUT}ms`));
+    }, CHECK_TIMEOUT);
+  });
+  let p_check = new Promise(function(resolve) {
+    resolve(check());
+  });
+  return Promise.race([p_check, p_timeout]).then(function() {
+    return {status: STATUS_OK};
+  }, function(reason) {
+    return {status: STATUS_FAIL, error: String(reason.message || reason)};
+  }).then(function(result) {
+    clearTimeout(timer);
+    result.duration_ms = Date.now() - started;
+    return result;
+  });
+}
+
+/**
+ * Setup endpoints for the server.
+ * Should be called before any routes which require a user.
+ * @param {express.app} app
+ */
+module.exports.setup = function( app ) {
+  app.get('/healthz', function(req, res) {
+    // Liveness: responds as long as the process can serve requests.
+    sentryUtils.dispatchSuccess(res, {status: STATUS_OK});
+  });
+
+  app.get('/readyz', function(req, res, next) {
+    // Readiness: runs every check in CHECKS at once.
+    // Returns {status, checks: {<name>: {status, duration_ms, error}}} as
+    // application/json, with status code 200 if every check passed,
+    // otherwise 503.
+    let names = Object.keys(CHECKS);
+    Promise.all(names.map(function(name) {
+      return runCheck(CHECKS[name]);
+    })).then(function(results) {
+      let checks = {};
+      let ready = true;
+      names.forEach(function(name, i) {
+        checks[name] = results[i];
+        ready = ready && results[i].status === STATUS_OK;
+      });
+      sentryUtils.dispatch(res, {
+        status: ready ? STATUS_OK : STATUS_FAIL,
+        checks,
+      }, ready ? 200 : 503);
+    }).catch(next);
+  });
+};
@@ -0,0 +1,113 @@
+'use strict';
+
+/**
+ * Removes changed tokens and users from the caches of every process sharing
+ * storage, such as the workers of a pm2 cluster. Changes to tokens are
+ * recorded in storage, which each process polls. Users are updated by
+ * importing all of them, so all cached users are removed whenever the latest
+ * change to any user changes, see {@link module:lib/storage}.
+ * @module lib/invalidation
+ * @copyright 2017 Genome Research Ltd
+ * @author Andrew Nowak
+ */
+
+const cache     = require('./cache.js');
+const config    = require('./config.js');
+const logger    = require('./logger.js');
+const storage   = require('./storage.js');
+
+// Changes recorded this long before the previous poll started are read
+// again, in case they were not yet visible to it.
+const POLL_OVERLAP = 1000;
+
+let timer;
+let since;
+let usersModified;
+
+/**
+ * Records that a token has changed, so that every process removes it from
+ * its cache on its next poll. Does nothing if caching is disabled.
+ * @alias module:lib/invalidation.publishToken
+ * @param {String} hash - hash of the changed token
+ * @return {Promise} Fulfills once the change is recorded.
+ */
+let publishToken = (hash) => {
+  if (!cache.tokens.maxSize) {
+    return Promise.resolve();
+  }
+  return storage.provide().publishTokenChange(hash);
+};
+
+/**
+ * Removes tokens and users changed since the previous poll from the caches
+ * of this process.
+ * @alias module:lib/invalidation.poll
+ * @return {Promise} Fulfills once the caches are up to date.
+ */
+let poll = () => {
+  let started = Date.now();
+  let backend = storage.provide();
+
+  let p_tokens = backend.findTokenChanges(
+    since ? new Date(since - POLL_OVERLAP) : undefined
+  ).then(function(hashes) {
+    hashes.forEach(function(hash) {
+      cache.tokens.delete(hash);
+    });
+  });
+
+  let p_users = backend.lastUserChange().then(function(modified) {
+    if (modified !== usersModified) {
+      cache.users.clear();
+      usersModified = modified;
+    }
+  });
+
+  return Promise.all([p_tokens, p_users]).then(function() {
+    since = started;
+  });
+};
+
+/**
+ * Starts polling for changes every 'cachepoll' seconds. Does nothing if
+ * caching is disabled or polling has already started.
+ * @alias module:lib/invalidation.start
+ */
+let start = () => {
+  let interval = Number(config.provide().get('cachepoll')) * 1000;
+  if (!cache.tokens.maxSize || timer) {
+    return;
+  }
+  // Nothing is cached yet, so earlier changes can be ignored
+  since = since || Date.now();
+  let next = function() {
+    timer = setTimeout(function() {
+      poll().catch(function(reason) {
+        logger.error('Failed to poll for cache invalidations: ' + reason);
+      }).then(function() {
+        if (timer) {
+          next();
+        }
+      });
+    }, interval);
+    timer.unref();
+  };
+  next();
+  logger.info(`Polling for cache invalidations every ${interval}ms`);
+};
+
+/**
+ * Stops polling for changes.
+ * @alias module:lib/invalidation.stop
+ */
+let stop = () => {
+  clearTimeout(timer);
+  timer = undefined;
+};
+
+module.exports = {
+  publishToken,
+  poll,
+  start,
+  stop,
+};
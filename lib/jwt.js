@@ -0,0 +1,112 @@
+'use strict';
+
+/**
+ * Signing of JSON Web Tokens (JWTs), which services can verify without
+ * calling sentry, using the public keys published as a JSON Web Key Set.
+ * Tokens are signed with the active key of the key store in the directory
+ * given by the 'jwtkeydir' configuration option, or otherwise with the
+ * private key at the path given by the 'jwtkey' option. RS256 is used for
+ * RSA keys and ES256 for P-256 EC keys.
+ * @module lib/jwt
+ * @copyright 2017 Genome Research Ltd
+ * @author Andrew Nowak
+ */
+
+/**
+ * @external node-jose
+ * @see {@link https://github.com/cisco/node-jose|node-jose}
+ */
+const jose = require('node-jose');
+
+const config   = require('./config.js');
+const keystore = require('./keystore.js');
+const logger   = require('./logger.js');
+
+// Keys are read from the key store again once they are this old, so that
+// rotation does not need a restart.
+const KEY_STORE_RELOAD = 60 * 1000;
+
+let p_keys;
+let loaded;
+
+/**
+ * Loads the signing and published keys, reloading them from the key store
+ * if they are old.
+ * @private
+ * @return {Promise} Fulfills with an Object of form {signing, published}.
+ *   signing is undefined if there is no key to sign with.
+ */
+function _getKeys() {
+  let opts = config.provide();
+  let keyDir = opts.get('jwtkeydir');
+  if (p_keys && !(keyDir && Date.now() - loaded > KEY_STORE_RELOAD)) {
+    return p_keys;
+  }
+  loaded = Date.now();
+  if (keyDir) {
+    p_keys = keystore.load(keyDir);
+  } else if (opts.get('jwtkey')) {
+    p_keys = keystore.readKey(opts.get('jwtkey')).then(function(key) {
+      return {signing: key, published: [key]};
+    });
+  } else {
+    p_keys = Promise.resolve({published: []});
+  }
+  p_keys.then(function(keys) {
+    if (keys.signing) {
+      logger.info(`Signing JWTs with ${keys.signing.alg} key ${keys.signing.kid}`);
+    }
+  }, function(reason) {
+    logger.error('Failed to load JWT signing keys: ' + reason);
+  });
+  return p_keys;
+}
+
+/**
+ * Decides whether JWTs can be issued.
+ * @alias module:lib/jwt.isEnabled
+ * @return {Boolean} true if the 'jwtkey' option is set
+ */
+let isEnabled = () => {
+  let opts = config.provide();
+  return Boolean(opts.get('jwtkeydir') || opts.get('jwtkey'));
+};
+
+/**
+ * Signs a set of claims as a compact serialised JWT.
+ * @alias module:lib/jwt.sign
+ * @param {Object} claims - JWT claims, such as sub and exp
+ * @return {Promise} Fulfills with the JWT, or rejects if there is no key to
+ *   sign with.
+ */
+let sign = (claims) => {
+  return _getKeys().then(function(keys) {
+    if (!keys.signing) {
+      throw new Error('No active JWT signing key is configured');
+    }
+    return jose.JWS.createSign({format: 'compact', fields: {typ: 'JWT'}}, keys.signing)
+      .update(JSON.stringify(claims))
+      .final();
+  });
+};
+
+/**
+ * Gets the public keys which JWTs may be signed with, including keys which
+ * will be used next.
+ * @alias module:lib/jwt.publicKeys
+ * @return {Promise} Fulfills with a JSON Web Key Set, of the form
+ *   {keys: [...]}. The set is empty if JWTs are not enabled.
+ */
+let publicKeys = () => {
+  return _getKeys().then(function(keys) {
+    return {keys: keys.published.map(function(key) {
+      return key.toJSON();
+    })};
+  });
+};
+
+module.exports = {
+  isEnabled,
+  sign,
+  publicKeys,
+};
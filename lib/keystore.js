@@ -0,0 +1,233 @@
+'use strict';
+
+/**
+ * Store of signing keys, so that keys can be rotated without invalidating
+ * everything signed with the previous key. Keys are PEM files in a directory
+ * per state:
+ *
+ *   next     published, so that verifiers can fetch them in advance
+ *   active   published; the most recently promoted is used for signing
+ *   retired  neither published nor used
+ *
+ * Each file is named after the key's id, its JWK thumbprint.
+ * @module lib/keystore
+ * @copyright 2017 Genome Research Ltd
+ * @author Andrew Nowak
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const jose = require('node-jose');
+
+const constants = require('./constants.js');
+
+const STATES = [
+  constants.KEY_STATE_NEXT,
+  constants.KEY_STATE_ACTIVE,
+  constants.KEY_STATE_RETIRED,
+];
+
+const KEY_EXT = '.pem';
+
+const KEY_TYPES = {
+  RSA: {args: [2048], alg: 'RS256'},
+  EC:  {args: ['P-256'], alg: 'ES256'},
+};
+
+/**
+ * Creates a directory, readable only by its owner, if it does not exist.
+ * @private
+ * @param {String} dir
+ */
+function _ensureDir(dir) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, 0o700);
+  }
+}
+
+/**
+ * Algorithm used to sign with a key.
+ * @private
+ * @param {Object} key - node-jose key
+ * @return {String} JWS algorithm, or undefined if the key is not supported
+ */
+function _algorithm(key) {
+  if (key.kty === 'RSA') {
+    return KEY_TYPES.RSA.alg;
+  }
+  if (key.kty === 'EC' && key.get('crv') === 'P-256') {
+    return KEY_TYPES.EC.alg;
+  }
+  return undefined;
+}
+
+/**
+ * Reads a PEM private key.
+ * @alias module:lib/keystore.readKey
+ * @param {String} file - path of the PEM file
+ * @return {Promise} Fulfills with a node-jose key, with alg and use set for
+ *   signing. Rejects if the key cannot be read, is not private, or is not an
+ *   RSA or P-256 EC key.
+ */
+let readKey = (file) => {
+  return new Promise(function(resolve) {
+    resolve(fs.readFileSync(file));
+  }).then(function(pem) {
+    return jose.JWK.asKey(pem, 'pem');
+  }).then(function(key) {
+    let alg = _algorithm(key);
+    if (!alg || !key.has('d', true)) {
+      throw new Error(`${file} must be a private RSA or P-256 EC key`);
+    }
+    return jose.JWK.asKey(Object.assign(key.toJSON(true), {alg, use: 'sig'}));
+  });
+};
+
+/**
+ * Lists the keys in a key store.
+ * @alias module:lib/keystore.list
+ * @param {String} dir - directory of the key store
+ * @return {Object[]} Objects of form {kid, state, file, modified}, where
+ *   modified is when the key was created or last changed state. Sorted with
+ *   the most recently modified first.
+ */
+let list = (dir) => {
+  let keys = [];
+  STATES.forEach(function(state) {
+    let stateDir = path.join(dir, state);
+    if (!fs.existsSync(stateDir)) {
+      return;
+    }
+    fs.readdirSync(stateDir).forEach(function(name) {
+      if (path.extname(name) !== KEY_EXT) {
+        return;
+      }
+      let file = path.join(stateDir, name);
+      keys.push({
+        kid:      path.basename(name, KEY_EXT),
+        state:    state,
+        file:     file,
+        modified: fs.statSync(file).mtime,
+      });
+    });
+  });
+  return keys.sort(function(a, b) {
+    return b.modified - a.modified;
+  });
+};
+
+/**
+ * Loads the keys of a key store which are in use.
+ * @alias module:lib/keystore.load
+ * @param {String} dir - directory of the key store
+ * @return {Promise} Fulfills with an Object of form {signing, published},
+ *   where signing is the node-jose key to sign with, or undefined if there is
+ *   no active key, and published is an Array of the next and active keys.
+ */
+let load = (dir) => {
+  let entries;
+  try {
+    entries = list(dir).filter(function(entry) {
+      return entry.state !== constants.KEY_STATE_RETIRED;
+    });
+  } catch (e) {
+    return Promise.reject(e);
+  }
+  return Promise.all(entries.map(function(entry) {
+    return readKey(entry.file);
+  })).then(function(keys) {
+    let signing;
+    entries.forEach(function(entry, i) {
+      if (!signing && entry.state === constants.KEY_STATE_ACTIVE) {
+        signing = keys[i];
+      }
+    });
+    return {signing, published: keys};
+  });
+};
+
+/**
+ * Generates a new key in the next state.
+ * @alias module:lib/keystore.generate
+ * @param {String} dir - directory of the key store
+ * @param {String} [type=EC] - 'RSA' or 'EC'
+ * @return {Promise} Fulfills with the id of the new key.
+ */
+let generate = (dir, type) => {
+  type = type || 'EC';
+  let keyType = KEY_TYPES[type];
+  if (!keyType) {
+    return Promise.reject(new Error(`Unknown key type ${type}`));
+  }
+  let keyStore = jose.JWK.createKeyStore();
+  return keyStore.generate.apply(keyStore, [type].concat(keyType.args))
+    .then(function(key) {
+      let nextDir = path.join(dir, constants.KEY_STATE_NEXT);
+      _ensureDir(dir);
+      _ensureDir(nextDir);
+      fs.writeFileSync(
+        path.join(nextDir, key.kid + KEY_EXT), key.toPEM(true), {mode: 0o600}
+      );
+      return key.kid;
+    });
+};
+
+/**
+ * Moves a key to another state, marking it as modified now.
+ * @private
+ * @param {String} dir - directory of the key store
+ * @param {String} kid - id of the key
+ * @param {String[]} from - states the key may be moved from
+ * @param {String} to - new state of the key
+ * @throws {Error} if the key is not in one of the expected states
+ */
+function _move(dir, kid, from, to) {
+  let entry = list(dir).find(function(e) {
+    return e.kid === kid;
+  });
+  if (!entry || from.indexOf(entry.state) < 0) {
+    throw new Error(`No key ${kid} in state ${from.join(' or ')}`);
+  }
+  let toDir = path.join(dir, to);
+  _ensureDir(toDir);
+  let file = path.join(toDir, kid + KEY_EXT);
+  fs.renameSync(entry.file, file);
+  let now = new Date();
+  fs.utimesSync(file, now, now);
+}
+
+/**
+ * Promotes a next key to active, so that it is used for signing. Keys which
+ * were already active stay published, so that what they signed can still be
+ * verified until they are retired.
+ * @alias module:lib/keystore.promote
+ * @param {String} dir - directory of the key store
+ * @param {String} kid - id of the key
+ * @throws {Error} if there is no next key with this id
+ */
+let promote = (dir, kid) => {
+  _move(dir, kid, [constants.KEY_STATE_NEXT], constants.KEY_STATE_ACTIVE);
+};
+
+/**
+ * Retires a next or active key, so that it is no longer published.
+ * @alias module:lib/keystore.retire
+ * @param {String} dir - directory of the key store
+ * @param {String} kid - id of the key
+ * @throws {Error} if there is no next or active key with this id
+ */
+let retire = (dir, kid) => {
+  _move(dir, kid,
+    [constants.KEY_STATE_NEXT, constants.KEY_STATE_ACTIVE],
+    constants.KEY_STATE_RETIRED);
+};
+
+module.exports = {
+  readKey,
+  list,
+  load,
+  generate,
+  promote,
+  retire,
+};
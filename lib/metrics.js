@@ -0,0 +1,167 @@
+'use strict';
+
+/**
+ * Metrics of the server, exposed in the Prometheus text format. Requests are
+ * counted and timed per route, validation decisions and token operations are
+ * counted, and MongoDB commands are timed using the driver's instrumentation.
+ * Metrics are kept by prom-client, in a registry of their own rather than its
+ * global one, so that this module can be loaded again, as it is by tests.
+ * @module lib/metrics
+ * @copyright 2017 Genome Research Ltd
+ * @author Andrew Nowak
+ */
+
+const mongodb = require('mongodb');
+const client  = require('prom-client');
+
+/**
+ * Upper bounds, in seconds, of the buckets of histograms of durations.
+ * @const
+ * @default
+ * @type {Number[]}
+ */
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const registry = new client.Registry();
+
+/**
+ * Content type of the Prometheus text format.
+ * @const
+ * @type {String}
+ */
+const CONTENT_TYPE = registry.contentType;
+
+let instrumentation;
+
+/**
+ * Requests handled, by method, route and status code.
+ * @type {external:prom-client.Counter}
+ */
+const httpRequests = new client.Counter({
+  name:       'sentry_http_requests_total',
+  help:       'Number of HTTP requests handled, by route',
+  labelNames: ['method', 'route', 'status'],
+  registers:  [registry],
+});
+
+/**
+ * Time taken to handle requests, by method and route.
+ * @type {external:prom-client.Histogram}
+ */
+const httpDuration = new client.Histogram({
+  name:       'sentry_http_request_duration_seconds',
+  help:       'Time taken to handle HTTP requests, by route',
+  labelNames: ['method', 'route'],
+  buckets:    DURATION_BUCKETS,
+  registers:  [registry],
+});
+
+/**
+ * Validation decisions, by type ('token' or 'user') and decision ('allow'
+ * or 'deny').
+ * @type {external:prom-client.Counter}
+ */
+const validations = new client.Counter({
+  name:       'sentry_validations_total',
+  help:       'Number of validation decisions',
+  labelNames: ['type', 'decision'],
+  registers:  [registry],
+});
+
+/**
+ * Token operations, by operation, one of the TOKEN_OPERATION_ values of
+ * {@link module:lib/constants}.
+ * @type {external:prom-client.Counter}
+ */
+const tokenOperations = new client.Counter({
+  name:       'sentry_token_operations_total',
+  help:       'Number of tokens created, revoked and renewed',
+  labelNames: ['operation'],
+  registers:  [registry],
+});
+
+/**
+ * Time taken by MongoDB commands, by command name.
+ * @type {external:prom-client.Histogram}
+ */
+const dbDuration = new client.Histogram({
+  name:       'sentry_db_command_duration_seconds',
+  help:       'Time taken by MongoDB commands',
+  labelNames: ['command'],
+  buckets:    DURATION_BUCKETS,
+  registers:  [registry],
+});
+
+/**
+ * Valid tokens, by state ('active' or 'expired'). Set when metrics are
+ * requested.
+ * @type {external:prom-client.Gauge}
+ */
+const tokens = new client.Gauge({
+  name:       'sentry_tokens',
+  help:       'Number of tokens which have not been revoked',
+  labelNames: ['state'],
+  registers:  [registry],
+});
+
+/**
+ * Express middleware which counts and times requests. Only requests which
+ * match a route are recorded, labelled with the route's path, so that the
+ * number of labels does not grow with the number of distinct urls.
+ * @alias module:lib/metrics.requestMiddleware
+ * @param {express.Request} req
+ * @param {express.Response} res
+ * @param {Function} next
+ */
+let requestMiddleware = (req, res, next) => {
+  let started = process.hrtime();
+  res.on('finish', function() {
+    if (!req.route) {
+      return;
+    }
+    let elapsed = process.hrtime(started);
+    let route = req.route.path;
+    httpRequests.inc({method: req.method, route, status: res.statusCode});
+    httpDuration.observe({method: req.method, route}, elapsed[0] + elapsed[1] / 1e9);
+  });
+  next();
+};
+
+/**
+ * Starts timing MongoDB commands. Does nothing if already started.
+ * @alias module:lib/metrics.instrumentDb
+ */
+let instrumentDb = () => {
+  if (instrumentation) {
+    return;
+  }
+  instrumentation = mongodb.instrument();
+  let observe = function(event) {
+    dbDuration.observe({command: event.commandName}, event.duration / 1000);
+  };
+  instrumentation.on('succeeded', observe);
+  instrumentation.on('failed', observe);
+};
+
+/**
+ * Formats all metrics in the Prometheus text format.
+ * @alias module:lib/metrics.format
+ * @return {String}
+ */
+let format = () => {
+  return registry.metrics({timestamps: false});
+};
+
+module.exports = {
+  CONTENT_TYPE,
+  DURATION_BUCKETS,
+  httpRequests,
+  httpDuration,
+  validations,
+  tokenOperations,
+  dbDuration,
+  tokens,
+  requestMiddleware,
+  instrumentDb,
+  format,
+};
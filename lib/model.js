@@ -8,8 +8,8 @@
  */
 
 // This module uses 'p_' prefix to signify promises
-// e.g., p_db is a promise that, when fulfilled,
-// provides the db object.
+// e.g., p_tokens is a promise that, when fulfilled,
+// provides an Array of tokens.
 
 /**
  * @external assert
@@ -29,42 +29,46 @@ const randomBytes = require('crypto').randomBytes;
  */
 const moment      = require('moment');
 
-/**
- * @external mongodb
- * @see {@link http://mongodb.github.io/node-mongodb-native/2.2/api/|mongodb}
- */
-const MongoClient = require('mongodb').MongoClient;
-
-const constants = require('./constants.js');
-const config    = require('./config.js');
-const dbConn    = require('./db_conn.js');
-const logger    = require('./logger.js');
+const cache        = require('./cache.js');
+const chain        = require('./chain.js');
+const constants    = require('./constants.js');
+const config       = require('./config.js');
+const dbConn       = require('./db_conn.js');
+const invalidation = require('./invalidation.js');
+const jwt          = require('./jwt.js');
+const logger       = require('./logger.js');
+const metrics      = require('./metrics.js');
+const storage      = require('./storage.js');
+const tokenHash    = require('./token_hash.js');
 
+const TOKEN_NOT_RENEWABLE  = constants.TOKEN_NOT_RENEWABLE;
 const UNEXPECTED_NUM_DOCS  = constants.UNEXPECTED_NUM_DOCS;
+const TOKEN_CHANGED        = constants.TOKEN_CHANGED;
 const USER_NOT_TOKEN_OWNER = constants.USER_NOT_TOKEN_OWNER;
 
 /**
- * Returns a function which gets a collection from the database. Should be
- * passed as a parameter to a promise chain
- * @example new Promise(getDB).then(getCollection('my_collection'));
- * @param {String} collName - name of desired collection
- * @return Function
- */
-function getCollection(collName) {
-  return function(db) {
-    logger.debug('Searching for collection ' + collName);
-    return new Promise(function(resolve, reject) {
-      db.collection(collName, function(err, collection) {
-        if (err) {
-          reject(err);
-        } else {
-          logger.debug('Found collection ' + collName);
-          resolve(collection);
-        }
-      });
-    });
-  };
-}
+ * Number of tokens returned by a search if no limit is requested.
+ * @const
+ * @default
+ * @type {Number}
+ */
+const SEARCH_DEFAULT_LIMIT = 50;
+
+/**
+ * Largest number of tokens returned by a search.
+ * @const
+ * @default
+ * @type {Number}
+ */
+const SEARCH_MAX_LIMIT = 500;
+
+/**
+ * Period in which the 'maxdailytokens' option limits the number of tokens
+ * created for a user, counted back from now.
+ * @const
+ * @type {Object}
+ */
+const QUOTA_PERIOD = moment.duration(1, 'days');
 
 /**
  * Used to validate that a value is defined, and optionally is of expected type.
@@ -101,36 +105,36 @@ function _validateNoEmptyString(scope, name, value, type) {
 }
 
 /**
- * Promise which takes the value of a mongodb.MongoClient connection when
- * resolved.
- *
- * @type Promise
- * @TODO probably these variables should not be in the whole module scope
+ * Validates that an optional requested token lifetime is a positive number.
+ * @private
+ * @param {String} scope - used to identify where the value is from in errors
+ * @param {Number} [lifetime] - requested lifetime in seconds
+ * @throws external:assert.AssertionError
  */
-let p_db = MongoClient.connect(config.provide().get('mongourl'));
-
-p_db.then(function() {
-  logger.debug('Successfully connected to database');
-});
-
-p_db.catch(function(reason) {
-  logger.error(reason);
-  throw reason;
-});
+function _validateLifetime(scope, lifetime) {
+  if ( typeof lifetime !== 'undefined' ) {
+    assert(typeof lifetime === 'number' && isFinite(lifetime) && lifetime > 0,
+           `${scope}: lifetime must be a positive number`);
+  }
+}
 
 /**
- * Promise which takes the value of the 'tokens' mongodb.Collection when
- * resolved.
- *
- * @type Promise
- * @TODO probably these variables should not be in the whole module scope
+ * Validates that an optional list of scopes is a non-empty Array of
+ * non-empty strings.
+ * @private
+ * @param {String} scope - used to identify where the value is from in errors
+ * @param {String[]} [scopes] - groups a token is restricted to
+ * @throws external:assert.AssertionError
  */
-let p_collection = p_db.then(getCollection(constants.COLLECTION_TOKENS));
-
-p_collection.catch(function(reason) {
-  logger.error(reason);
-  throw reason;
-});
+function _validateScopes(scope, scopes) {
+  if ( typeof scopes !== 'undefined' ) {
+    assert(scopes instanceof Array && scopes.length > 0,
+           `${scope}: scopes must be a non-empty Array`);
+    scopes.forEach(function(group) {
+      _validateNoEmptyString(scope, 'scopes entry', group, 'string');
+    });
+  }
+}
 
 /**
  * Generates a new 32 character, base64 string.
@@ -154,200 +158,379 @@ function generateTokenPromise() {
 }
 
 /**
- * Finds all matching tokens in {@link p_collection}. May return zero or
- * multiple matches.
- * @param {String} token - token string to find.
- * @return Promise
+ * Gets the only document found in storage.
+ * @private
+ * @param {Object[]} docs - every matching document
+ * @return {Promise} Fulfills with the document if there is exactly one,
+ *   otherwise rejects with a {@link DbError}.
  */
-function findMatchingTokens(token) {
-  return p_collection.then(function(collection) {
-    logger.debug('Searching database for token: ' + token);
-    let query = {token: token};
-    // This will automatically reject if collection.find() throws an error.
-    // No need to manually catch and reject.
-    return collection.find(query);
-  });
+function _onlyDoc(docs) {
+  logger.debug('Checking storage only found one result');
+  return docs.length === 1 ? Promise.resolve(docs[0])
+                           : Promise.reject(new dbConn.DbError(UNEXPECTED_NUM_DOCS));
 }
 
 /**
- * Returns a function which will find the next document in the cursor.
- * Should be called as a parameter to a promise chain.
- * @example cursorHasExactlyOneDoc(p_cursor)
- *   .then(getDocument(p_cursor))
- *   .then(function(doc) {...
- * @param {Promise} p_cursor - promise which takes value of a mongodb.Cursor
- *   when fulfilled
- * @return Function
- */
-function getDocument(p_cursor) {
-  return function() {
-    return p_cursor.then(function(cursor) {
-      logger.debug('Retrieving next document from cursor');
-      return cursor.next();
-    });
-  };
-}
-
-/**
- * Checks that a cursor only contains one result. Returned promise rejects if
- * there was no results or more than one.
- *
- * @param {Promise} p_cursor - takes value of a mongodb.Cursor when fulfilled.
- * @return {Promise} Fulfills if only one token exists in the db, otherwise
- *   rejects with a {@link DbError}.
- */
-function cursorHasExactlyOneDoc(p_cursor) {
-  return p_cursor.then(function(cursor) {
-    logger.debug('Checking db only found one result');
-    return cursor.count();
-  })
-  .then(function(count) {
-    return count === 1 ? Promise.resolve()
-                       : Promise.reject(new dbConn.DbError(UNEXPECTED_NUM_DOCS));
-  });
+ * Works out how long a token should be valid for. Tokens are valid for
+ * {@link module:lib/constants.TOKEN_DURATION} units unless a lifetime is
+ * requested, and never for longer than the 'maxtokenlifetime' option.
+ * @private
+ * @param {Number} [lifetime] - requested lifetime in seconds
+ * @return {Object} a moment duration
+ */
+function _tokenDuration(lifetime) {
+  // Value is a string when passed on the command line
+  let maxDuration = moment.duration(
+    Number(config.provide().get('maxtokenlifetime')), 'seconds'
+  );
+  let duration = lifetime
+    ? moment.duration(lifetime, 'seconds')
+    : moment.duration(constants.TOKEN_DURATION, constants.TOKEN_DURATION_UNIT);
+  return duration.asSeconds() > maxDuration.asSeconds() ? maxDuration : duration;
 }
 
 /**
- * Creates an object to be inserted into the database, containing the token
- * and assorted metadata.
+ * Creates an object to be inserted into the database, containing the hash of
+ * the token and assorted metadata.
  * @private
- * @param {String} token
+ * @param {String} hash - hash of the token
  * @param {String} tokenOwner - the owner of the token, will be saved in the
  *                              first layer of the token..
  * @param {String} user - the user of the application, will be saved in the
  *                        history.
  * @param {String} justification - a manually entered reason for this
  *   token's generation
+ * @param {Object} validDuration - a moment duration for which the token will
+ *   be valid
+ * @param {String[]} [scopes] - groups the token is restricted to. If not
+ *   defined, the token is not restricted beyond the groups of its owner.
  * @return {Object}
  */
-function _buildToken(token, tokenOwner, user, justification) {
+function _buildToken(hash, tokenOwner, user, justification, validDuration, scopes) {
   let now = moment();
-  let validDuration = moment.duration(
-    constants.TOKEN_DURATION, constants.TOKEN_DURATION_UNIT
-  );
-  return {
-    token:      token,
+  let expiryTime = now.clone().add(validDuration).format();
+  let doc = {
+    hash:       hash,
     status:     constants.TOKEN_STATUS_VALID,
     user:       tokenOwner,
-    expiryTime: now.clone().add(validDuration).format(),
-    hist: [{
+    expiryTime: expiryTime,
+    hist: [chain.link({
       operation:      constants.TOKEN_OPERATION_CREATE,
       operating_user: user,
       time:           now.format(),
-      reason:         justification
-    }]
+      reason:         justification,
+      status:         constants.TOKEN_STATUS_VALID,
+      expiryTime:     expiryTime
+    })]
   };
+  if (scopes) {
+    doc.scopes = scopes;
+  }
+  return doc;
 }
 
 /**
- * Creates a token, inserts it into the database.
+ * Creates a token, inserts its hash into the database.
  * @alias module:lib/model.createToken
  * @param {String} tokenOwner - the user who the token belongs to.
  * @param {String} user - the current user of the application.
  * @param {String} justification - the reason for the token's creation.
+ * @param {Object} [options]
+ * @param {Number} [options.lifetime] - requested lifetime of the token in
+ *   seconds. Capped by the 'maxtokenlifetime' option.
+ * @param {String[]} [options.scopes] - groups the token is restricted to.
+ *   The token will only authorise the bearer for groups in this list, which
+ *   the owner is also a member of.
+ * @param {Boolean} [options.override=false] - create the token even if the
+ *   owner has reached a quota, see {@link module:lib/model.tokenUsage}
  * @returns {Promise} Promise is either fulfilled with an Object containing the
- *   token and its metadata, or rejected with any error that occurred.
+ *   token and its metadata, or rejected with any error that occurred. This is
+ *   the only time the plaintext token is available. If JWTs are enabled, the
+ *   Object also contains a signed JWT, see {@link module:lib/jwt}. Rejects
+ *   with an Error with statusCode 429 if the owner has reached a quota.
  */
-let createToken = (tokenOwner, user, justification) => {
+let createToken = (tokenOwner, user, justification, options) => {
   // TODO what if user is unknown?
+  options = options || {};
   try {
     let fName = 'createToken';
     _validateNoEmptyString(fName, 'tokenOwner', tokenOwner, 'string');
     _validateNoEmptyString(fName, 'user', user, 'string');
     _validateNoEmptyString(fName, 'justification', justification, 'string');
+    _validateLifetime(fName, options.lifetime);
+    _validateScopes(fName, options.scopes);
   } catch ( e ) {
     return Promise.reject(e);
   }
 
-  return generateTokenPromise().then(function(token) {
-    let doc = _buildToken(token, tokenOwner, user, justification);
-    return p_collection.then(function(collection) {
-      logger.debug('Inserting new token into database');
-      return collection.insertOne(doc)
-        .then(function() {
-          return Promise.resolve(doc);
+  let p_allowed = options.override ? Promise.resolve() : _checkQuota(tokenOwner);
+
+  return p_allowed.then(generateTokenPromise).then(function(token) {
+    let doc = _buildToken(
+      tokenHash.hashToken(token), tokenOwner, user, justification,
+      _tokenDuration(options.lifetime), options.scopes
+    );
+    logger.debug('Inserting new token into storage');
+    return storage.provide().insertToken(doc)
+      .then(function() {
+        metrics.tokenOperations.inc({operation: constants.TOKEN_OPERATION_CREATE});
+        return Promise.resolve(Object.assign({token}, doc));
+      })
+      .then(function(created) {
+        if (!jwt.isEnabled()) {
+          return created;
+        }
+        return _issueJwt(doc).then(function(signed) {
+          created.jwt = signed;
+          return created;
         });
-    });
+      });
   })
   .catch(function(reason) {
-    logger.error(reason);
+    if (reason.statusCode === 429) {
+      // Reaching a quota is not an error of the server
+      logger.warn(reason.message);
+    } else {
+      logger.error(reason);
+    }
     return Promise.reject(reason);
   });
 };
 
 /**
- * Updates a token in the database.
+ * Checks that a user may have another token under the 'maxvalidtokens' and
+ * 'maxdailytokens' options. Concurrent creations for the same user may each
+ * pass the check, so a quota can be exceeded by those.
+ * @private
+ * @param {String} tokenOwner
+ * @return {Promise} Rejects with an Error with statusCode 429 if the owner
+ *   has reached a quota.
+ */
+function _checkQuota(tokenOwner) {
+  return tokenUsage(tokenOwner).then(function(usage) {
+    let message;
+    if (usage.validLimit && usage.valid >= usage.validLimit) {
+      message = constants.VALID_TOKENS_QUOTA_REACHED;
+    } else if (usage.createdLimit && usage.created >= usage.createdLimit) {
+      message = constants.DAILY_TOKENS_QUOTA_REACHED;
+    }
+    if (message) {
+      let err = new Error(`${message}: ${tokenOwner}`);
+      err.statusCode = 429;
+      throw err;
+    }
+  });
+}
+
+/**
+ * Issues a signed JWT for a newly created token. The JWT contains a snapshot
+ * of the groups the token authorises, so is not affected by later changes to
+ * the owner's groups or the token's status.
+ * @private
+ * @param {Object} doc - document of the token, after insertion
+ * @return {Promise} Fulfills with the compact serialised JWT.
+ */
+function _issueJwt(doc) {
+  return _orUndefinedIfNotFound(_findUserDoc(doc.user)).then(function(userDoc) {
+    return jwt.sign({
+      sub:    doc.user,
+      groups: _tokenGroups(doc, userDoc),
+      iat:    moment(doc.hist[0].time).unix(),
+      exp:    moment(doc.expiryTime).unix(),
+      jti:    String(doc._id),
+    });
+  });
+}
+
+/**
+ * Updates a token in storage. The entry appended to the history of the token
+ * records the status and expiry time of the token after the update, and is
+ * linked to the previous entry, see {@link module:lib/chain}. The update
+ * only applies if the history has not changed since doc was read, so that
+ * two entries can not follow the same previous entry.
  * @private
  * @param {Object} doc
- * @param {String} doc.token - the token which is to be updated.
- * @param {Object} update - a MongoDB update document to be applied upon doc.
- *   See: {@link https://docs.mongodb.com/manual/tutorial/update-documents/}
- * @return Promise Fulfills on completion with the value of the new document.
- */
-function _updateToken(doc, update) {
-  return p_collection.then(function(collection) {
-    logger.debug('Updating token ' + doc.token +
-                 '; update obj ' + JSON.stringify(update));
-    return collection.findOneAndUpdate({token: doc.token}, update, {returnOriginal: false})
-      .then(function(updateRes) {
-        return updateRes.value;
+ * @param {String} doc.hash - hash of the token which is to be updated.
+ * @param {Object[]} doc.hist - history of the token when it was read.
+ * @param {Object} changes - values of the fields of the token to set
+ * @param {Object} entry - entry to append to the history of the token
+ * @return Promise Fulfills on completion with the value of the new document,
+ *   or rejects with a {@link DbError} with statusCode 409 if the token has
+ *   been changed since doc was read.
+ */
+function _updateToken(doc, changes, entry) {
+  let hist = doc.hist || [];
+  entry.status = changes.status || doc.status;
+  entry.expiryTime = changes.expiryTime || doc.expiryTime;
+  try {
+    chain.link(entry, hist[hist.length - 1]);
+  } catch (e) {
+    return Promise.reject(e);
+  }
+  logger.debug('Updating token ' + doc.hash +
+               '; changes ' + JSON.stringify(changes));
+  let histLength = doc.hist ? hist.length : undefined;
+  return storage.provide().updateToken(doc.hash, histLength, changes, entry)
+    .then(function(updated) {
+      if (!updated) {
+        let err = new dbConn.DbError(TOKEN_CHANGED);
+        err.statusCode = 409;
+        throw err;
+      }
+      // Validation must not use the cached document from before the update,
+      // in this or any other process
+      cache.tokens.delete(doc.hash);
+      metrics.tokenOperations.inc({operation: entry.operation});
+      return invalidation.publishToken(doc.hash).then(function() {
+        return updated;
       });
+    });
+}
+
+/**
+ * Finds the single document of a token in storage, bypassing the cache.
+ * @private
+ * @param {String} hash - hash of the token
+ * @param {Boolean} [forValidation=false] - whether the token is read to
+ *   validate it, rather than to change it
+ * @return {Promise} Fulfills with the document, or rejects with a
+ *   {@link DbError} if there is not exactly one matching token.
+ */
+function _readTokenDoc(hash, forValidation) {
+  logger.debug('Searching storage for token hash: ' + hash);
+  return storage.provide().findTokens([hash], forValidation).then(_onlyDoc);
+}
+
+/**
+ * Finds the single document of a token, and checks that it belongs to the
+ * expected owner.
+ * @private
+ * @param {String} tokenOwner
+ * @param {String} hash - hash of the token
+ * @return {Promise} Fulfills with the document of the token, or rejects if
+ *   there is not exactly one matching token or it has a different owner.
+ */
+function _findOwnedToken(tokenOwner, hash) {
+  // Make sure token owner matches to value in database
+  return _readTokenDoc(hash).then(function(doc) {
+    return tokenOwner === doc.user ? Promise.resolve(doc)
+                                   : Promise.reject(new Error(USER_NOT_TOKEN_OWNER));
   });
 }
 
 /**
  * Revokes a token in the database.
  * @alias module:lib/model.revokeToken
+ * @param {String} tokenOwner
  * @param {String} user
- * @param {String} token
+ * @param {String} hash - hash of the token to revoke, see
+ *   {@link module:lib/token_hash.hashToken}
  * @param {String} justification
  * @return {Promise} Fulfills on completion with the document of the revoked
  *   token.
  */
-let revokeToken = (tokenOwner, user, token, justification) => {
-  logger.debug('Revoking ' + token + ' for user ' + user);
+let revokeToken = (tokenOwner, user, hash, justification) => {
+  logger.debug('Revoking ' + hash + ' for user ' + user);
   try {
     let fName = 'revokeToken';
     _validateNoEmptyString(fName, 'tokenOwner', tokenOwner, 'string');
     _validateNoEmptyString(fName, 'user', user, 'string');
-    _validateNoEmptyString(fName, 'token', token, 'string');
+    _validateNoEmptyString(fName, 'hash', hash, 'string');
     _validateNoEmptyString(fName, 'justification', justification, 'string');
   } catch ( e ) {
     return Promise.reject(e);
   }
-  let p_cursor = findMatchingTokens(token);
-
-  // Need to be sure that there was only one instance of this token in the db
-  let p_onlyOneDoc = cursorHasExactlyOneDoc(p_cursor);
-
-  let p_document = p_onlyOneDoc.then(getDocument(p_cursor));
+  return _findOwnedToken(tokenOwner, hash).then(function(doc) {
+    return _updateToken(doc, {status: constants.TOKEN_STATUS_REVOKED}, {
+      operation:      constants.TOKEN_OPERATION_REVOKE,
+      operating_user: user,
+      time:           moment().format(),
+      reason:         justification
+    });
+  });
+};
 
-  // Make sure token owner matches to value in database
-  let p_correctUser = p_document.then(function(doc) {
-    return tokenOwner === doc.user ? Promise.resolve()
-                                   : Promise.reject(new Error(USER_NOT_TOKEN_OWNER));
+/**
+ * Revokes a token on behalf of its bearer, who need not be its owner, as in
+ * OAuth 2.0 token revocation (RFC 7009). Nothing is changed if the token is
+ * unknown or already revoked.
+ * @alias module:lib/model.revokeBearerToken
+ * @param {String} token - plaintext token presented by the bearer
+ * @param {String} [address] - network address of the bearer, recorded in
+ *   the history of the token
+ * @return {Promise} Fulfills on completion with the document of the revoked
+ *   token, or undefined if nothing was changed.
+ */
+let revokeBearerToken = (token, address) => {
+  logger.debug('Revoking token presented by bearer');
+  let hash;
+  try {
+    _validateNoEmptyString('revokeBearerToken', 'token', token, 'string');
+    hash = tokenHash.hashToken(token);
+  } catch ( e ) {
+    return Promise.reject(e);
+  }
+  return _orUndefinedIfNotFound(_readTokenDoc(hash)).then(function(doc) {
+    if (!doc || doc.status === constants.TOKEN_STATUS_REVOKED) {
+      return undefined;
+    }
+    let entry = {
+      operation: constants.TOKEN_OPERATION_BEARER_REVOKE,
+      time:      moment().format(),
+      reason:    constants.WEB_TOKEN_BEARER_REVOCATION_MSG
+    };
+    if (address) {
+      entry.address = address;
+    }
+    return _updateToken(doc, {status: constants.TOKEN_STATUS_REVOKED}, entry);
   });
+};
 
-  let p_updated = p_correctUser.then(function() {
-    return p_document.then(function(doc) {
-      let update = {
-        $set: {
-          status: constants.TOKEN_STATUS_REVOKED
-        },
-        $push: {
-          hist: {
-            operation:      constants.TOKEN_OPERATION_REVOKE,
-            operating_user: user,
-            time:           moment().format(),
-            reason:         justification
-          }
-        }
-      };
-      return _updateToken(doc, update);
+/**
+ * Renews a token in the database, so that it expires after a new lifetime
+ * starting now. Only valid tokens which have not yet expired can be renewed.
+ * @alias module:lib/model.renewToken
+ * @param {String} tokenOwner
+ * @param {String} user
+ * @param {String} hash - hash of the token to renew, see
+ *   {@link module:lib/token_hash.hashToken}
+ * @param {String} justification
+ * @param {Number} [lifetime] - requested lifetime of the token in seconds.
+ *   Capped by the 'maxtokenlifetime' option.
+ * @return {Promise} Fulfills on completion with the document of the renewed
+ *   token, or rejects with an Error with statusCode 409 if the token can not
+ *   be renewed.
+ */
+let renewToken = (tokenOwner, user, hash, justification, lifetime) => {
+  logger.debug('Renewing ' + hash + ' for user ' + user);
+  try {
+    let fName = 'renewToken';
+    _validateNoEmptyString(fName, 'tokenOwner', tokenOwner, 'string');
+    _validateNoEmptyString(fName, 'user', user, 'string');
+    _validateNoEmptyString(fName, 'hash', hash, 'string');
+    _validateNoEmptyString(fName, 'justification', justification, 'string');
+    _validateLifetime(fName, lifetime);
+  } catch ( e ) {
+    return Promise.reject(e);
+  }
+
+  return _findOwnedToken(tokenOwner, hash).then(function(doc) {
+    let now = moment();
+    if (doc.status !== constants.TOKEN_STATUS_VALID ||
+        (doc.expiryTime && now.isAfter(doc.expiryTime))) {
+      let err = new Error(TOKEN_NOT_RENEWABLE);
+      err.statusCode = 409;
+      return Promise.reject(err);
+    }
+    let expiryTime = now.clone().add(_tokenDuration(lifetime)).format();
+    return _updateToken(doc, {expiryTime: expiryTime}, {
+      operation:      constants.TOKEN_OPERATION_RENEW,
+      operating_user: user,
+      time:           now.format(),
+      reason:         justification,
+      expiryTime:     expiryTime
     });
   });
-
-  return p_updated;
 };
 
 
@@ -368,15 +551,521 @@ let listTokens = (user) => {
     return Promise.reject(e);
   }
 
-  return p_collection.then(function(collection) {
-    // sort so valid tokens at top
-    return collection.find({user}).sort('status', -1).toArray();
+  return storage.provide().listTokens(user);
+};
+
+/**
+ * Reads a quota option, 0 for none.
+ * @private
+ * @param {String} name - name of the option
+ * @return {Number}
+ */
+function _quota(name) {
+  // Value is a string when passed on the command line
+  return Number(config.provide().get(name)) || 0;
+}
+
+/**
+ * Reports how much of the quotas for creating tokens a user has used: the
+ * tokens of the user which are valid and have not expired, limited by the
+ * 'maxvalidtokens' option, and the tokens created for the user in the last
+ * day, limited by the 'maxdailytokens' option.
+ * @alias module:lib/model.tokenUsage
+ * @param {String} user
+ * @return {Promise} Fulfills with an Object of form
+ *   {valid, validLimit, created, createdLimit}. A limit of 0 is no limit.
+ */
+let tokenUsage = (user) => {
+  try {
+    _validateNoEmptyString('tokenUsage', 'user', user, 'string');
+  } catch (e) {
+    return Promise.reject(e);
+  }
+
+  return storage.provide().listTokens(user).then(function(docs) {
+    let now = moment();
+    let since = now.clone().subtract(QUOTA_PERIOD);
+    let usage = {
+      valid:        0,
+      validLimit:   _quota('maxvalidtokens'),
+      created:      0,
+      createdLimit: _quota('maxdailytokens'),
+    };
+    docs.forEach(function(doc) {
+      if (doc.status === constants.TOKEN_STATUS_VALID &&
+          !(doc.expiryTime && now.isAfter(doc.expiryTime))) {
+        usage.valid++;
+      }
+      let entry = _creationEntry(doc);
+      if (entry && since.isBefore(entry.time)) {
+        usage.created++;
+      }
+    });
+    return usage;
   });
 };
 
+/**
+ * Counts the tokens which have not been revoked, by whether they have
+ * expired.
+ * @alias module:lib/model.countTokens
+ * @return {Promise} Fulfills with an Object of form {active, expired}.
+ */
+let countTokens = () => {
+  return storage.provide().countValidTokens(new Date());
+};
+
+/**
+ * Finds the entry of the history of a token for its creation.
+ * @private
+ * @param {Object} doc - token document
+ * @return {Object} the entry, or undefined if the token has none
+ */
+function _creationEntry(doc) {
+  return (doc.hist || []).find(function(entry) {
+    return entry.operation === constants.TOKEN_OPERATION_CREATE;
+  });
+}
+
+/**
+ * Decides whether a time, stored as a string, is within a range. Tokens
+ * without the time are never within a range.
+ * @private
+ * @param {String} [time]
+ * @param {Date} [from] - start of the range, inclusive
+ * @param {Date} [to] - end of the range, exclusive
+ * @return {Boolean}
+ */
+function _within(time, from, to) {
+  if (!from && !to) {
+    return true;
+  }
+  if (!time) {
+    return false;
+  }
+  let value = moment(time).valueOf();
+  return (!from || value >= from.getTime()) && (!to || value < to.getTime());
+}
+
+/**
+ * Values by which searched tokens can be sorted.
+ * @private
+ */
+const SEARCH_SORT_KEYS = {
+  created: function(doc) {
+    let entry = _creationEntry(doc);
+    return entry ? moment(entry.time).valueOf() : 0;
+  },
+  expires: function(doc) {
+    return doc.expiryTime ? moment(doc.expiryTime).valueOf() : 0;
+  },
+  user: function(doc) {
+    return doc.user;
+  },
+  status: function(doc) {
+    return doc.status;
+  },
+};
+
+/**
+ * Finds the tokens matching filters, as for
+ * {@link module:lib/model.searchTokens}, in no particular order.
+ * @private
+ * @param {Object} filters
+ * @return {Promise} Fulfills with an Array of token documents.
+ */
+function _matchingTokens(filters) {
+  let backend = storage.provide();
+  let reason = filters.reason && filters.reason.toLowerCase();
+  let p_members = filters.group ? backend.listUsers().then(function(docs) {
+    let members = Object.create(null);
+    docs.forEach(function(doc) {
+      if ((doc.groups || []).indexOf(filters.group) >= 0) {
+        members[doc.user] = true;
+      }
+    });
+    return members;
+  }) : Promise.resolve();
+
+  let p_tokens = backend.selectTokens({
+    user:   filters.user,
+    status: filters.status,
+  });
+
+  return Promise.all([p_tokens, p_members]).then(function(values) {
+    let members = values[1];
+    return values[0].filter(function(doc) {
+      let created = _creationEntry(doc) || {};
+      return (!members || members[doc.user]) &&
+        (!filters.operator || created.operating_user === filters.operator) &&
+        _within(created.time, filters.createdFrom, filters.createdTo) &&
+        _within(doc.expiryTime, filters.expiresFrom, filters.expiresTo) &&
+        (!reason || (doc.hist || []).some(function(entry) {
+          return typeof entry.reason === 'string' &&
+                 entry.reason.toLowerCase().indexOf(reason) >= 0;
+        }));
+    });
+  });
+}
+
+/**
+ * Finds tokens of every user. Owner and status are matched by storage, but
+ * times are stored as strings with a timezone offset, and reasons are
+ * searched for as text, so the other filters, sorting and pagination are
+ * applied here.
+ * @alias module:lib/model.searchTokens
+ * @param {Object} [filters]
+ * @param {String} [filters.status] - only tokens with this status
+ * @param {String} [filters.user] - only tokens owned by this user
+ * @param {String} [filters.group] - only tokens owned by members of this
+ *   group
+ * @param {String} [filters.operator] - only tokens created by this
+ *   operating user
+ * @param {Date} [filters.createdFrom] - only tokens created at or after
+ *   this time
+ * @param {Date} [filters.createdTo] - only tokens created before this time
+ * @param {Date} [filters.expiresFrom] - only tokens expiring at or after
+ *   this time
+ * @param {Date} [filters.expiresTo] - only tokens expiring before this time
+ * @param {String} [filters.reason] - only tokens with an entry in their
+ *   history whose reason contains this text, ignoring case
+ * @param {String} [filters.sort='created'] - created, expires, user or
+ *   status
+ * @param {String} [filters.order='desc'] - asc or desc
+ * @param {Number} [filters.offset=0] - number of matching tokens to skip
+ * @param {Number} [filters.limit=50] - maximum number of tokens to return,
+ *   at most 500
+ * @return {Promise} Fulfills with an Object of form
+ *   {total, offset, limit, tokens}, where total is the number of matching
+ *   tokens.
+ */
+let searchTokens = (filters) => {
+  filters = filters || {};
+  let offset = filters.offset || 0;
+  let limit = Math.min(filters.limit || SEARCH_DEFAULT_LIMIT, SEARCH_MAX_LIMIT);
+  let sortKey = SEARCH_SORT_KEYS[filters.sort || 'created'];
+  let direction = filters.order === 'asc' ? 1 : -1;
+  try {
+    assert(sortKey, `searchTokens: can not sort by ${filters.sort}`);
+  } catch ( e ) {
+    return Promise.reject(e);
+  }
+
+  return _matchingTokens(filters).then(function(found) {
+    found.sort(function(a, b) {
+      let keyA = sortKey(a);
+      let keyB = sortKey(b);
+      if (keyA !== keyB) {
+        return (keyA < keyB ? -1 : 1) * direction;
+      }
+      // Tokens with the same key are always in the same order, so that
+      // pages do not overlap
+      return a.hash < b.hash ? -1 : a.hash > b.hash ? 1 : 0;
+    });
+    return {
+      total:  found.length,
+      offset,
+      limit,
+      tokens: found.slice(offset, offset + limit),
+    };
+  });
+};
+
+/**
+ * Revokes every valid token matching filters, in one operation, with the
+ * same justification in the history of each. Tokens changed by another
+ * request while being revoked are left to that change.
+ * @alias module:lib/model.revokeTokens
+ * @param {Object} filters - as for {@link module:lib/model.searchTokens},
+ *   except for status, sorting and pagination. At least one is required,
+ *   so that every token is not revoked by mistake.
+ * @param {String} user - operating user
+ * @param {String} justification
+ * @param {Number} [expected] - number of tokens which are expected to
+ *   match, as previewed with {@link module:lib/model.searchTokens}
+ * @return {Promise} Fulfills on completion with an Object of form
+ *   {matched, revoked, changed}: the numbers of tokens which matched, which
+ *   were revoked, and which were changed by another request. Rejects with
+ *   statusCode 409, revoking nothing, if the number of tokens which match is
+ *   not expected.
+ */
+let revokeTokens = (filters, user, justification, expected) => {
+  let criteria = {};
+  try {
+    let fName = 'revokeTokens';
+    _validate(fName, 'filters', filters, 'object');
+    [
+      'user', 'group', 'operator', 'reason',
+      'createdFrom', 'createdTo', 'expiresFrom', 'expiresTo',
+    ].forEach(function(name) {
+      if (filters[name]) {
+        criteria[name] = filters[name];
+      }
+    });
+    assert(Object.keys(criteria).length, `${fName}: filters must not be empty`);
+    _validateNoEmptyString(fName, 'user', user, 'string');
+    _validateNoEmptyString(fName, 'justification', justification, 'string');
+  } catch ( e ) {
+    return Promise.reject(e);
+  }
+  criteria.status = constants.TOKEN_STATUS_VALID;
+  logger.info(`Revoking tokens matching ${JSON.stringify(criteria)} for user ${user}`);
+
+  return _matchingTokens(criteria).then(function(docs) {
+    if (expected !== undefined && docs.length !== expected) {
+      let err = new Error(constants.TOKENS_NOT_AS_PREVIEWED);
+      err.statusCode = 409;
+      throw err;
+    }
+    let counts = {matched: docs.length, revoked: 0, changed: 0};
+    let time = moment().format();
+    // One at a time, so that a large revocation does not exhaust the
+    // connections to storage
+    return docs.reduce(function(p_previous, doc) {
+      return p_previous.then(function() {
+        return _updateToken(doc, {status: constants.TOKEN_STATUS_REVOKED}, {
+          operation:      constants.TOKEN_OPERATION_REVOKE,
+          operating_user: user,
+          time:           time,
+          reason:         justification
+        }).then(function() {
+          counts.revoked++;
+        }, function(reason) {
+          if (reason instanceof dbConn.DbError && reason.message === TOKEN_CHANGED) {
+            counts.changed++;
+            return;
+          }
+          throw reason;
+        });
+      });
+    }, Promise.resolve()).then(function() {
+      return counts;
+    });
+  });
+};
+
+/**
+ * Revokes every valid token of each user who is no longer current, such as
+ * a user who has left and was marked so when users were imported. Tokens
+ * changed by another request, or by the sweep of another process, while
+ * being revoked are left to that change.
+ * @alias module:lib/model.revokeDepartedTokens
+ * @return {Promise} Fulfills with the documents of the revoked tokens.
+ */
+let revokeDepartedTokens = () => {
+  let backend = storage.provide();
+  return backend.listUsers().then(function(docs) {
+    let departed = Object.create(null);
+    docs.forEach(function(doc) {
+      if (doc.current === false) {
+        departed[doc.user] = true;
+      }
+    });
+    if (!Object.keys(departed).length) {
+      return [];
+    }
+    return backend.findValidTokens().then(function(tokens) {
+      let revoked = [];
+      // One at a time, so that revoking the tokens of many users does not
+      // exhaust the connections to storage
+      return tokens.filter(function(doc) {
+        return departed[doc.user];
+      }).reduce(function(p_previous, doc) {
+        return p_previous.then(function() {
+          logger.info(`Revoking token ${doc.hash} of departed user ${doc.user}`);
+          return _updateToken(doc, {status: constants.TOKEN_STATUS_REVOKED}, {
+            operation: constants.TOKEN_OPERATION_DEPARTED_REVOKE,
+            time:      moment().format(),
+            reason:    constants.WEB_TOKEN_DEPARTED_REVOCATION_MSG
+          }).then(function(updated) {
+            revoked.push(updated);
+          }, function(reason) {
+            if (reason instanceof dbConn.DbError && reason.message === TOKEN_CHANGED) {
+              return;
+            }
+            throw reason;
+          });
+        });
+      }, Promise.resolve()).then(function() {
+        return revoked;
+      });
+    });
+  });
+};
+
+/**
+ * Decides whether all of the groups are in the list of allowed groups.
+ * @private
+ * @param {String[]} groups
+ * @param {String[]} allowed
+ * @return {Boolean}
+ */
+function _allGroupsIn(groups, allowed) {
+  return groups.every(function(val) {
+    return allowed.indexOf(val) >= 0;
+  });
+}
+
+/**
+ * Decides whether a token document, independently of its owner's group
+ * membership, may authorise the bearer for the list of groups. The token must
+ * be valid, must not have expired and, if it has scopes, all groups must be
+ * within them.
+ * @private
+ * @param {Object} doc - token document
+ * @param {String[]} groups
+ * @return {Boolean}
+ */
+function _tokenAuthorises(doc, groups) {
+  if (doc.status === constants.TOKEN_STATUS_REVOKED) {
+    return false;
+  }
+  let now = moment();
+  if (doc.expiryTime && now.isAfter(doc.expiryTime)) {
+    return false;
+  }
+  if (doc.scopes && !_allGroupsIn(groups, doc.scopes)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Lists the groups a token authorises the bearer for: the groups of its
+ * owner, within the token's scopes if it has any.
+ * @private
+ * @param {Object} doc - token document
+ * @param {Object} [userDoc] - document of the token's owner
+ * @return {String[]}
+ */
+function _tokenGroups(doc, userDoc) {
+  let groups = (userDoc && userDoc.groups) || [];
+  if (doc.scopes) {
+    groups = groups.filter(function(group) {
+      return doc.scopes.indexOf(group) >= 0;
+    });
+  }
+  return groups;
+}
+
+/**
+ * Decides whether a user document shows membership of all of the groups.
+ * Users who are no longer current are authorised for nothing, whatever
+ * groups remain in their document.
+ * @private
+ * @param {Object} doc - user document
+ * @param {String[]} groups
+ * @return {Boolean}
+ */
+function _userAuthorises(doc, groups) {
+  if (doc.current === false || !doc.groups) {
+    return false;
+  }
+  return _allGroupsIn(groups, doc.groups);
+}
+
+/**
+ * Gets a document from a cache, or finds it and adds it to the cache.
+ * @private
+ * @param {module:lib/cache~LRUCache} cached - cache to use
+ * @param {String} key - key of the document in the cache
+ * @param {Function} find - called if the document is not cached. Must return
+ *   a promise which fulfills with the document.
+ * @return {Promise} Fulfills with the document.
+ */
+function _findCached(cached, key, find) {
+  let doc = cached.get(key);
+  if (doc) {
+    return Promise.resolve(doc);
+  }
+  return find().then(function(found) {
+    cached.set(key, found);
+    return found;
+  });
+}
+
+/**
+ * Gets many documents from a cache, finding any which are not cached with a
+ * single query, and adding them to the cache.
+ * @private
+ * @param {module:lib/cache~LRUCache} cached - cache to use
+ * @param {String[]} keys - keys of the documents in the cache
+ * @param {String} field - name of the document field matching the key
+ * @param {Function} findAll - called with the keys which are not cached.
+ *   Must return a promise which fulfills with an Array of documents.
+ * @return {Promise} Fulfills with an Object mapping key to document. Keys
+ *   without exactly one document are not included.
+ */
+function _findAllCached(cached, keys, field, findAll) {
+  let found = Object.create(null);
+  let missing = keys.filter(function(key) {
+    let doc = cached.get(key);
+    if (doc) {
+      found[key] = doc;
+      return false;
+    }
+    return true;
+  });
+  if (!missing.length) {
+    return Promise.resolve(found);
+  }
+  return findAll(missing).then(function(docs) {
+    let index = _indexUnique(docs, field);
+    Object.keys(index).forEach(function(key) {
+      cached.set(key, index[key]);
+      found[key] = index[key];
+    });
+    return found;
+  });
+}
+
+/**
+ * Finds the single document of a token, using the cache if possible.
+ * @private
+ * @param {String} hash - hash of the token
+ * @return {Promise} Fulfills with the document, or rejects with a
+ *   {@link DbError} if there is not exactly one matching token.
+ */
+function _findTokenDoc(hash) {
+  return _findCached(cache.tokens, hash, function() {
+    return _readTokenDoc(hash, true);
+  });
+}
+
+/**
+ * Finds the single document of a user, using the cache if possible.
+ * @private
+ * @param {String} user
+ * @return {Promise} Fulfills with the document, or rejects with a
+ *   {@link DbError} if there is not exactly one matching user.
+ */
+function _findUserDoc(user) {
+  return _findCached(cache.users, user, function() {
+    return storage.provide().findUsers([user]).then(_onlyDoc);
+  });
+}
+
+/**
+ * Replaces a rejection because there was not exactly one matching document
+ * with fulfillment as undefined.
+ * @private
+ * @param {Promise} p_document
+ * @return {Promise}
+ */
+function _orUndefinedIfNotFound(p_document) {
+  return p_document.catch(function(reason) {
+    if (reason instanceof dbConn.DbError &&
+        reason.message === UNEXPECTED_NUM_DOCS) {
+      return undefined;
+    }
+    throw reason;
+  });
+}
+
 /**
  * Decides whether token authorises the bearer for a file owned by the list
- * of groups.
+ * of groups. If the token was created with scopes, all groups must also be
+ * within those scopes.
  * @alias module:lib/model.validateToken
  * @param {String[]} groups
  * @param {String} token
@@ -384,27 +1073,19 @@ let listTokens = (user) => {
  *   Decision is an Object of strictly the form {ok: <Boolean>}.
  */
 let validateToken = (groups, token) => {
-  logger.debug('Validating token ' + token + ' authorises bearer');
+  logger.debug('Validating token authorises bearer');
+  let hash;
   try {
     let fName = 'validateToken';
     _validate(fName, 'groups', groups);
     assert(groups instanceof Array, `${fName}: groups must be an Array`);
     _validateNoEmptyString(fName, 'token', token, 'string');
+    hash = tokenHash.hashToken(token);
   } catch ( e ) {
     return Promise.reject(e);
   }
-  let p_cursor = findMatchingTokens(token);
-
-  let p_onlyOneDoc = cursorHasExactlyOneDoc(p_cursor);
-
-  let p_document = p_onlyOneDoc.then(getDocument(p_cursor));
-
-  return p_document.then(function(doc) {
-    if (doc.status === constants.TOKEN_STATUS_REVOKED) {
-      return false;
-    }
-    let now = moment();
-    if (doc.expiryTime && now.isAfter(doc.expiryTime)) {
+  return _findTokenDoc(hash).then(function(doc) {
+    if (!_tokenAuthorises(doc, groups)) {
       return false;
     }
     return validateUser(groups, doc.user);
@@ -432,26 +1113,217 @@ let validateUser = (groups, user) => {
     return Promise.reject(e);
   }
 
-  let p_user_collection = dbConn.p_db.then(getCollection(constants.COLLECTION_USERS));
+  return _findUserDoc(user).then(function(doc) {
+    return _userAuthorises(doc, groups);
+  });
+};
+
+/**
+ * Describes a token in the form of an OAuth 2.0 token introspection
+ * response (RFC 7662). Tokens which are unknown, revoked or expired, or whose
+ * owner is unknown or no longer current, are described only as inactive.
+ * @alias module:lib/model.introspectToken
+ * @param {String} token
+ * @return {Promise} Fulfills on completion with an Object of the form
+ *   {active: <Boolean>, sub, exp, iat, scope}. exp and iat are in seconds
+ *   since the epoch, and scope is a space separated list of the groups the
+ *   token authorises.
+ */
+let introspectToken = (token) => {
+  logger.debug('Introspecting token');
+  let hash;
+  try {
+    _validateNoEmptyString('introspectToken', 'token', token, 'string');
+    hash = tokenHash.hashToken(token);
+  } catch ( e ) {
+    return Promise.reject(e);
+  }
+  let inactive = {active: false};
+
+  let p_document = _orUndefinedIfNotFound(_findTokenDoc(hash));
 
-  let p_user_cursor = p_user_collection.then(function(collection) {
-    return collection.find({user: user});
+  let p_user_document = p_document.then(function(doc) {
+    if (!doc || !_tokenAuthorises(doc, [])) {
+      return undefined;
+    }
+    return _orUndefinedIfNotFound(_findUserDoc(doc.user));
   });
 
-  let p_user_onlyOneDoc = cursorHasExactlyOneDoc(p_user_cursor);
+  return Promise.all([p_document, p_user_document]).then(function(values) {
+    let doc     = values[0];
+    let userDoc = values[1];
+    if (!userDoc || userDoc.current === false) {
+      return inactive;
+    }
+    let description = {
+      active: true,
+      sub:    doc.user,
+      scope:  _tokenGroups(doc, userDoc).join(' '),
+    };
+    if (doc.expiryTime) {
+      description.exp = moment(doc.expiryTime).unix();
+    }
+    let created = _creationEntry(doc);
+    if (created) {
+      description.iat = moment(created.time).unix();
+    }
+    return description;
+  });
+};
 
-  let p_user_document = p_user_onlyOneDoc.then(getDocument(p_user_cursor));
+/**
+ * Validates that a list of batch validation requests is an Array of Objects,
+ * each with a groups Array and a non-empty string entry named by key.
+ * @private
+ * @param {String} scope - used to identify where the value is from in errors
+ * @param {Object[]} requests
+ * @param {String} key - name of the string entry in each request
+ * @throws external:assert.AssertionError
+ */
+function _validateBatch(scope, requests, key) {
+  _validate(scope, 'requests', requests);
+  assert(requests instanceof Array, `${scope}: requests must be an Array`);
+  requests.forEach(function(request) {
+    _validate(scope, 'request', request, 'object');
+    _validate(scope, 'groups', request.groups);
+    assert(request.groups instanceof Array, `${scope}: groups must be an Array`);
+    _validateNoEmptyString(scope, key, request[key], 'string');
+  });
+}
 
-  let p_groups = p_user_document.then(function(doc) {
-    return doc.groups;
+/**
+ * Indexes documents by the value of one of their fields. Values which are
+ * shared by more than one document are left out, as the documents are
+ * ambiguous.
+ * @private
+ * @param {Object[]} docs
+ * @param {String} key - name of the field to index by
+ * @return {Object} map from value of the field to the only document with it
+ */
+function _indexUnique(docs, key) {
+  let index = Object.create(null);
+  let duplicates = [];
+  docs.forEach(function(doc) {
+    if (index[doc[key]]) {
+      duplicates.push(doc[key]);
+    }
+    index[doc[key]] = doc;
   });
+  duplicates.forEach(function(value) {
+    delete index[value];
+  });
+  return index;
+}
 
-  return p_groups.then(function(userGroups) {
-    if (!userGroups) {
+/**
+ * Lists the distinct values of a field of some objects.
+ * @private
+ * @param {Object[]} objs
+ * @param {String} key - name of the field
+ * @return {Array}
+ */
+function _distinct(objs, key) {
+  let seen = Object.create(null);
+  return objs.map(function(obj) {
+    return obj[key];
+  }).filter(function(value) {
+    if (seen[value]) {
       return false;
     }
-    return groups.every(function(val) {
-      return userGroups.indexOf(val) >= 0;
+    seen[value] = true;
+    return true;
+  });
+}
+
+/**
+ * Finds the documents of all of the users with a single query.
+ * @private
+ * @param {String[]} users
+ * @return {Promise} Fulfills with an Object mapping user to user document.
+ *   Users without exactly one document are not included.
+ */
+function _findUsers(users) {
+  return _findAllCached(cache.users, users, 'user', function(missing) {
+    logger.debug('Searching storage for ' + missing.length + ' users');
+    return storage.provide().findUsers(missing);
+  });
+}
+
+/**
+ * Decides, for each of a list of requests, whether the token authorises the
+ * bearer for a file owned by the list of groups. Tokens and their owners
+ * are each found with a single query, however many requests there are.
+ * Unlike {@link module:lib/model.validateToken}, a token which is not in
+ * the database results in a negative decision rather than a rejection.
+ * @alias module:lib/model.validateTokens
+ * @param {Object[]} requests
+ * @param {String} requests[].token
+ * @param {String[]} requests[].groups
+ * @return {Promise} Fulfills on completion with an Array of authorisation
+ *   decisions, in the same order as the requests.
+ */
+let validateTokens = (requests) => {
+  let hashes;
+  try {
+    _validateBatch('validateTokens', requests, 'token');
+    hashes = requests.map(function(request) {
+      return tokenHash.hashToken(request.token);
+    });
+  } catch ( e ) {
+    return Promise.reject(e);
+  }
+  logger.debug('Validating ' + requests.length + ' tokens');
+
+  let p_tokens = _findAllCached(cache.tokens, hashes, 'hash', function(missing) {
+    return storage.provide().findTokens(missing, true);
+  });
+
+  let p_users = p_tokens.then(function(tokens) {
+    let docs = Object.keys(tokens).map(function(hash) {
+      return tokens[hash];
+    });
+    return _findUsers(_distinct(docs, 'user'));
+  });
+
+  return Promise.all([p_tokens, p_users]).then(function(values) {
+    let tokens = values[0];
+    let users  = values[1];
+    return requests.map(function(request, i) {
+      let tokenDoc = tokens[hashes[i]];
+      if (!tokenDoc || !_tokenAuthorises(tokenDoc, request.groups)) {
+        return false;
+      }
+      let userDoc = users[tokenDoc.user];
+      return Boolean(userDoc) && _userAuthorises(userDoc, request.groups);
+    });
+  });
+};
+
+/**
+ * Decides, for each of a list of requests, whether the user is authorised
+ * for a file owned by the list of groups. Users are found with a single
+ * query, however many requests there are. Unlike
+ * {@link module:lib/model.validateUser}, a user who is not in the database
+ * results in a negative decision rather than a rejection.
+ * @alias module:lib/model.validateUsers
+ * @param {Object[]} requests
+ * @param {String} requests[].user
+ * @param {String[]} requests[].groups
+ * @return {Promise} Fulfills on completion with an Array of authorisation
+ *   decisions, in the same order as the requests.
+ */
+let validateUsers = (requests) => {
+  try {
+    _validateBatch('validateUsers', requests, 'user');
+  } catch ( e ) {
+    return Promise.reject(e);
+  }
+  logger.debug('Validating ' + requests.length + ' users');
+
+  return _findUsers(_distinct(requests, 'user')).then(function(userDocs) {
+    return requests.map(function(request) {
+      let userDoc = userDocs[request.user];
+      return Boolean(userDoc) && _userAuthorises(userDoc, request.groups);
     });
   });
 };
@@ -459,7 +1331,17 @@ let validateUser = (groups, user) => {
 module.exports = {
   createToken,
   revokeToken,
+  revokeBearerToken,
+  renewToken,
   listTokens,
+  tokenUsage,
+  countTokens,
+  searchTokens,
+  revokeTokens,
+  revokeDepartedTokens,
   validateUser,
   validateToken,
+  introspectToken,
+  validateUsers,
+  validateTokens,
 };
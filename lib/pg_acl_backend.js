@@ -0,0 +1,188 @@
+'use strict';
+
+/**
+ * Backend for the acl module which keeps its buckets in PostgreSQL, in
+ * place of acl.mongodbBackend. Each value of each key of each bucket is a
+ * row of the table created by {@link module:lib/pg_schema}.
+ * @module lib/pg_acl_backend
+ * @copyright 2017 Genome Research Ltd
+ * @author Andrew Nowak
+ */
+
+const pgConn = require('./pg_conn.js');
+
+/**
+ * Makes an Array of strings of one or more values.
+ * @private
+ * @param {String|Number|Array} values
+ * @return {String[]}
+ */
+function _strings(values) {
+  return (values instanceof Array ? values : [values]).map(String);
+}
+
+/**
+ * Calls back once a Promise settles.
+ * @private
+ * @param {Promise} p_result
+ * @param {Function} cb - called with an error, or null and the value
+ */
+function _callback(p_result, cb) {
+  p_result.then(function(value) {
+    cb(null, value);
+  }, function(err) {
+    cb(err);
+  });
+}
+
+class PgAclBackend {
+  /**
+   * @param {String} table - name of the table of buckets
+   */
+  constructor(table) {
+    this.table = table;
+  }
+
+  /**
+   * Begins a transaction, an Array of functions which each run a query.
+   * @return {Function[]}
+   */
+  begin() {
+    return [];
+  }
+
+  /**
+   * Runs the queries of a transaction, in a database transaction.
+   * @param {Function[]} transaction
+   * @param {Function} cb
+   */
+  end(transaction, cb) {
+    _callback(pgConn.transaction(function(client) {
+      return transaction.reduce(function(p_previous, run) {
+        return p_previous.then(function() {
+          return run(client);
+        });
+      }, Promise.resolve());
+    }), cb);
+  }
+
+  /**
+   * Removes every bucket.
+   * @param {Function} cb
+   */
+  clean(cb) {
+    _callback(pgConn.query(`DELETE FROM ${this.table}`), cb);
+  }
+
+  /**
+   * Gets the values of a key of a bucket.
+   * @param {String} bucket
+   * @param {String|Number} key
+   * @param {Function} cb - called with the Array of values
+   */
+  get(bucket, key, cb) {
+    _callback(pgConn.query(
+      `SELECT value FROM ${this.table} WHERE bucket = $1 AND key = $2`,
+      [bucket, String(key)]
+    ).then(function(result) {
+      return result.rows.map(function(row) {
+        return row.value;
+      });
+    }), cb);
+  }
+
+  /**
+   * Gets the union of the values of keys in each of several buckets.
+   * @param {String[]} buckets
+   * @param {String[]} keys
+   * @param {Function} cb - called with an Object mapping each bucket to its
+   *   Array of values
+   */
+  unions(buckets, keys, cb) {
+    _callback(pgConn.query(
+      `SELECT DISTINCT bucket, value FROM ${this.table}
+       WHERE bucket = ANY($1) AND key = ANY($2)`,
+      [buckets, _strings(keys)]
+    ).then(function(result) {
+      let unions = {};
+      buckets.forEach(function(bucket) {
+        unions[bucket] = [];
+      });
+      result.rows.forEach(function(row) {
+        unions[row.bucket].push(row.value);
+      });
+      return unions;
+    }), cb);
+  }
+
+  /**
+   * Gets the union of the values of keys of a bucket.
+   * @param {String} bucket
+   * @param {String[]} keys
+   * @param {Function} cb - called with the Array of values
+   */
+  union(bucket, keys, cb) {
+    _callback(pgConn.query(
+      `SELECT DISTINCT value FROM ${this.table} WHERE bucket = $1 AND key = ANY($2)`,
+      [bucket, _strings(keys)]
+    ).then(function(result) {
+      return result.rows.map(function(row) {
+        return row.value;
+      });
+    }), cb);
+  }
+
+  /**
+   * Adds values to a key of a bucket, when the transaction ends.
+   * @param {Function[]} transaction
+   * @param {String} bucket
+   * @param {String|Number} key
+   * @param {String|Number|Array} values
+   */
+  add(transaction, bucket, key, values) {
+    let table = this.table;
+    transaction.push(function(client) {
+      return client.query(
+        `INSERT INTO ${table} (bucket, key, value)
+         SELECT $1, $2, unnest($3::text[])
+         ON CONFLICT DO NOTHING`,
+        [bucket, String(key), _strings(values)]
+      );
+    });
+  }
+
+  /**
+   * Removes keys of a bucket, when the transaction ends.
+   * @param {Function[]} transaction
+   * @param {String} bucket
+   * @param {String|Array} keys
+   */
+  del(transaction, bucket, keys) {
+    let table = this.table;
+    transaction.push(function(client) {
+      return client.query(
+        `DELETE FROM ${table} WHERE bucket = $1 AND key = ANY($2)`,
+        [bucket, _strings(keys)]
+      );
+    });
+  }
+
+  /**
+   * Removes values from a key of a bucket, when the transaction ends.
+   * @param {Function[]} transaction
+   * @param {String} bucket
+   * @param {String|Number} key
+   * @param {String|Number|Array} values
+   */
+  remove(transaction, bucket, key, values) {
+    let table = this.table;
+    transaction.push(function(client) {
+      return client.query(
+        `DELETE FROM ${table} WHERE bucket = $1 AND key = $2 AND value = ANY($3)`,
+        [bucket, String(key), _strings(values)]
+      );
+    });
+  }
+}
+
+module.exports = PgAclBackend;
@@ -0,0 +1,110 @@
+'use strict';
+
+/**
+ * The pool of connections to PostgreSQL shared by every module, created when
+ * it is first used, from the 'pgurl' configuration option. The pool opens
+ * connections as queries need them, so PostgreSQL need not be reachable at
+ * startup.
+ * @module lib/pg_conn
+ * @copyright 2017 Genome Research Ltd
+ * @author Andrew Nowak
+ */
+
+const pg = require('pg');
+
+const config = require('./config.js');
+const logger = require('./logger.js');
+
+let pool;
+
+/**
+ * Gets the pool, creating it the first time it is used.
+ * @private
+ * @return {pg.Pool}
+ * @throws {Error} if the 'pgurl' option is not set
+ */
+function _pool() {
+  if (!pool) {
+    let url = config.provide().get('pgurl');
+    if (!url) {
+      throw new Error('pgurl must be set to store tokens in PostgreSQL');
+    }
+    pool = new pg.Pool({connectionString: url});
+    // Idle connections which fail must not crash the server
+    pool.on('error', function(err) {
+      logger.warn(`Lost idle connection to PostgreSQL: ${err}`);
+    });
+  }
+  return pool;
+}
+
+/**
+ * Runs a query on any connection of the pool.
+ * @alias module:lib/pg_conn.query
+ * @param {String} text - SQL, with parameters $1, $2...
+ * @param {Array} [values] - values of the parameters
+ * @return {Promise} Fulfills with the pg.Result.
+ */
+let query = (text, values) => {
+  try {
+    return _pool().query(text, values || []);
+  } catch (e) {
+    return Promise.reject(e);
+  }
+};
+
+/**
+ * Runs queries on a single connection, in a transaction which is rolled
+ * back if any of them fail.
+ * @alias module:lib/pg_conn.transaction
+ * @param {Function} work - called with a client, returns a Promise which
+ *   fulfills once every query has run
+ * @return {Promise} Fulfills with the value of work once committed.
+ */
+let transaction = (work) => {
+  let p_client;
+  try {
+    p_client = _pool().connect();
+  } catch (e) {
+    return Promise.reject(e);
+  }
+  return p_client.then(function(client) {
+    return client.query('BEGIN').then(function() {
+      return work(client);
+    }).then(function(value) {
+      return client.query('COMMIT').then(function() {
+        client.release();
+        return value;
+      });
+    }).catch(function(reason) {
+      return client.query('ROLLBACK').then(function() {
+        client.release();
+        throw reason;
+      }, function(err) {
+        // The connection is unusable, so is not returned to the pool
+        client.release(err);
+        throw reason;
+      });
+    });
+  });
+};
+
+/**
+ * Closes every connection of the pool, if it was created.
+ * @alias module:lib/pg_conn.close
+ * @return {Promise} Fulfills once every connection is closed.
+ */
+let close = () => {
+  if (!pool) {
+    return Promise.resolve();
+  }
+  let closing = pool;
+  pool = undefined;
+  return closing.end();
+};
+
+module.exports = {
+  query,
+  transaction,
+  close,
+};
@@ -0,0 +1,153 @@
+'use strict';
+
+/**
+ * Schema of the PostgreSQL storage backend, see
+ * {@link module:lib/storage_postgresql}. Tables have the names of the
+ * MongoDB collections they replace. Each migration is applied once, in
+ * order, and the number applied is recorded in the sentry_schema table.
+ * Requires PostgreSQL 9.5 or later.
+ * @module lib/pg_schema
+ * @copyright 2017 Genome Research Ltd
+ * @author Andrew Nowak
+ */
+
+const constants = require('./constants.js');
+const pgConn    = require('./pg_conn.js');
+
+const TOKENS      = constants.COLLECTION_TOKENS;
+const USERS       = constants.COLLECTION_USERS;
+const REVOCATIONS = constants.COLLECTION_REVOCATIONS;
+const AUDIT       = constants.COLLECTION_AUDIT;
+const AUDIT_HEAD  = constants.COLLECTION_AUDIT_HEAD;
+const ACL         = constants.ACL_BACKEND_PREFIX;
+
+/**
+ * Statements of each migration, in the order they are applied. Applied
+ * migrations must never be changed; add a new migration instead.
+ * @const
+ * @type {String[][]}
+ */
+const MIGRATIONS = [
+  [
+    // Documents are stored whole in doc; the columns beside it are copies
+    // of the fields which are searched.
+    `CREATE TABLE ${TOKENS} (
+       id       serial PRIMARY KEY,
+       hash     text NOT NULL,
+       username text,
+       status   text,
+       doc      jsonb NOT NULL
+     )`,
+    `CREATE INDEX ${TOKENS}_hash ON ${TOKENS} (hash)`,
+    `CREATE INDEX ${TOKENS}_username ON ${TOKENS} (username)`,
+    `CREATE INDEX ${TOKENS}_status ON ${TOKENS} (status)`,
+    `CREATE TABLE ${USERS} (
+       username text PRIMARY KEY,
+       doc      jsonb NOT NULL
+     )`,
+    `CREATE TABLE ${REVOCATIONS} (
+       hash text NOT NULL,
+       time timestamptz NOT NULL
+     )`,
+    `CREATE INDEX ${REVOCATIONS}_time ON ${REVOCATIONS} (time)`,
+    `CREATE TABLE ${AUDIT} (
+       seq    integer PRIMARY KEY,
+       time   timestamptz NOT NULL,
+       event  text,
+       actor  text,
+       target text,
+       doc    jsonb NOT NULL
+     )`,
+    `CREATE INDEX ${AUDIT}_time ON ${AUDIT} (time DESC)`,
+    `CREATE INDEX ${AUDIT}_event_time ON ${AUDIT} (event, time DESC)`,
+    `CREATE TABLE ${ACL} (
+       bucket text NOT NULL,
+       key    text NOT NULL,
+       value  text NOT NULL,
+       PRIMARY KEY (bucket, key, value)
+     )`,
+  ],
+  [
+    // The only row is the seq and digest of the last audit event. Appends
+    // lock it, rather than the whole audit table, to number the next event.
+    `CREATE TABLE ${AUDIT_HEAD} (
+       id     boolean PRIMARY KEY DEFAULT true CHECK (id),
+       seq    integer NOT NULL,
+       digest text
+     )`,
+    `INSERT INTO ${AUDIT_HEAD} (seq, digest)
+     SELECT coalesce(max(seq), 0),
+            (SELECT doc->>'digest' FROM ${AUDIT} ORDER BY seq DESC LIMIT 1)
+     FROM ${AUDIT}`,
+  ],
+];
+
+/**
+ * Finds the number of migrations applied to the database.
+ * @alias module:lib/pg_schema.version
+ * @return {Promise} Fulfills with the number, 0 if none have been applied.
+ */
+let version = () => {
+  return pgConn.query(
+    'CREATE TABLE IF NOT EXISTS sentry_schema (version integer NOT NULL)'
+  ).then(function() {
+    return pgConn.query('SELECT max(version) AS version FROM sentry_schema');
+  }).then(function(result) {
+    return result.rows[0].version || 0;
+  });
+};
+
+/**
+ * Applies a migration and records it, in a single transaction.
+ * @private
+ * @param {Number} index - index of the migration in MIGRATIONS
+ * @return {Promise} Fulfills once applied.
+ */
+function _apply(index) {
+  return pgConn.transaction(function(client) {
+    // Another process migrating at the same time waits, then fails to
+    // record the same version
+    return client.query('LOCK TABLE sentry_schema').then(function() {
+      return client.query('SELECT max(version) AS version FROM sentry_schema');
+    }).then(function(result) {
+      if ((result.rows[0].version || 0) !== index) {
+        throw new Error(`Schema is not at version ${index}, is another migration running?`);
+      }
+      return MIGRATIONS[index].reduce(function(p_previous, statement) {
+        return p_previous.then(function() {
+          return client.query(statement);
+        });
+      }, Promise.resolve());
+    }).then(function() {
+      return client.query('INSERT INTO sentry_schema (version) VALUES ($1)', [index + 1]);
+    });
+  });
+}
+
+/**
+ * Applies every migration which has not yet been applied.
+ * @alias module:lib/pg_schema.migrate
+ * @return {Promise} Fulfills with the numbers of the migrations applied.
+ */
+let migrate = () => {
+  return version().then(function(current) {
+    let applied = [];
+    let p_migrations = Promise.resolve();
+    for (let i = current; i < MIGRATIONS.length; i++) {
+      p_migrations = p_migrations.then(function() {
+        return _apply(i);
+      }).then(function() {
+        applied.push(i + 1);
+      });
+    }
+    return p_migrations.then(function() {
+      return applied;
+    });
+  });
+};
+
+module.exports = {
+  MIGRATIONS,
+  version,
+  migrate,
+};
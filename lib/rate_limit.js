@@ -0,0 +1,200 @@
+'use strict';
+
+/**
+ * Rate limiting of routes, configured with the 'ratelimits' option: an
+ * Object mapping the path of each limited route, as given to express, to its
+ * limit of form {max, window, by}. At most max requests are allowed from each
+ * client in each window of that many seconds. Clients are told apart by the
+ * subject of their certificate, their remote user or their address, the
+ * first of those which the request has, or by the one named by 'by', one of
+ * 'cert', 'user' or 'ip'. Requests are counted in memory, or in MongoDB if
+ * the 'ratelimitstore' option is mongodb, so that the limits hold across the
+ * processes of a cluster.
+ * @module lib/rate_limit
+ * @copyright 2017 Genome Research Ltd
+ * @author Andrew Nowak
+ */
+
+const assert = require('assert');
+
+const config      = require('./config.js');
+const constants   = require('./constants.js');
+const dbConn      = require('./db_conn.js');
+const logger      = require('./logger.js');
+const sentryUtils = require('./sentry_utils.js');
+
+// MongoDB error code for a duplicate key
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Ways of telling clients apart, each of which describes the client of a
+ * request, or is undefined if the request does not have it.
+ * @private
+ */
+const CLIENTS = {
+  cert: function(req) {
+    let subject = sentryUtils.certSubject(req);
+    return subject ? `cert ${subject}` : undefined;
+  },
+  user: function(req) {
+    let user = req.headers[constants.USER_ID_HEADER];
+    return user ? `user ${user}` : undefined;
+  },
+  ip: function(req) {
+    return `ip ${req.ip}`;
+  },
+};
+
+/**
+ * Requests counted in memory, by key and window.
+ * @private
+ */
+let counters = Object.create(null);
+
+/**
+ * Collection of the requests counted in MongoDB, once it is prepared.
+ * @private
+ */
+let p_counters;
+
+/**
+ * Counts a request in memory. The count is forgotten when its window ends.
+ * @private
+ * @param {String} id - key and start of the window
+ * @param {Date} end - end of the window
+ * @return {Promise} Fulfills with the number of requests counted.
+ */
+function _hitMemory(id, end) {
+  let count = (counters[id] || 0) + 1;
+  if (count === 1) {
+    setTimeout(function() {
+      delete counters[id];
+    }, end.getTime() - Date.now()).unref();
+  }
+  counters[id] = count;
+  return Promise.resolve(count);
+}
+
+/**
+ * Counts a request in MongoDB. Counts are removed by the database after their
+ * window ends.
+ * @private
+ * @param {String} id - key and start of the window
+ * @param {Date} end - end of the window
+ * @return {Promise} Fulfills with the number of requests counted.
+ */
+function _hitMongodb(id, end) {
+  if (!p_counters) {
+    p_counters = dbConn.p_db.then(function(db) {
+      let collection = db.collection(constants.COLLECTION_RATE_LIMITS);
+      return collection.createIndex({end: 1}, {expireAfterSeconds: 0}).then(function() {
+        return collection;
+      });
+    });
+    // Try again with the next request, rather than never counting in MongoDB
+    p_counters.catch(function(reason) {
+      logger.error(`Failed to prepare rate limit counters: ${reason}`);
+      p_counters = null;
+    });
+  }
+  let increment = function(collection) {
+    return collection.findOneAndUpdate(
+      {_id: id},
+      {$inc: {count: 1}, $setOnInsert: {end}},
+      {upsert: true, returnOriginal: false}
+    );
+  };
+  return p_counters.then(function(collection) {
+    return increment(collection).catch(function(reason) {
+      // Two processes inserted the first count at the same time, so one of
+      // them now only needs to increment it
+      if (reason.code === DUPLICATE_KEY) {
+        return increment(collection);
+      }
+      throw reason;
+    });
+  }).then(function(result) {
+    return result.value.count;
+  });
+}
+
+/**
+ * Checks the limit of a route from the configuration.
+ * @private
+ * @param {String} route
+ * @param {Object} limit
+ * @throws external:assert.AssertionError
+ */
+function _validateLimit(route, limit) {
+  assert(limit && typeof limit === 'object', `rate limit of ${route} must be an Object`);
+  assert(Number.isInteger(limit.max) && limit.max > 0,
+         `rate limit of ${route}: max must be a positive integer`);
+  assert(typeof limit.window === 'number' && limit.window > 0,
+         `rate limit of ${route}: window must be a positive number of seconds`);
+  assert(limit.by === undefined || CLIENTS[limit.by],
+         `rate limit of ${route}: by must be one of ${Object.keys(CLIENTS).join(', ')}`);
+}
+
+/**
+ * Builds middleware which limits the rate of requests to a route. Requests
+ * over the limit are passed on as an Error with statusCode 429, after the
+ * Retry-After header is set to the number of seconds until the window ends.
+ * Requests are allowed if they can not be counted.
+ * @alias module:lib/rate_limit.middleware
+ * @param {String} route - path of the route, which keys its counts
+ * @param {Object} limit
+ * @param {Number} limit.max - number of requests allowed in a window
+ * @param {Number} limit.window - length of the window in seconds
+ * @param {String} [limit.by] - one of 'cert', 'user' or 'ip'
+ * @return {Function}
+ * @throws {Error} if the limit is not valid
+ */
+let middleware = (route, limit) => {
+  _validateLimit(route, limit);
+  let store = config.provide().get('ratelimitstore');
+  assert(store === 'memory' || store === 'mongodb',
+         `ratelimitstore must be memory or mongodb, not ${store}`);
+  let hit = store === 'mongodb' ? _hitMongodb : _hitMemory;
+  let windowLength = limit.window * 1000;
+
+  return (req, res, next) => {
+    let client = limit.by
+      ? CLIENTS[limit.by](req) || CLIENTS.ip(req)
+      : CLIENTS.cert(req) || CLIENTS.user(req) || CLIENTS.ip(req);
+    let start = Math.floor(Date.now() / windowLength) * windowLength;
+    let end = new Date(start + windowLength);
+
+    hit(`${route} ${client} ${start}`, end).then(function(count) {
+      if (count <= limit.max) {
+        return next();
+      }
+      res.set('Retry-After', String(Math.max(1, Math.ceil((end.getTime() - Date.now()) / 1000))));
+      let err = new Error(`Rate limit of ${route} exceeded by ${client}`);
+      err.statusCode = 429;
+      next(err);
+    }, function(reason) {
+      logger.error(`Failed to count request to ${route}: ${reason}`);
+      next();
+    });
+  };
+};
+
+/**
+ * Adds the rate limits of the 'ratelimits' option to an app. Must be called
+ * before the limited routes are added.
+ * @alias module:lib/rate_limit.setup
+ * @param {express.Application} app
+ * @throws {Error} if a limit is not valid
+ */
+let setup = (app) => {
+  let limits = config.provide().get('ratelimits') || {};
+  Object.keys(limits).forEach(function(route) {
+    app.all(route, middleware(route, limits[route]));
+    logger.info(`Limiting ${route} to ${limits[route].max} requests in ${limits[route].window}s`);
+  });
+};
+
+module.exports = {
+  middleware,
+  setup,
+};
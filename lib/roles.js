@@ -0,0 +1,208 @@
+'use strict';
+
+/**
+ * Administration of the roles of the acl backend, and of the permissions and
+ * users of each role. Besides the administrator role, which may do anything
+ * on the /admin resource, delegated roles can be allowed to view, create or
+ * revoke the tokens of every user, or to view or revoke the tokens of the
+ * members of particular groups.
+ * @module lib/roles
+ * @copyright 2017 Genome Research Ltd
+ * @author Andrew Nowak
+ */
+
+const assert = require('assert');
+
+const acl_mid   = require('./acl_mid.js');
+const constants = require('./constants.js');
+
+/**
+ * Actions which may be allowed on each resource, or on each group resource.
+ * @private
+ */
+const ACTIONS = {
+  [constants.ACL_RESOURCE_ADMIN]: [
+    constants.ACL_ACTION_VIEW, constants.ACL_ACTION_POST
+  ],
+  [constants.ACL_RESOURCE_TOKENS]: [
+    constants.ACL_ACTION_VIEW, constants.ACL_ACTION_CREATE, constants.ACL_ACTION_REVOKE
+  ],
+  [constants.ACL_RESOURCE_GROUP_PREFIX]: [
+    constants.ACL_ACTION_VIEW, constants.ACL_ACTION_REVOKE
+  ],
+};
+
+/**
+ * Runs checks of arguments, making any failure a rejection with statusCode
+ * 400.
+ * @private
+ * @param {Function} check - throws if the arguments are not valid
+ * @param {Function} change - called if they are. Must return a Promise.
+ * @return {Promise}
+ */
+function _checked(check, change) {
+  try {
+    check();
+  } catch (e) {
+    e.statusCode = 400;
+    return Promise.reject(e);
+  }
+  return change();
+}
+
+/**
+ * @private
+ * @param {String} role
+ * @throws external:assert.AssertionError
+ */
+function _validateRole(role) {
+  assert(typeof role === 'string' && role.trim() !== '', 'role must be a non-empty string');
+}
+
+/**
+ * @private
+ * @param {String} resource
+ * @param {String[]} actions
+ * @throws external:assert.AssertionError
+ */
+function _validatePermission(resource, actions) {
+  assert(typeof resource === 'string', 'resource must be a string');
+  let key = resource;
+  if (resource.indexOf(constants.ACL_RESOURCE_GROUP_PREFIX) === 0) {
+    assert(resource.length > constants.ACL_RESOURCE_GROUP_PREFIX.length,
+           'resource must name a group');
+    key = constants.ACL_RESOURCE_GROUP_PREFIX;
+  }
+  let allowed = ACTIONS[key];
+  assert(allowed, `unknown resource ${resource}`);
+  assert(actions instanceof Array && actions.length, 'actions must be a non-empty Array');
+  actions.forEach(function(action) {
+    assert(allowed.indexOf(action) >= 0, `action ${action} can not be allowed on ${resource}`);
+  });
+}
+
+/**
+ * Lists every role which has been allowed anything, with its permissions
+ * and users.
+ * @alias module:lib/roles.list
+ * @return {Promise} Fulfills with an Array of Objects of form
+ *   {role, permissions, users}, sorted by role. permissions maps each
+ *   resource to the Array of allowed actions.
+ */
+let list = () => {
+  return acl_mid.p_acl.then(function(acl) {
+    return acl.backend.getAsync(acl.options.buckets.meta, 'roles').then(function(roles) {
+      return Promise.all(roles.sort().map(function(role) {
+        return Promise.all([acl.whatResources(role), acl.roleUsers(role)])
+          .then(function(values) {
+            return {role, permissions: values[0], users: values[1].sort()};
+          });
+      }));
+    });
+  });
+};
+
+/**
+ * Allows a role actions on a resource, creating the role if it is new.
+ * @alias module:lib/roles.allow
+ * @param {String} role
+ * @param {String} resource
+ * @param {String[]} actions
+ * @return {Promise}
+ */
+let allow = (role, resource, actions) => {
+  return _checked(function() {
+    _validateRole(role);
+    _validatePermission(resource, actions);
+  }, function() {
+    return acl_mid.p_acl.then(function(acl) {
+      return acl.allow(role, resource, actions);
+    });
+  });
+};
+
+/**
+ * Stops allowing a role actions on a resource. The administrator role
+ * always keeps its permissions on the /admin resource.
+ * @alias module:lib/roles.disallow
+ * @param {String} role
+ * @param {String} resource
+ * @param {String[]} actions
+ * @return {Promise}
+ */
+let disallow = (role, resource, actions) => {
+  return _checked(function() {
+    _validateRole(role);
+    _validatePermission(resource, actions);
+    assert(role !== constants.ACL_ROLE_ADMINISTRATOR ||
+           resource !== constants.ACL_RESOURCE_ADMIN,
+           `${role} role must keep its permissions on ${resource}`);
+  }, function() {
+    return acl_mid.p_acl.then(function(acl) {
+      return acl.removeAllow(role, resource, actions);
+    });
+  });
+};
+
+/**
+ * Removes a role and all of its permissions. Users keep the role, but it
+ * allows them nothing. The administrator role can not be removed.
+ * @alias module:lib/roles.remove
+ * @param {String} role
+ * @return {Promise}
+ */
+let remove = (role) => {
+  return _checked(function() {
+    _validateRole(role);
+    assert(role !== constants.ACL_ROLE_ADMINISTRATOR, `${role} role can not be removed`);
+  }, function() {
+    return acl_mid.p_acl.then(function(acl) {
+      return acl.removeRole(role);
+    });
+  });
+};
+
+/**
+ * Gives a user a role.
+ * @alias module:lib/roles.grant
+ * @param {String} role
+ * @param {String} user
+ * @return {Promise}
+ */
+let grant = (role, user) => {
+  return _checked(function() {
+    _validateRole(role);
+    assert(typeof user === 'string' && user.trim() !== '', 'user must be a non-empty string');
+  }, function() {
+    return acl_mid.p_acl.then(function(acl) {
+      return acl.addUserRoles(user, role);
+    });
+  });
+};
+
+/**
+ * Takes a role from a user.
+ * @alias module:lib/roles.withdraw
+ * @param {String} role
+ * @param {String} user
+ * @return {Promise}
+ */
+let withdraw = (role, user) => {
+  return _checked(function() {
+    _validateRole(role);
+    assert(typeof user === 'string' && user.trim() !== '', 'user must be a non-empty string');
+  }, function() {
+    return acl_mid.p_acl.then(function(acl) {
+      return acl.removeUserRoles(user, role);
+    });
+  });
+};
+
+module.exports = {
+  list,
+  allow,
+  disallow,
+  remove,
+  grant,
+  withdraw,
+};
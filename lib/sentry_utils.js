@@ -2,6 +2,8 @@
 
 const assert = require('assert');
 
+const tokenHash = require('./token_hash');
+
 function dispatch(res, payload, status) {
   res.status(status);
   res.json(payload);
@@ -26,8 +28,114 @@ function readToken(req) {
   }
 }
 
+function readTokenHash(req) {
+  try {
+    // Tokens listed by the web interface are only identified by their hash,
+    // but clients holding the plaintext token may also send it directly.
+    assert(req.body, 'Request is missing a body');
+    assert(req.body.hash || req.body.token,
+           'Request body is missing a token or hash entry');
+    if (req.body.hash) {
+      assert(typeof req.body.hash === 'string', 'Token hash must be a string');
+      return req.body.hash;
+    }
+    assert(typeof req.body.token === 'string', 'Token must be a string');
+  } catch (e) {
+    e.statusCode = 400;
+    return e;
+  }
+  try {
+    return tokenHash.hashToken(req.body.token);
+  } catch (e) {
+    return e;
+  }
+}
+
+function readLifetime(req) {
+  // Requesting a lifetime is optional
+  if (!req.body || typeof req.body.lifetime === 'undefined') {
+    return;
+  }
+  let lifetime = req.body.lifetime;
+  if (typeof lifetime !== 'number' || !isFinite(lifetime) || lifetime <= 0) {
+    let e = new Error('Token lifetime must be a positive number of seconds');
+    e.statusCode = 400;
+    return e;
+  }
+  return lifetime;
+}
+
+function readScopes(req) {
+  // Restricting a token to scopes is optional
+  if (!req.body || typeof req.body.scopes === 'undefined') {
+    return;
+  }
+  let scopes = req.body.scopes;
+  let valid = scopes instanceof Array && scopes.length > 0 &&
+    scopes.every(function(group) {
+      return typeof group === 'string' && group.trim() !== '';
+    });
+  if (!valid) {
+    let e = new Error('Token scopes must be a non-empty list of groups');
+    e.statusCode = 400;
+    return e;
+  }
+  return scopes;
+}
+
+/**
+ * Describes the subject of the client certificate of a request.
+ * @param {express.Request} req
+ * @return {String} subject, such as 'CN=host, O=org', or undefined if the
+ *   request was not made with a client certificate
+ */
+function certSubject(req) {
+  let socket = req.socket;
+  if (!socket || typeof socket.getPeerCertificate !== 'function') {
+    return undefined;
+  }
+  let subject = (socket.getPeerCertificate() || {}).subject;
+  if (!subject) {
+    return undefined;
+  }
+  return Object.keys(subject).map(function(key) {
+    return `${key}=${subject[key]}`;
+  }).join(', ');
+}
+
+function readOverride(req) {
+  // Overriding quotas is optional
+  if (!req.body || typeof req.body.override === 'undefined') {
+    return false;
+  }
+  if (typeof req.body.override !== 'boolean') {
+    let e = new Error('Override must be a boolean');
+    e.statusCode = 400;
+    return e;
+  }
+  return req.body.override;
+}
+
+function setTokenUsage(res, usage) {
+  // Limits of 0 are not limits, so are left out
+  res.set('X-Tokens-Valid', String(usage.valid));
+  if (usage.validLimit) {
+    res.set('X-Tokens-Valid-Limit', String(usage.validLimit));
+  }
+  res.set('X-Tokens-Created', String(usage.created));
+  if (usage.createdLimit) {
+    res.set('X-Tokens-Created-Limit', String(usage.createdLimit));
+  }
+}
+
 module.exports = {
+  certSubject,
   dispatch,
   dispatchSuccess,
+  readLifetime,
+  readOverride,
+  readScopes,
   readToken,
+  readTokenHash,
+  setTokenUsage,
 };
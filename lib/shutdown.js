@@ -0,0 +1,84 @@
+'use strict';
+
+/**
+ * Graceful shutdown of a server. Once stopping, the server accepts no new
+ * connections, finishes the requests it is handling, and closes each
+ * connection as soon as it is idle, rather than waiting for keep-alive
+ * connections to time out.
+ * @module lib/shutdown
+ * @copyright 2017 Genome Research Ltd
+ * @author Andrew Nowak
+ */
+
+const https = require('https');
+
+/**
+ * Tracks the connections of a server, so that it can be stopped gracefully.
+ * Must be called before the server starts listening.
+ * @alias module:lib/shutdown.track
+ * @param {http.Server|https.Server} server
+ * @return {Object} Object with a close function, which stops the server and
+ *   returns a Promise which fulfills once every connection is closed.
+ */
+let track = (server) => {
+  let connections = [];
+  let stopping = false;
+
+  let find = function(socket) {
+    for (let i = 0; i < connections.length; i++) {
+      if (connections[i].socket === socket) {
+        return connections[i];
+      }
+    }
+    return undefined;
+  };
+
+  // Requests to an https server arrive on the TLS socket, not the TCP socket
+  let event = server instanceof https.Server ? 'secureConnection' : 'connection';
+  server.on(event, function(socket) {
+    let connection = {socket, active: 0};
+    connections.push(connection);
+    socket.on('close', function() {
+      connections.splice(connections.indexOf(connection), 1);
+    });
+  });
+
+  server.on('request', function(req, res) {
+    let connection = find(req.socket);
+    if (!connection) {
+      return;
+    }
+    connection.active++;
+    res.on('finish', function() {
+      connection.active--;
+      if (stopping && !connection.active) {
+        connection.socket.end();
+      }
+    });
+  });
+
+  let close = () => {
+    stopping = true;
+    let p_closed = new Promise(function(resolve, reject) {
+      server.close(function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+    connections.forEach(function(connection) {
+      if (!connection.active) {
+        connection.socket.end();
+      }
+    });
+    return p_closed;
+  };
+
+  return {close};
+};
+
+module.exports = {
+  track,
+};
@@ -0,0 +1,95 @@
+'use strict';
+
+/**
+ * Storage of tokens, users and audit events, so that the model does not
+ * depend on a particular database. The backend is chosen with the 'storage'
+ * configuration option:
+ *
+ *   mongodb     MongoDB, see {@link module:lib/storage_mongodb} (default)
+ *   postgresql  PostgreSQL, see {@link module:lib/storage_postgresql}
+ *               (default if the 'pgurl' option is set)
+ *   memory      the memory of the process, see
+ *               {@link module:lib/storage_memory}. Lost when the process
+ *               exits, so only for tests and development.
+ *
+ * Every backend provides the functions below, each of which returns a
+ * Promise. Documents are plain Objects of the form stored in MongoDB.
+ *
+ *   ping()                      fulfills if the storage can be reached
+ *   insertToken(doc)            stores a new token
+ *   findTokens(hashes, forValidation)
+ *                               fulfills with every token with one of the
+ *                               hashes. Tokens read for validation may be
+ *                               slightly out of date.
+ *   findValidTokens()           fulfills with every token which has not been
+ *                               revoked
+ *   countValidTokens(time)      fulfills with {active, expired}, the numbers
+ *                               of tokens which have not been revoked, and
+ *                               which expire after a Date, or never, or
+ *                               before it
+ *   listTokens(user)            fulfills with every token of a user, valid
+ *                               tokens first
+ *   selectTokens(fields)        fulfills with every token, or only those
+ *                               whose user and status are as given in fields
+ *   updateToken(hash, histLength, changes, entry)
+ *                               sets the fields in changes and appends entry
+ *                               to the history of a token, only if its
+ *                               history has histLength entries, or it has no
+ *                               history if histLength is undefined. Fulfills
+ *                               with the updated token, or undefined if it
+ *                               was not updated.
+ *   findUsers(users)            fulfills with every user document of the
+ *                               users, read for validation
+ *   listUsers()                 fulfills with every user document
+ *   saveUser(doc)               stores a user document, replacing any
+ *                               document of the same user
+ *   appendAuditEvent(build)     stores the event returned by build, which is
+ *                               called with the seq and digest of the last
+ *                               stored event, if any, and may be called
+ *                               again if another process appends first
+ *   queryAuditEvents(filters)   fulfills with {total, events}, for filters
+ *                               as for {@link module:lib/audit.query}
+ *   publishTokenChange(hash)    records that a token has changed, so that
+ *                               other processes can remove it from caches
+ *   findTokenChanges(since)     fulfills with the hashes of tokens changed
+ *                               since a Date, or every recorded change
+ *   lastUserChange()            fulfills with a value which changes whenever
+ *                               users are changed
+ *   aclBackend()                fulfills with a backend for the acl module
+ * @module lib/storage
+ * @copyright 2017 Genome Research Ltd
+ * @author Andrew Nowak
+ */
+
+const config = require('./config.js');
+
+const BACKENDS = {
+  mongodb:    './storage_mongodb.js',
+  postgresql: './storage_postgresql.js',
+  memory:     './storage_memory.js',
+};
+
+let backend;
+
+/**
+ * Gets the configured backend, loading it the first time it is used.
+ * @alias module:lib/storage.provide
+ * @return {Object} backend
+ * @throws {Error} if the 'storage' option names an unknown backend
+ */
+let provide = () => {
+  if (!backend) {
+    let opts = config.provide();
+    let name = opts.get('storage') || (opts.get('pgurl') ? 'postgresql' : 'mongodb');
+    if (!BACKENDS[name]) {
+      throw new Error(
+        `storage must be one of ${Object.keys(BACKENDS).join(', ')}`);
+    }
+    backend = require(BACKENDS[name]);
+  }
+  return backend;
+};
+
+module.exports = {
+  provide,
+};
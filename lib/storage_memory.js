@@ -0,0 +1,243 @@
+'use strict';
+
+/**
+ * In-memory storage backend, see {@link module:lib/storage}. Everything is
+ * lost when the process exits, and nothing is shared with other processes,
+ * so it is only suitable for tests and development. Users and administrators
+ * can be loaded at startup from the JSON file given by the
+ * 'storagefixtures' configuration option, of the form
+ * {"users": [{"user": ..., "groups": [...]}, ...], "admins": [...]}.
+ * @module lib/storage_memory
+ * @copyright 2017 Genome Research Ltd
+ * @author Andrew Nowak
+ */
+
+const crypto = require('crypto');
+const fs     = require('fs');
+
+const ACL = require('acl');
+
+const config    = require('./config.js');
+const constants = require('./constants.js');
+
+let tokens;
+let users;
+let events;
+let userChanges;
+let fixtures;
+
+/**
+ * Copies a document, so that changes to the copy do not change the stored
+ * document, and the reverse.
+ * @private
+ * @param {*} value
+ * @return {*}
+ */
+function _copy(value) {
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+  if (value instanceof Array) {
+    return value.map(_copy);
+  }
+  if (value && typeof value === 'object') {
+    let copy = {};
+    Object.keys(value).forEach(function(key) {
+      copy[key] = _copy(value[key]);
+    });
+    return copy;
+  }
+  return value;
+}
+
+/**
+ * Removes everything stored, and loads the fixtures again.
+ * @alias module:lib/storage_memory.clear
+ */
+let clear = () => {
+  tokens = [];
+  users = [];
+  events = [];
+  userChanges = 0;
+  fixtures = {};
+  let file = config.provide().get('storagefixtures');
+  if (file) {
+    fixtures = JSON.parse(fs.readFileSync(file));
+    (fixtures.users || []).forEach(function(doc) {
+      users.push(_copy(doc));
+    });
+  }
+};
+
+clear();
+
+let ping = () => {
+  return Promise.resolve();
+};
+
+let insertToken = (doc) => {
+  // Set on the inserted document, as the MongoDB driver does
+  doc._id = doc._id || crypto.randomBytes(12).toString('hex');
+  tokens.push(_copy(doc));
+  return Promise.resolve();
+};
+
+let findTokens = (hashes) => {
+  return Promise.resolve(tokens.filter(function(doc) {
+    return hashes.indexOf(doc.hash) >= 0;
+  }).map(_copy));
+};
+
+let findValidTokens = () => {
+  return Promise.resolve(tokens.filter(function(doc) {
+    return doc.status === constants.TOKEN_STATUS_VALID;
+  }).map(_copy));
+};
+
+let countValidTokens = (time) => {
+  let counts = {active: 0, expired: 0};
+  tokens.forEach(function(doc) {
+    if (doc.status !== constants.TOKEN_STATUS_VALID) {
+      return;
+    }
+    if (doc.expiryTime && new Date(doc.expiryTime) < time) {
+      counts.expired++;
+    } else {
+      counts.active++;
+    }
+  });
+  return Promise.resolve(counts);
+};
+
+let listTokens = (user) => {
+  let docs = tokens.filter(function(doc) {
+    return doc.user === user;
+  });
+  // valid tokens first, as 'valid' sorts after 'revoked'
+  let valid = docs.filter(function(doc) {
+    return doc.status === constants.TOKEN_STATUS_VALID;
+  });
+  let others = docs.filter(function(doc) {
+    return doc.status !== constants.TOKEN_STATUS_VALID;
+  });
+  return Promise.resolve(valid.concat(others).map(_copy));
+};
+
+let selectTokens = (fields) => {
+  return Promise.resolve(tokens.filter(function(doc) {
+    return ['user', 'status'].every(function(name) {
+      return !fields[name] || doc[name] === fields[name];
+    });
+  }).map(_copy));
+};
+
+let updateToken = (hash, histLength, changes, entry) => {
+  let doc = tokens.find(function(token) {
+    return token.hash === hash;
+  });
+  if (!doc) {
+    return Promise.resolve(undefined);
+  }
+  let histMatches = histLength === undefined
+    ? !doc.hist
+    : Boolean(doc.hist) && doc.hist.length === histLength;
+  if (!histMatches) {
+    return Promise.resolve(undefined);
+  }
+  Object.assign(doc, _copy(changes));
+  doc.hist = (doc.hist || []).concat([_copy(entry)]);
+  return Promise.resolve(_copy(doc));
+};
+
+let findUsers = (names) => {
+  return Promise.resolve(users.filter(function(doc) {
+    return names.indexOf(doc.user) >= 0;
+  }).map(_copy));
+};
+
+let listUsers = () => {
+  return Promise.resolve(users.map(_copy));
+};
+
+let saveUser = (doc) => {
+  users = users.filter(function(existing) {
+    return existing.user !== doc.user;
+  });
+  users.push(_copy(doc));
+  userChanges++;
+  return Promise.resolve();
+};
+
+let appendAuditEvent = (build) => {
+  events.push(_copy(build(_copy(events[events.length - 1]))));
+  return Promise.resolve();
+};
+
+let queryAuditEvents = (filters) => {
+  let matching = events.filter(function(doc) {
+    return ['event', 'actor', 'target'].every(function(name) {
+      return !filters[name] || doc[name] === filters[name];
+    }) &&
+      (!filters.from || doc.time >= filters.from) &&
+      (!filters.to || doc.time < filters.to);
+  }).reverse();
+  return Promise.resolve({
+    total:  matching.length,
+    events: matching.slice(filters.offset, filters.offset + filters.limit).map(_copy),
+  });
+};
+
+// Nothing is shared with other processes, so there is nothing to publish
+
+let publishTokenChange = () => {
+  return Promise.resolve();
+};
+
+let findTokenChanges = () => {
+  return Promise.resolve([]);
+};
+
+let lastUserChange = () => {
+  return Promise.resolve(String(userChanges));
+};
+
+let aclBackend = () => {
+  /* eslint-disable new-cap */
+  let backend = new ACL.memoryBackend();
+  /* eslint-enable new-cap */
+  let acl = new ACL(backend);
+  let admins = fixtures.admins || [];
+  let p_admins = admins.length
+    ? acl.allow(constants.ACL_ROLE_ADMINISTRATOR, '/admin',
+        [constants.ACL_ACTION_VIEW, constants.ACL_ACTION_POST])
+    : Promise.resolve();
+  return p_admins.then(function() {
+    return Promise.all(admins.map(function(admin) {
+      return acl.addUserRoles(admin, constants.ACL_ROLE_ADMINISTRATOR);
+    }));
+  }).then(function() {
+    return backend;
+  });
+};
+
+module.exports = {
+  name: 'memory',
+  ping,
+  insertToken,
+  findTokens,
+  findValidTokens,
+  countValidTokens,
+  listTokens,
+  selectTokens,
+  updateToken,
+  findUsers,
+  listUsers,
+  saveUser,
+  appendAuditEvent,
+  queryAuditEvents,
+  publishTokenChange,
+  findTokenChanges,
+  lastUserChange,
+  aclBackend,
+  clear,
+};
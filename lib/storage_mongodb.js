@@ -0,0 +1,362 @@
+'use strict';
+
+/**
+ * MongoDB storage backend, see {@link module:lib/storage}. Uses the shared
+ * connection of {@link module:lib/db_conn}, which is opened when this
+ * module is loaded.
+ * @module lib/storage_mongodb
+ * @copyright 2017 Genome Research Ltd
+ * @author Andrew Nowak
+ */
+
+const ACL = require('acl');
+
+const constants = require('./constants.js');
+const dbConn    = require('./db_conn.js');
+
+// _id of the document of the audit head collection
+const HEAD_ID = 'audit';
+
+// MongoDB error code for a duplicate key
+const DUPLICATE_KEY = 11000;
+
+// Largest difference, in milliseconds, between local times and UTC
+const MAX_UTC_OFFSET = 14 * 60 * 60 * 1000;
+
+/**
+ * Gets a collection from the database, creating its indexes.
+ * @private
+ * @param {String} name - name of the collection
+ * @param {Object} [options] - options of the collection, such as its read
+ *   preference or write concern
+ * @param {Object[]} [indexes] - Arrays of arguments to createIndex
+ * @return {Promise} Fulfills with the collection.
+ */
+function _collection(name, options, indexes) {
+  return dbConn.p_db.then(function(db) {
+    let collection = db.collection(name, options || {});
+    return Promise.all((indexes || []).map(function(args) {
+      return collection.createIndex.apply(collection, args);
+    })).then(function() {
+      return collection;
+    });
+  });
+}
+
+let p_tokens = _collection(constants.COLLECTION_TOKENS, dbConn.writeOptions());
+
+// Tokens are read from p_tokens before they are changed, so that the change
+// is based on the latest document.
+let p_validationTokens = _collection(constants.COLLECTION_TOKENS, dbConn.readOptions());
+let p_validationUsers  = _collection(constants.COLLECTION_USERS, dbConn.readOptions());
+
+// These are prepared before any operation is asked for. If the database can
+// not be reached, the operations fail with the reason, which the connection
+// has already logged
+[p_tokens, p_validationTokens, p_validationUsers].forEach(function(p_collection) {
+  p_collection.catch(function() {});
+});
+
+let p_audit;
+let p_auditHead;
+let p_revocations;
+
+/**
+ * Gets the audit collection, creating its indexes the first time it is used.
+ * @private
+ * @return {Promise} Fulfills with the collection.
+ */
+function _audit() {
+  if (!p_audit) {
+    p_audit = _collection(constants.COLLECTION_AUDIT, {}, [
+      [{time: -1}],
+      [{event: 1, time: -1}],
+      // Events recorded before chaining was introduced have no seq
+      [{seq: 1}, {unique: true, sparse: true}],
+    ]);
+  }
+  return p_audit;
+}
+
+/**
+ * Gets the collection of the head of the audit log.
+ * @private
+ * @return {Promise} Fulfills with the collection.
+ */
+function _auditHead() {
+  if (!p_auditHead) {
+    p_auditHead = _collection(constants.COLLECTION_AUDIT_HEAD);
+  }
+  return p_auditHead;
+}
+
+/**
+ * Gets the collection of changes to tokens, creating the index which
+ * removes old changes the first time it is used.
+ * @private
+ * @return {Promise} Fulfills with the collection.
+ */
+function _revocations() {
+  if (!p_revocations) {
+    p_revocations = _collection(constants.COLLECTION_REVOCATIONS, {}, [
+      [{time: 1}, {expireAfterSeconds: constants.REVOCATION_EXPIRY}],
+    ]);
+  }
+  return p_revocations;
+}
+
+let ping = () => {
+  return dbConn.p_db.then(function(db) {
+    return db.command({ping: 1});
+  });
+};
+
+let insertToken = (doc) => {
+  return p_tokens.then(function(collection) {
+    return collection.insertOne(doc);
+  });
+};
+
+let findTokens = (hashes, forValidation) => {
+  return (forValidation ? p_validationTokens : p_tokens).then(function(collection) {
+    return collection.find({hash: {$in: hashes}}).toArray();
+  });
+};
+
+let findValidTokens = () => {
+  return p_tokens.then(function(collection) {
+    return collection.find({status: constants.TOKEN_STATUS_VALID}).toArray();
+  });
+};
+
+let countValidTokens = (time) => {
+  // expiryTime is stored as a string with a timezone offset, which MongoDB
+  // can only compare as a string. Those which are before or after time in
+  // any timezone are compared by their date and time of day; only the few
+  // which are not are read and compared here.
+  let localTime = function(offset) {
+    // YYYY-MM-DDTHH:mm:ss
+    return new Date(time.getTime() + offset).toISOString().slice(0, 19);
+  };
+  let earliest = localTime(-MAX_UTC_OFFSET);
+  let latest = localTime(MAX_UTC_OFFSET);
+  let status = constants.TOKEN_STATUS_VALID;
+  return p_tokens.then(function(collection) {
+    return Promise.all([
+      collection.count({status}),
+      collection.count({status, expiryTime: {$lt: earliest}}),
+      collection.find({status, expiryTime: {$gte: earliest, $lt: latest}})
+        .project({expiryTime: 1})
+        .toArray(),
+    ]);
+  }).then(function(results) {
+    let expired = results[1] + results[2].filter(function(doc) {
+      return new Date(doc.expiryTime) < time;
+    }).length;
+    return {active: results[0] - expired, expired};
+  });
+};
+
+let listTokens = (user) => {
+  return p_tokens.then(function(collection) {
+    // sort so valid tokens at top
+    return collection.find({user}).sort('status', -1).toArray();
+  });
+};
+
+let selectTokens = (fields) => {
+  let filter = {};
+  ['user', 'status'].forEach(function(name) {
+    if (fields[name]) {
+      filter[name] = fields[name];
+    }
+  });
+  return p_tokens.then(function(collection) {
+    return collection.find(filter).toArray();
+  });
+};
+
+let updateToken = (hash, histLength, changes, entry) => {
+  let filter = {
+    hash,
+    hist: histLength === undefined ? {$exists: false} : {$size: histLength}
+  };
+  let update = {$set: changes, $push: {hist: entry}};
+  return p_tokens.then(function(collection) {
+    return collection.findOneAndUpdate(filter, update, {returnOriginal: false});
+  }).then(function(updateRes) {
+    return updateRes.value || undefined;
+  });
+};
+
+let findUsers = (users) => {
+  return p_validationUsers.then(function(collection) {
+    return collection.find({user: {$in: users}}).toArray();
+  });
+};
+
+let listUsers = () => {
+  return dbConn.p_db.then(function(db) {
+    return db.collection(constants.COLLECTION_USERS).find({}).toArray();
+  });
+};
+
+let saveUser = (doc) => {
+  return dbConn.p_db.then(function(db) {
+    return db.collection(constants.COLLECTION_USERS)
+      .replaceOne({user: doc.user}, doc, {upsert: true});
+  });
+};
+
+/**
+ * Reads the head of the audit log. The first time, the head is created from
+ * the last event, if any.
+ * @private
+ * @param {Object} audit - audit collection
+ * @param {Object} heads - audit head collection
+ * @return {Promise} Fulfills with the head, of form {seq, digest}, where seq
+ *   is 0 if there are no events.
+ */
+function _readHead(audit, heads) {
+  return heads.findOne({_id: HEAD_ID}).then(function(head) {
+    if (head) {
+      return head;
+    }
+    // Events recorded before chaining was introduced have no seq
+    return audit.find({seq: {$exists: true}}).sort({seq: -1}).limit(1).toArray()
+      .then(function(docs) {
+        return heads.insertOne({
+          _id:    HEAD_ID,
+          seq:    docs.length ? docs[0].seq : 0,
+          digest: docs.length ? docs[0].digest : null,
+        });
+      })
+      .catch(function(reason) {
+        // Another process created the head first
+        if (reason.code !== DUPLICATE_KEY) {
+          throw reason;
+        }
+      })
+      .then(function() {
+        return _readHead(audit, heads);
+      });
+  });
+}
+
+/**
+ * Appends an audit event. Its seq is allocated by moving the head of the log
+ * on from the head it was built upon, so that if another process appends an
+ * event first, the event is built again upon the new head. An event which
+ * can not be stored once its seq is allocated leaves a gap in the log.
+ * @private
+ * @param {Object} audit - audit collection
+ * @param {Object} heads - audit head collection
+ * @param {Function} build - returns the event to store
+ * @return {Promise} Fulfills once the event is stored.
+ */
+function _append(audit, heads, build) {
+  return _readHead(audit, heads).then(function(head) {
+    let doc = build(head.seq ? {seq: head.seq, digest: head.digest} : undefined);
+    return heads.findOneAndUpdate(
+      {_id: HEAD_ID, seq: head.seq},
+      {$inc: {seq: 1}, $set: {digest: doc.digest}}
+    ).then(function(result) {
+      if (!result.value) {
+        return _append(audit, heads, build);
+      }
+      return audit.insertOne(doc);
+    });
+  });
+}
+
+let appendAuditEvent = (build) => {
+  return Promise.all([_audit(), _auditHead()]).then(function(collections) {
+    return _append(collections[0], collections[1], build);
+  });
+};
+
+let queryAuditEvents = (filters) => {
+  let selector = {};
+  ['event', 'actor', 'target'].forEach(function(name) {
+    if (filters[name]) {
+      selector[name] = filters[name];
+    }
+  });
+  if (filters.from || filters.to) {
+    selector.time = {};
+    if (filters.from) {
+      selector.time.$gte = filters.from;
+    }
+    if (filters.to) {
+      selector.time.$lt = filters.to;
+    }
+  }
+  return _audit().then(function(collection) {
+    return Promise.all([
+      collection.count(selector),
+      collection.find(selector, {_id: 0})
+        .sort({time: -1}).skip(filters.offset).limit(filters.limit).toArray(),
+    ]);
+  }).then(function(values) {
+    return {total: values[0], events: values[1]};
+  });
+};
+
+let publishTokenChange = (hash) => {
+  return _revocations().then(function(collection) {
+    return collection.insertOne({hash, time: new Date()});
+  });
+};
+
+let findTokenChanges = (since) => {
+  let query = since ? {time: {$gte: since}} : {};
+  return _revocations().then(function(collection) {
+    return collection.find(query).toArray();
+  }).then(function(docs) {
+    return docs.map(function(doc) {
+      return doc.hash;
+    });
+  });
+};
+
+let lastUserChange = () => {
+  // Users are imported with a last_modified time
+  return dbConn.p_db.then(function(db) {
+    return db.collection(constants.COLLECTION_USERS)
+      .find({}, {last_modified: 1})
+      .sort({last_modified: -1})
+      .limit(1)
+      .toArray();
+  }).then(function(docs) {
+    return docs.length ? String(docs[0].last_modified) : undefined;
+  });
+};
+
+let aclBackend = () => {
+  return dbConn.p_db.then(function(db) {
+    /* eslint-disable new-cap */
+    return new ACL.mongodbBackend(db, constants.ACL_BACKEND_PREFIX);
+    /* eslint-enable new-cap */
+  });
+};
+
+module.exports = {
+  name: 'mongodb',
+  ping,
+  insertToken,
+  findTokens,
+  findValidTokens,
+  countValidTokens,
+  listTokens,
+  selectTokens,
+  updateToken,
+  findUsers,
+  listUsers,
+  saveUser,
+  appendAuditEvent,
+  queryAuditEvents,
+  publishTokenChange,
+  findTokenChanges,
+  lastUserChange,
+  aclBackend,
+};
@@ -0,0 +1,273 @@
+'use strict';
+
+/**
+ * PostgreSQL storage backend, see {@link module:lib/storage}. Uses the pool
+ * of {@link module:lib/pg_conn}, and the schema of
+ * {@link module:lib/pg_schema}, which must be created with
+ * scripts/pg-migrate.js before the server starts. Documents are stored as
+ * jsonb, and are returned in the same form as from MongoDB, except that
+ * _id is the number of the row, as a String.
+ * @module lib/storage_postgresql
+ * @copyright 2017 Genome Research Ltd
+ * @author Andrew Nowak
+ */
+
+const constants    = require('./constants.js');
+const PgAclBackend = require('./pg_acl_backend.js');
+const pgConn       = require('./pg_conn.js');
+
+const TOKENS      = constants.COLLECTION_TOKENS;
+const USERS       = constants.COLLECTION_USERS;
+const REVOCATIONS = constants.COLLECTION_REVOCATIONS;
+const AUDIT       = constants.COLLECTION_AUDIT;
+const AUDIT_HEAD  = constants.COLLECTION_AUDIT_HEAD;
+
+/**
+ * Serialises a document for a jsonb parameter, without its _id. Arrays would
+ * otherwise be sent as PostgreSQL arrays.
+ * @private
+ * @param {Object} doc
+ * @return {String}
+ */
+function _json(doc) {
+  let copy = Object.assign({}, doc);
+  delete copy._id;
+  return JSON.stringify(copy);
+}
+
+/**
+ * Gets the document of a row of the tokens table.
+ * @private
+ * @param {Object} row - with id and doc
+ * @return {Object}
+ */
+function _token(row) {
+  return Object.assign({_id: String(row.id)}, row.doc);
+}
+
+/**
+ * Gets the document of a row of the audit table. Times are stored as
+ * strings in jsonb, so are made Dates again, as stored by MongoDB.
+ * @private
+ * @param {Object} row - with doc
+ * @return {Object}
+ */
+function _event(row) {
+  return Object.assign({}, row.doc, {time: new Date(row.doc.time)});
+}
+
+let ping = () => {
+  return pgConn.query('SELECT 1');
+};
+
+let insertToken = (doc) => {
+  return pgConn.query(
+    `INSERT INTO ${TOKENS} (hash, username, status, doc)
+     VALUES ($1, $2, $3, $4) RETURNING id`,
+    [doc.hash, doc.user, doc.status, _json(doc)]
+  ).then(function(result) {
+    // Set on the inserted document, as the MongoDB driver does
+    doc._id = String(result.rows[0].id);
+  });
+};
+
+let findTokens = (hashes) => {
+  return pgConn.query(
+    `SELECT id, doc FROM ${TOKENS} WHERE hash = ANY($1)`, [hashes]
+  ).then(function(result) {
+    return result.rows.map(_token);
+  });
+};
+
+let findValidTokens = () => {
+  return pgConn.query(
+    `SELECT id, doc FROM ${TOKENS} WHERE status = $1`, [constants.TOKEN_STATUS_VALID]
+  ).then(function(result) {
+    return result.rows.map(_token);
+  });
+};
+
+let countValidTokens = (time) => {
+  return pgConn.query(
+    `SELECT count(*) AS valid,
+            count(*) FILTER (WHERE (doc->>'expiryTime')::timestamptz < $2) AS expired
+     FROM ${TOKENS} WHERE status = $1`,
+    [constants.TOKEN_STATUS_VALID, time]
+  ).then(function(result) {
+    // counts are bigints, which are returned as Strings
+    let valid = Number(result.rows[0].valid);
+    let expired = Number(result.rows[0].expired);
+    return {active: valid - expired, expired};
+  });
+};
+
+let listTokens = (user) => {
+  // sort so valid tokens at top
+  return pgConn.query(
+    `SELECT id, doc FROM ${TOKENS} WHERE username = $1 ORDER BY status DESC, id`, [user]
+  ).then(function(result) {
+    return result.rows.map(_token);
+  });
+};
+
+let selectTokens = (fields) => {
+  return pgConn.query(
+    `SELECT id, doc FROM ${TOKENS}
+     WHERE ($1::text IS NULL OR username = $1) AND ($2::text IS NULL OR status = $2)`,
+    [fields.user || null, fields.status || null]
+  ).then(function(result) {
+    return result.rows.map(_token);
+  });
+};
+
+let updateToken = (hash, histLength, changes, entry) => {
+  return pgConn.query(
+    `UPDATE ${TOKENS}
+     SET doc = doc || $3::jsonb || jsonb_build_object(
+           'hist', coalesce(doc->'hist', '[]'::jsonb) || jsonb_build_array($4::jsonb)
+         ),
+         status = coalesce($3::jsonb->>'status', status)
+     WHERE hash = $1
+       AND (($2::integer IS NULL AND doc->'hist' IS NULL) OR
+            jsonb_array_length(doc->'hist') = $2::integer)
+     RETURNING id, doc`,
+    [hash, histLength === undefined ? null : histLength, JSON.stringify(changes), _json(entry)]
+  ).then(function(result) {
+    return result.rows.length ? _token(result.rows[0]) : undefined;
+  });
+};
+
+let findUsers = (users) => {
+  return pgConn.query(
+    `SELECT doc FROM ${USERS} WHERE username = ANY($1)`, [users]
+  ).then(function(result) {
+    return result.rows.map(function(row) {
+      return row.doc;
+    });
+  });
+};
+
+let listUsers = () => {
+  return pgConn.query(`SELECT doc FROM ${USERS}`).then(function(result) {
+    return result.rows.map(function(row) {
+      return row.doc;
+    });
+  });
+};
+
+let saveUser = (doc) => {
+  return pgConn.query(
+    `INSERT INTO ${USERS} (username, doc) VALUES ($1, $2)
+     ON CONFLICT (username) DO UPDATE SET doc = EXCLUDED.doc`,
+    [doc.user, _json(doc)]
+  );
+};
+
+let appendAuditEvent = (build) => {
+  let doc;
+  return pgConn.transaction(function(client) {
+    // Appends wait for each other at the head of the log, so that no two
+    // events have the same seq
+    return client.query(`SELECT seq, digest FROM ${AUDIT_HEAD} FOR UPDATE`).then(function(result) {
+      let head = result.rows[0];
+      doc = build(head.seq ? head : undefined);
+      return client.query(`UPDATE ${AUDIT_HEAD} SET seq = $1, digest = $2`, [doc.seq, doc.digest]);
+    }).then(function() {
+      return client.query(
+        `INSERT INTO ${AUDIT} (seq, time, event, actor, target, doc)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [doc.seq, doc.time, doc.event, doc.actor, doc.target, _json(doc)]
+      );
+    });
+  });
+};
+
+let queryAuditEvents = (filters) => {
+  let conditions = [];
+  let values = [];
+  let condition = function(sql, value) {
+    values.push(value);
+    conditions.push(sql.replace('?', '$' + values.length));
+  };
+  ['event', 'actor', 'target'].forEach(function(name) {
+    if (filters[name]) {
+      condition(`${name} = ?`, filters[name]);
+    }
+  });
+  if (filters.from) {
+    condition('time >= ?', filters.from);
+  }
+  if (filters.to) {
+    condition('time < ?', filters.to);
+  }
+  let where = conditions.length ? 'WHERE ' + conditions.join(' AND ') : '';
+  let p_total = pgConn.query(`SELECT count(*) AS total FROM ${AUDIT} ${where}`, values);
+  let p_events = pgConn.query(
+    `SELECT doc FROM ${AUDIT} ${where} ORDER BY time DESC, seq DESC
+     OFFSET $${values.length + 1} LIMIT $${values.length + 2}`,
+    values.concat([filters.offset, filters.limit])
+  );
+  return Promise.all([p_total, p_events]).then(function(results) {
+    return {
+      // count is a bigint, which is returned as a String
+      total:  Number(results[0].rows[0].total),
+      events: results[1].rows.map(_event),
+    };
+  });
+};
+
+let publishTokenChange = (hash) => {
+  let now = new Date();
+  let expired = new Date(now.getTime() - constants.REVOCATION_EXPIRY * 1000);
+  return pgConn.query(
+    `INSERT INTO ${REVOCATIONS} (hash, time) VALUES ($1, $2)`, [hash, now]
+  ).then(function() {
+    return pgConn.query(`DELETE FROM ${REVOCATIONS} WHERE time < $1`, [expired]);
+  });
+};
+
+let findTokenChanges = (since) => {
+  let p_result = since
+    ? pgConn.query(`SELECT hash FROM ${REVOCATIONS} WHERE time >= $1`, [since])
+    : pgConn.query(`SELECT hash FROM ${REVOCATIONS}`);
+  return p_result.then(function(result) {
+    return result.rows.map(function(row) {
+      return row.hash;
+    });
+  });
+};
+
+let lastUserChange = () => {
+  // Users are imported with a last_modified time
+  return pgConn.query(
+    `SELECT max(doc->>'last_modified') AS modified FROM ${USERS}`
+  ).then(function(result) {
+    let modified = result.rows[0].modified;
+    return modified === null ? undefined : modified;
+  });
+};
+
+let aclBackend = () => {
+  return Promise.resolve(new PgAclBackend(constants.ACL_BACKEND_PREFIX));
+};
+
+module.exports = {
+  name: 'postgresql',
+  ping,
+  insertToken,
+  findTokens,
+  findValidTokens,
+  countValidTokens,
+  listTokens,
+  selectTokens,
+  updateToken,
+  findUsers,
+  listUsers,
+  saveUser,
+  appendAuditEvent,
+  queryAuditEvents,
+  publishTokenChange,
+  findTokenChanges,
+  lastUserChange,
+  aclBackend,
+};
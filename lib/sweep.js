@@ -0,0 +1,71 @@
+'use strict';
+
+/**
+ * Periodic revocation of the tokens of users who are no longer current, see
+ * {@link module:lib/model.revokeDepartedTokens}. Every process of a cluster
+ * sweeps, but each token is only revoked once.
+ * @module lib/sweep
+ * @copyright 2017 Genome Research Ltd
+ * @author Andrew Nowak
+ */
+
+const config = require('./config.js');
+const logger = require('./logger.js');
+const model  = require('./model.js');
+
+let timer;
+
+/**
+ * Revokes the tokens of users who are no longer current.
+ * @alias module:lib/sweep.run
+ * @return {Promise} Fulfills with the number of tokens revoked.
+ */
+let run = () => {
+  return model.revokeDepartedTokens().then(function(revoked) {
+    if (revoked.length) {
+      logger.info(`Revoked ${revoked.length} token(s) of departed users`);
+    }
+    return revoked.length;
+  });
+};
+
+/**
+ * Starts sweeping every 'sweepinterval' seconds. Does nothing if the
+ * interval is 0 or sweeping has already started.
+ * @alias module:lib/sweep.start
+ */
+let start = () => {
+  let interval = Number(config.provide().get('sweepinterval')) * 1000;
+  if (!interval || timer) {
+    return;
+  }
+  let next = function() {
+    timer = setTimeout(function() {
+      run().catch(function(reason) {
+        logger.error('Failed to revoke tokens of departed users: ' + reason);
+      }).then(function() {
+        if (timer) {
+          next();
+        }
+      });
+    }, interval);
+    timer.unref();
+  };
+  next();
+  logger.info(`Revoking tokens of departed users every ${interval}ms`);
+};
+
+/**
+ * Stops sweeping.
+ * @alias module:lib/sweep.stop
+ */
+let stop = () => {
+  clearTimeout(timer);
+  timer = undefined;
+};
+
+module.exports = {
+  run,
+  start,
+  stop,
+};
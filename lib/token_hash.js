@@ -0,0 +1,41 @@
+'use strict';
+
+/**
+ * Keyed hashing of tokens. Only the hash of a token is stored in the
+ * database, so that read access to the database does not give access to
+ * the tokens themselves.
+ * @module lib/token_hash
+ * @copyright 2017 Genome Research Ltd
+ * @author Andrew Nowak
+ */
+
+/**
+ * @external crypto
+ * @see {@link https://nodejs.org/docs/latest-v6.x/api/crypto.html|crypto}
+ */
+const crypto = require('crypto');
+
+const config    = require('./config.js');
+const constants = require('./constants.js');
+
+/**
+ * Computes the HMAC of a token, keyed with the server secret from the
+ * 'tokensecret' configuration option.
+ * @alias module:lib/token_hash.hashToken
+ * @param {String} token - plaintext token
+ * @return {String} hex encoded HMAC of the token
+ * @throws {Error} if the server secret is not configured
+ */
+let hashToken = (token) => {
+  let secret = config.provide().get('tokensecret');
+  if (!secret) {
+    throw new Error('tokensecret is not defined in the configuration');
+  }
+  return crypto.createHmac(constants.TOKEN_HASH_ALGORITHM, secret)
+    .update(token)
+    .digest('hex');
+};
+
+module.exports = {
+  hashToken,
+};
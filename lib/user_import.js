@@ -0,0 +1,178 @@
+'use strict';
+
+/**
+ * Import of users and their groups, in the JSON lines format printed by
+ * perl/bin/access_control_groups.pl --user-first: one Object of form
+ * {user, groups, current, last_modified} per line. The import is the whole
+ * list of users, so known users who are missing from it are marked as not
+ * current, and lose their groups.
+ * @module lib/user_import
+ * @copyright 2017 Genome Research Ltd
+ * @author Andrew Nowak
+ */
+
+const assert = require('assert');
+
+const moment = require('moment');
+
+const cache   = require('./cache.js');
+const logger  = require('./logger.js');
+const storage = require('./storage.js');
+
+/**
+ * Checks that a value parsed from a line is a user record.
+ * @private
+ * @param {*} record
+ * @throws external:assert.AssertionError
+ */
+function _validateRecord(record) {
+  assert(record && typeof record === 'object' && !(record instanceof Array),
+         'must be an Object');
+  assert(typeof record.user === 'string' && record.user.trim() !== '',
+         'user must be a non-empty string');
+  assert(record.groups instanceof Array, 'groups must be an Array');
+  record.groups.forEach(function(group) {
+    assert(typeof group === 'string', 'groups entry must be a string');
+  });
+  assert(record.current === undefined || typeof record.current === 'boolean',
+         'current must be a Boolean');
+  assert(record.last_modified === undefined || typeof record.last_modified === 'string',
+         'last_modified must be a string');
+}
+
+/**
+ * Parses users from JSON lines. Blank lines are ignored.
+ * @alias module:lib/user_import.parse
+ * @param {String|Object[]} input - JSON lines, or Objects already parsed
+ * @return {Object[]} records of form {user, groups, current, last_modified}
+ * @throws {Error} with statusCode 400 and the number of the first invalid
+ *   line, if any line is not a valid record or a user is repeated
+ */
+let parse = (input) => {
+  let records = [];
+  let seen = Object.create(null);
+  let lines = typeof input === 'string' ? input.split('\n') : input;
+  assert(lines instanceof Array, 'users must be JSON lines or an Array');
+  lines.forEach(function(line, i) {
+    if (typeof line === 'string' && line.trim() === '') {
+      return;
+    }
+    try {
+      let record = typeof line === 'string' ? JSON.parse(line) : line;
+      _validateRecord(record);
+      assert(!seen[record.user], `user ${record.user} is repeated`);
+      seen[record.user] = true;
+      records.push(record);
+    } catch (e) {
+      let err = new Error(`line ${i + 1}: ${e.message}`);
+      err.statusCode = 400;
+      throw err;
+    }
+  });
+  return records;
+};
+
+/**
+ * Finds the groups in one list and not in another.
+ * @private
+ * @param {String[]} groups
+ * @param {String[]} others
+ * @return {String[]}
+ */
+function _difference(groups, others) {
+  return groups.filter(function(group) {
+    return others.indexOf(group) < 0;
+  });
+}
+
+/**
+ * Stores imported users, and marks known users who were not imported as not
+ * current, with no groups. Users who have not changed are not stored again.
+ * @alias module:lib/user_import.run
+ * @param {Object[]} records - as returned by
+ *   {@link module:lib/user_import.parse}
+ * @param {Object} [options]
+ * @param {Boolean} [options.dryRun=false] - report the changes without
+ *   storing them
+ * @return {Promise} Fulfills with a summary of the changes, of form
+ *   {added, removed, changed, unchanged}: the users who were not known, the
+ *   users marked as not current, the changes to the groups of each user of
+ *   form {user, added, removed}, and the number of users who did not change.
+ */
+let run = (records, options) => {
+  options = options || {};
+  let backend = storage.provide();
+  let now = moment().format();
+
+  return backend.listUsers().then(function(existing) {
+    let known = Object.create(null);
+    existing.forEach(function(doc) {
+      known[doc.user] = doc;
+    });
+    let summary = {added: [], removed: [], changed: [], unchanged: 0};
+    let docs = [];
+
+    let compare = function(previous, doc) {
+      let before = previous && previous.current !== false ? previous.groups || [] : [];
+      let after = doc.current !== false ? doc.groups : [];
+      let added = _difference(after, before);
+      let removed = _difference(before, after);
+      if (added.length || removed.length) {
+        summary.changed.push({user: doc.user, added, removed});
+      }
+      if (added.length || removed.length || !previous ||
+          (previous.current !== false) !== (doc.current !== false)) {
+        docs.push(doc);
+      } else {
+        summary.unchanged++;
+      }
+    };
+
+    records.forEach(function(record) {
+      let previous = known[record.user];
+      delete known[record.user];
+      if (!previous) {
+        summary.added.push(record.user);
+      } else if (record.current === false && previous.current !== false) {
+        summary.removed.push(record.user);
+      }
+      let doc = {
+        user:          record.user,
+        groups:        record.groups,
+        current:       record.current !== false,
+        last_modified: record.last_modified || now,
+      };
+      compare(previous, doc);
+    });
+
+    Object.keys(known).forEach(function(user) {
+      let previous = known[user];
+      if (previous.current === false) {
+        summary.unchanged++;
+        return;
+      }
+      summary.removed.push(user);
+      compare(previous, {user, groups: [], current: false, last_modified: now});
+    });
+
+    if (options.dryRun) {
+      return summary;
+    }
+    logger.info(`Importing users: ${summary.added.length} added, ` +
+                `${summary.removed.length} removed, ${summary.changed.length} changed`);
+    return docs.reduce(function(p_previous, doc) {
+      return p_previous.then(function() {
+        return backend.saveUser(doc);
+      });
+    }, Promise.resolve()).then(function() {
+      // Other processes notice the new last_modified when they next poll
+      cache.users.clear();
+      return summary;
+    });
+  });
+};
+
+module.exports = {
+  parse,
+  run,
+};
@@ -29,9 +29,20 @@ const helmet = require('helmet');
 
 const admin_controller         = require('./lib/admin_controller');
 const authorisation_controller = require('./lib/authorisation_controller');
+const dbConn                   = require('./lib/db_conn');
+const health_controller        = require('./lib/health_controller');
+const invalidation             = require('./lib/invalidation');
+const metrics                  = require('./lib/metrics');
+const pgConn                   = require('./lib/pg_conn');
+const rateLimit                = require('./lib/rate_limit');
+const shutdown                 = require('./lib/shutdown');
+const sweep                    = require('./lib/sweep');
 
 const port = opts.get('port');
 
+// Time in milliseconds allowed for requests to finish after a signal to stop
+const SHUTDOWN_TIMEOUT = 10000;
+
 const app = express();
 let serv;
 
@@ -62,6 +73,20 @@ if (opts.get('no-ssl')) {
   serv = https.createServer(httpsopts, app);
 }
 
+if (!opts.get('tokensecret')) {
+  throw new Error('Storing tokens requires tokensecret to be defined in ' +
+    'the configuration file');
+}
+
+// Fail now, rather than when the first token is created
+if (opts.get('jwtkeydir')) {
+  fs.accessSync(opts.get('jwtkeydir'), fs.R_OK);
+} else if (opts.get('jwtkey')) {
+  fs.accessSync(opts.get('jwtkey'), fs.R_OK);
+}
+
+metrics.instrumentDb();
+
 // app.get('/foo') is not the same as app.get('/foo/')
 app.enable('strict routing');
 
@@ -73,7 +98,17 @@ app.use(helmet({
 
 app.use(logger.connectLogger(logger, { level: 'auto' }));
 
-app.use(bodyParser.json());
+app.use(metrics.requestMiddleware);
+
+let jsonParser = bodyParser.json();
+app.use(function parseJson(req, res, next) {
+  // Users are imported in bodies larger than others are allowed to be, so
+  // that route parses its own
+  if (req.path === '/admin/users/import') {
+    return next();
+  }
+  jsonParser(req, res, next);
+});
 
 app.use(function setRelativeRoot(req, res, next) {
   req.relativeRoot = req.originalUrl
@@ -86,6 +121,11 @@ app.use(function setRelativeRoot(req, res, next) {
   next();
 });
 
+// Limits are checked before the routes they limit
+rateLimit.setup(app);
+
+health_controller.setup(app);
+
 // if (opts.get('do-acls')) {
 admin_controller.setup(app);
 // }
@@ -130,17 +170,53 @@ app.use(function(err, req, res, next) {
     errorMessage = http.STATUS_CODES[statusCode];
   }
   logger.error(err);
-  res.status(statusCode).render(path.join(__dirname, 'sentry/views', 'error'), {
-    statusCode: statusCode,
-    err: errorMessage,
-    baseurl: req.relativeRoot,
+  // Pages are requested by browsers, which accept html before anything
+  // else; clients of the API are given the error as JSON
+  res.status(statusCode).format({
+    json: function() {
+      res.json({statusCode, error: errorMessage});
+    },
+    html: function() {
+      res.render(path.join(__dirname, 'sentry/views', 'error'), {
+        statusCode: statusCode,
+        err: errorMessage,
+        baseurl: req.relativeRoot,
+      });
+    },
   });
 });
 logger.debug('All routing and middleware registered');
 
+const connections = shutdown.track(serv);
+
 serv.listen(port);
 logger.info(`npg_sentry started on port ${port}`);
 
+invalidation.start();
+sweep.start();
+
+let stop = function(signal) {
+  logger.info(`Received ${signal}, stopping`);
+  invalidation.stop();
+  sweep.stop();
+  setTimeout(function() {
+    logger.error(`Requests did not finish within ${SHUTDOWN_TIMEOUT}ms, exiting`);
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT).unref();
+  connections.close().then(function() {
+    return Promise.all([dbConn.close(), pgConn.close()]);
+  }).then(function() {
+    logger.info('npg_sentry stopped');
+    process.exit(0);
+  }, function(reason) {
+    logger.error(reason);
+    process.exit(1);
+  });
+};
+
+process.once('SIGTERM', stop);
+process.once('SIGINT', stop);
+
 if ( module.parent ) {
   /**
    * Server instance, with all middleware and routing loaded.
@@ -2,25 +2,32 @@
 'use strict';
 
 const ACL = require('acl');
-const MongoClient = require('mongodb').MongoClient;
 
 const configger = require('../lib/configger');
 
 const optionsList = [
-  ['m','mongourl=STRING'  ,'url to connect to mongodb. required.'],
+  ['m','mongourl=STRING'  ,'url to connect to mongodb. required unless pgurl is given.'],
+  ['g','pgurl=STRING'     ,'url to connect to postgresql, instead of mongodb.'],
   ['t','type=STRING'      ,'type of operation to perform. ' +
                            '"user" -> add username to role. ' +
                            '"role" -> create role with permissions'],
   ['u','username=STRING'  ,'add role to this user.'],
   ['r','role=STRING'      ,'role to operate upon. default: administrator'],
   ['p','permission=STRING','permission to add to this role'],
+  ['s','resource=STRING'  ,'resource the permission is on. default: /admin. ' +
+                           'delegated roles use /admin/tokens or /admin/groups/<group>'],
   ['h','help'             ,'show this help'],
 ];
 
 const defaultOptions = {
-  role: 'administrator'
+  role: 'administrator',
+  resource: '/admin'
 };
 
+// Attempts to connect to MongoDB, which may still be starting, before giving
+// up
+const CONNECT_ATTEMPTS = 5;
+
 function generateConfigs() {
   return configger.fromCommandLine(optionsList);
 }
@@ -49,24 +56,30 @@ if (!isValidInvocation()) {
   process.exit(1);
 }
 
+const dbConn  = require('../lib/db_conn');
+const pgConn  = require('../lib/pg_conn');
+const storage = require('../lib/storage');
+
+// Fail, rather than wait for the database forever
+dbConn.limitAttempts(CONNECT_ATTEMPTS);
+
 let acl;
-let p_db = MongoClient.connect(options.get('mongourl'))
+let p_backend = storage.provide().aclBackend();
 
-p_db.then(function(db) {
-  acl = new ACL(new ACL.mongodbBackend(db, 'sentry_acl'));
+p_backend.then(function(backend) {
+  acl = new ACL(backend);
   if (options.get('type') === 'user') {
     return acl.addUserRoles(options.get('username'), options.get('role'));
   } else if (options.get('type') === 'role') {
-    return acl.allow(options.get('role'), '/admin', options.get('permission'));
+    return acl.allow(options.get('role'), options.get('resource'), options.get('permission'));
   } else {
     return Promise.reject(new Error('Unknown operation type.'));
   }
 })
   .catch(function(err) {
-    throw err;
+    console.error(err.message);
+    process.exitCode = 1;
   })
   .then(function() {
-    p_db.then(function(db) {
-      db.close();
-    });
+    return Promise.all([dbConn.close(), pgConn.close()]);
   });
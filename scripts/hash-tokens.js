@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+'use strict';
+
+// Migrates token documents created before tokens were hashed. The plaintext
+// token of each document is replaced with its hash, so must be run with the
+// same tokensecret as the server.
+
+const MongoClient = require('mongodb').MongoClient;
+
+const configger = require('../lib/configger');
+
+const optionsList = [
+  ['m','mongourl=STRING'  ,'url to connect to mongodb. required.'],
+  ['c','configfile=PATH'  ,'config file defining tokensecret. required.'],
+  ['h','help'             ,'show this help'],
+];
+
+function generateConfigs() {
+  return configger.fromCommandLine(optionsList);
+}
+
+let provideOpts = {
+  generateConfigs,
+  defaultOptions: {},
+  immutable: false,
+  ro_key: null,
+  adjustOptions: null
+};
+let options = configger.provide(provideOpts);
+
+if (!options.get('mongourl') || !options.get('tokensecret')) {
+  console.error('Both mongourl and tokensecret must be defined. Exiting...');
+  process.exit(1);
+}
+
+const constants = require('../lib/constants');
+const tokenHash = require('../lib/token_hash');
+
+let migrateNext = (collection, cursor, count) => {
+  return cursor.next().then(function(doc) {
+    if (!doc) {
+      return count;
+    }
+    let update = {
+      $set:   {hash: tokenHash.hashToken(doc.token)},
+      $unset: {token: ''}
+    };
+    return collection.updateOne({_id: doc._id}, update).then(function() {
+      return migrateNext(collection, cursor, count + 1);
+    });
+  });
+};
+
+let p_db = MongoClient.connect(options.get('mongourl'));
+
+p_db.then(function(db) {
+  let collection = db.collection(constants.COLLECTION_TOKENS);
+  let cursor = collection.find({token: {$exists: true}});
+  return migrateNext(collection, cursor, 0);
+})
+  .then(function(count) {
+    console.log(`Hashed ${count} plaintext token(s)`);
+  })
+  .catch(function(err) {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .then(function() {
+    p_db.then(function(db) {
+      db.close();
+    });
+  });
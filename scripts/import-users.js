@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+'use strict';
+
+// Imports users and their groups, as printed by
+// perl/bin/access_control_groups.pl --user-first, from a file or from
+// standard input. Users who are not in the import are marked as not current.
+// Prints a summary of the users and group memberships which changed.
+
+const fs = require('fs');
+
+const configger = require('../lib/configger');
+
+const optionsList = [
+  ['m','mongourl=STRING'  ,'url to connect to mongodb. required unless pgurl is given.'],
+  ['g','pgurl=STRING'     ,'url to connect to postgresql, instead of mongodb.'],
+  ['f','file=STRING'      ,'file of users, as JSON lines. default: standard input'],
+  ['n','dry-run'          ,'report the changes without making them'],
+  ['h','help'             ,'show this help'],
+];
+
+// Attempts to connect to MongoDB, which may still be starting, before giving
+// up
+const CONNECT_ATTEMPTS = 5;
+
+function generateConfigs() {
+  return configger.fromCommandLine(optionsList);
+}
+
+let provideOpts = {
+  generateConfigs,
+  defaultOptions: {},
+  immutable: false,
+  ro_key: null,
+  adjustOptions: null
+};
+let options = configger.provide(provideOpts);
+
+if (!options.get('mongourl') && !options.get('pgurl')) {
+  console.error('mongourl or pgurl must be defined. Exiting...');
+  process.exit(1);
+}
+
+const dbConn     = require('../lib/db_conn');
+const pgConn     = require('../lib/pg_conn');
+const userImport = require('../lib/user_import');
+
+// Fail, rather than wait for the database forever
+dbConn.limitAttempts(CONNECT_ATTEMPTS);
+
+function readInput() {
+  return new Promise(function(resolve, reject) {
+    let file = options.get('file');
+    if (file) {
+      return fs.readFile(file, 'utf8', function(err, text) {
+        return err ? reject(err) : resolve(text);
+      });
+    }
+    let chunks = [];
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', function(chunk) {
+      chunks.push(chunk);
+    });
+    process.stdin.on('end', function() {
+      resolve(chunks.join(''));
+    });
+    process.stdin.on('error', reject);
+  });
+}
+
+readInput().then(function(text) {
+  return userImport.run(userImport.parse(text), {dryRun: !!options.get('dry-run')});
+}).then(function(summary) {
+  console.log(JSON.stringify(summary, null, 2));
+}).catch(function(err) {
+  console.error(err.message);
+  process.exitCode = 1;
+}).then(function() {
+  return Promise.all([dbConn.close(), pgConn.close()]);
+});
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+'use strict';
+
+// Creates or upgrades the PostgreSQL schema used when tokens and users are
+// stored in PostgreSQL. Applies every migration which has not yet been
+// applied, and reports the version of the schema. Safe to run repeatedly.
+
+const configger = require('../lib/configger');
+
+const optionsList = [
+  ['u','pgurl=STRING'     ,'url to connect to postgresql. required.'],
+  ['s','status'           ,'only report the version of the schema'],
+  ['h','help'             ,'show this help'],
+];
+
+function generateConfigs() {
+  return configger.fromCommandLine(optionsList);
+}
+
+let provideOpts = {
+  generateConfigs,
+  defaultOptions: {},
+  immutable: false,
+  ro_key: null,
+  adjustOptions: null
+};
+let options = configger.provide(provideOpts);
+
+if (!options.get('pgurl')) {
+  console.error('pgurl must be defined. Exiting...');
+  process.exit(1);
+}
+
+const pgConn   = require('../lib/pg_conn');
+const pgSchema = require('../lib/pg_schema');
+
+let p_done;
+if (options.get('status')) {
+  p_done = pgSchema.version().then(function(version) {
+    console.log(`Schema is at version ${version} of ${pgSchema.MIGRATIONS.length}`);
+  });
+} else {
+  p_done = pgSchema.migrate().then(function(applied) {
+    if (applied.length) {
+      console.log(`Applied migration(s) ${applied.join(', ')}`);
+    }
+    console.log(`Schema is at version ${pgSchema.MIGRATIONS.length}`);
+  });
+}
+
+p_done
+  .catch(function(err) {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .then(function() {
+    return pgConn.close();
+  });
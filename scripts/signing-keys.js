@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+'use strict';
+
+// Manages the key store used to sign JWTs, see lib/keystore.js. To rotate
+// keys, generate a key, wait until verifiers have fetched the new key set,
+// promote it, then retire the previous key once nothing it signed is in use.
+
+const configger = require('../lib/configger');
+
+const optionsList = [
+  ['d','keydir=PATH'      ,'key store directory, as jwtkeydir. required.'],
+  ['t','type=STRING'      ,'type of operation to perform. ' +
+                           '"generate" -> create a key in state next. ' +
+                           '"promote" -> make a next key active. ' +
+                           '"retire" -> stop publishing a key. ' +
+                           '"list" -> show all keys'],
+  ['k','kid=STRING'       ,'id of the key to promote or retire'],
+  ['a','keytype=STRING'   ,'type of key to generate, "EC" or "RSA". default: EC'],
+  ['h','help'             ,'show this help'],
+];
+
+const defaultOptions = {
+  keytype: 'EC'
+};
+
+function generateConfigs() {
+  return configger.fromCommandLine(optionsList);
+}
+
+let provideOpts = {
+  generateConfigs,
+  defaultOptions,
+  immutable: false,
+  ro_key: null,
+  adjustOptions: null
+};
+let options = configger.provide(provideOpts);
+
+function isValidInvocation() {
+  let type = options.get('type');
+  if (!options.get('keydir')) {
+    return false;
+  }
+  if (type === 'generate' || type === 'list') {
+    return !options.get('kid');
+  } else if (type === 'promote' || type === 'retire') {
+    return Boolean(options.get('kid'));
+  }
+  return false;
+}
+
+if (!isValidInvocation()) {
+  console.error('Invalid combination of options passed. Exiting...');
+  process.exit(1);
+}
+
+const keystore = require('../lib/keystore');
+
+let keyDir = options.get('keydir');
+
+new Promise(function(resolve) {
+  let type = options.get('type');
+  if (type === 'generate') {
+    resolve(keystore.generate(keyDir, options.get('keytype')).then(function(kid) {
+      console.log(`Generated key ${kid}`);
+    }));
+  } else if (type === 'promote') {
+    keystore.promote(keyDir, options.get('kid'));
+    console.log(`Promoted key ${options.get('kid')}`);
+  } else if (type === 'retire') {
+    keystore.retire(keyDir, options.get('kid'));
+    console.log(`Retired key ${options.get('kid')}`);
+  } else {
+    keystore.list(keyDir).forEach(function(entry) {
+      console.log(`${entry.kid}\t${entry.state}\t${entry.modified.toISOString()}`);
+    });
+  }
+  resolve();
+})
+  .catch(function(err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  });
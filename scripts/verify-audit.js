@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+'use strict';
+
+// Checks the hash chains of the audit log and of the history of each token.
+// Must be run with the same tokensecret as the server. Reports the first
+// broken link of each chain, tokens whose status or expiry time is not the
+// one recorded by their history, and an audit log whose last event is not
+// its recorded head, and exits with status 1 if any are found. Prints the
+// head of the audit log, which, given as --anchor to a later run, checks
+// that the log still reaches it unchanged. The last entries of a chain
+// removed along with its head, or for a token's history, along with a change
+// of the token to match, are not detected; only an anchor shows events
+// removed from the end of the log.
+
+const MongoClient = require('mongodb').MongoClient;
+
+const configger = require('../lib/configger');
+
+const optionsList = [
+  ['m','mongourl=STRING'  ,'url to connect to mongodb. required unless pgurl is given.'],
+  ['g','pgurl=STRING'     ,'url to connect to postgresql, instead of mongodb.'],
+  ['c','configfile=PATH'  ,'config file defining tokensecret. required.'],
+  ['a','anchor=STRING'    ,'seq:digest of an audit event, as printed by an earlier run, to check'],
+  ['h','help'             ,'show this help'],
+];
+
+function generateConfigs() {
+  return configger.fromCommandLine(optionsList);
+}
+
+let provideOpts = {
+  generateConfigs,
+  defaultOptions: {},
+  immutable: false,
+  ro_key: null,
+  adjustOptions: null
+};
+let options = configger.provide(provideOpts);
+
+if (!(options.get('mongourl') || options.get('pgurl')) || !options.get('tokensecret')) {
+  console.error('mongourl or pgurl, and tokensecret, must be defined. Exiting...');
+  process.exit(1);
+}
+
+const chain     = require('../lib/chain');
+const constants = require('../lib/constants');
+const pgConn    = require('../lib/pg_conn');
+
+// Number of tokens read from postgresql at a time
+const TOKEN_BATCH = 1000;
+
+let anchor;
+if (options.get('anchor')) {
+  let parts = /^(\d+):([a-f0-9]{64})$/.exec(options.get('anchor'));
+  if (!parts) {
+    console.error('anchor must be of form seq:digest. Exiting...');
+    process.exit(1);
+  }
+  anchor = {seq: Number(parts[1]), digest: parts[2]};
+}
+
+let reportBroken = (message) => {
+  console.error(message);
+  process.exitCode = 1;
+};
+
+// Checks the chain of audit events, that it ends at the head of the log,
+// and that it includes the anchor, if given.
+let checkEvents = (events, head) => {
+  let broken = chain.findBreak(events);
+  if (broken) {
+    reportBroken(`Audit log is broken at seq ${events[broken.index].seq}: ${broken.reason}`);
+  } else {
+    console.log(`Verified ${events.length} audit event(s)`);
+  }
+
+  let last = events[events.length - 1] || {seq: 0, digest: null};
+  if (!head) {
+    // Nothing has been appended since the head was introduced
+    console.log('Audit log has no head to check');
+  } else if (last.seq !== head.seq || last.digest !== head.digest) {
+    reportBroken(`Audit log ends at seq ${last.seq}, not at its head, seq ${head.seq}`);
+  }
+  if (last.seq) {
+    console.log(`Audit log head is ${last.seq}:${last.digest}`);
+  }
+
+  if (anchor) {
+    let anchored = events.filter(function(event) {
+      return event.seq === anchor.seq;
+    })[0];
+    if (!anchored || anchored.digest !== anchor.digest) {
+      reportBroken(`Audit log does not include the anchor ${anchor.seq}:${anchor.digest}`);
+    }
+  }
+};
+
+// Checks the chain of the history of a token, and that its status and
+// expiry time are those recorded by the history.
+let checkToken = (doc, counts) => {
+  let hist = doc.hist || [];
+  let broken = chain.findBreak(hist);
+  let changed = broken ? undefined : chain.findStateChange(doc);
+  if (broken) {
+    console.error(`History of token ${doc.hash} is broken at entry ` +
+                  `${broken.index}: ${broken.reason}`);
+    counts.broken++;
+  } else if (changed) {
+    console.error(`Token ${doc.hash} has changed: ${changed}`);
+    counts.broken++;
+  }
+  counts.tokens++;
+};
+
+let reportTokens = (counts) => {
+  if (counts.broken) {
+    process.exitCode = 1;
+  }
+  console.log(`Verified ${counts.tokens} token history(ies), ` +
+              `${counts.broken} broken`);
+};
+
+let verifyMongodbAudit = (db) => {
+  let p_events = db.collection(constants.COLLECTION_AUDIT)
+    .find({seq: {$exists: true}})
+    .sort({seq: 1})
+    .toArray();
+  let p_head = db.collection(constants.COLLECTION_AUDIT_HEAD).findOne({});
+  return Promise.all([p_events, p_head]).then(function(results) {
+    checkEvents(results[0], results[1]);
+  });
+};
+
+let verifyNextMongodbToken = (cursor, counts) => {
+  return cursor.next().then(function(doc) {
+    if (!doc) {
+      return counts;
+    }
+    checkToken(doc, counts);
+    return verifyNextMongodbToken(cursor, counts);
+  });
+};
+
+let verifyMongodb = () => {
+  let p_db = MongoClient.connect(options.get('mongourl'));
+  return p_db.then(function(db) {
+    return verifyMongodbAudit(db).then(function() {
+      let cursor = db.collection(constants.COLLECTION_TOKENS).find({});
+      return verifyNextMongodbToken(cursor, {tokens: 0, broken: 0});
+    }).then(reportTokens).then(function() {
+      db.close();
+    }, function(err) {
+      db.close();
+      throw err;
+    });
+  });
+};
+
+let verifyPostgresqlAudit = () => {
+  // Documents are stored as in MongoDB, except that times are strings, which
+  // are digested the same as the Dates they were
+  let p_events = pgConn.query(
+    `SELECT doc FROM ${constants.COLLECTION_AUDIT} ORDER BY seq`);
+  let p_head = pgConn.query(
+    `SELECT seq, digest FROM ${constants.COLLECTION_AUDIT_HEAD}`);
+  return Promise.all([p_events, p_head]).then(function(results) {
+    checkEvents(results[0].rows.map(function(row) {
+      return row.doc;
+    }), results[1].rows[0]);
+  });
+};
+
+let verifyNextPostgresqlTokens = (lastId, counts) => {
+  return pgConn.query(
+    `SELECT id, doc FROM ${constants.COLLECTION_TOKENS}
+     WHERE id > $1 ORDER BY id LIMIT ${TOKEN_BATCH}`,
+    [lastId]
+  ).then(function(result) {
+    if (!result.rows.length) {
+      return counts;
+    }
+    result.rows.forEach(function(row) {
+      checkToken(row.doc, counts);
+    });
+    return verifyNextPostgresqlTokens(result.rows[result.rows.length - 1].id, counts);
+  });
+};
+
+let verifyPostgresql = () => {
+  return verifyPostgresqlAudit().then(function() {
+    return verifyNextPostgresqlTokens(0, {tokens: 0, broken: 0});
+  }).then(reportTokens);
+};
+
+(options.get('pgurl') ? verifyPostgresql() : verifyMongodb())
+  .catch(function(err) {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .then(function() {
+    return pgConn.close();
+  });
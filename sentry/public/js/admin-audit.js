@@ -0,0 +1,78 @@
+requirejs.config({
+  baseUrl: 'js',
+  paths: {
+    jquery: 'bower_components/jquery/dist/jquery'
+  }
+});
+
+requirejs(['jquery', 'sentrylib'], function($, sentrylib) {
+  'use strict';
+
+  var LIMIT = 50;
+  var offset = 0;
+
+  function showEvents(result) {
+    var $headers = $('#audit-headers');
+    $headers.nextAll().remove();
+    result.events.forEach(function(event) {
+      var $row = $('<tr></tr>');
+      [
+        event.time,
+        event.event,
+        event.actor,
+        event.target,
+        event.ip,
+        event.cert,
+        event.details ? JSON.stringify(event.details) : '',
+      ].forEach(function(value) {
+        $row.append($('<td></td>').text(value || ''));
+      });
+      $('#audit-table').append($row);
+    });
+    var last = result.offset + result.events.length;
+    $('#audit-position').text(
+      (result.events.length ? result.offset + 1 : 0) + '-' + last + ' of ' + result.total);
+    $('#audit-previous').prop('disabled', result.offset === 0);
+    $('#audit-next').prop('disabled', last >= result.total);
+  }
+
+  function search() {
+    var data = {offset: offset, limit: LIMIT};
+    ['event', 'actor', 'target'].forEach(function(name) {
+      var value = $('#audit-' + name).val();
+      if (value) {
+        data[name] = value;
+      }
+    });
+    $.get({
+      url: 'admin/audit',
+      data: data,
+      success: showEvents,
+      error: function(jqXHR) {
+        sentrylib.showErrorMsg(
+          'Error when getting audit log: ' + jqXHR.status + ': ' + jqXHR.statusText);
+      }
+    });
+  }
+
+  $(document).ready(function() {
+    $('#audit-search').click(function() {
+      offset = 0;
+      search();
+    });
+    $('#audit-actor, #audit-target').keypress(function(e) {
+      if (e.keyCode === 13) {
+        $('#audit-search').click();
+      }
+    });
+    $('#audit-previous').click(function() {
+      offset = Math.max(offset - LIMIT, 0);
+      search();
+    });
+    $('#audit-next').click(function() {
+      offset += LIMIT;
+      search();
+    });
+    search();
+  });
+});
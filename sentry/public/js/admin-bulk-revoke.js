@@ -0,0 +1,101 @@
+requirejs.config({
+  baseUrl: 'js',
+  paths: {
+    jquery: 'bower_components/jquery/dist/jquery'
+  }
+});
+
+requirejs(['jquery', 'sentrylib'], function($, sentrylib) {
+  'use strict';
+
+  // Criteria and number of tokens of the last preview, which a revocation
+  // must match
+  var previewed;
+
+  function criteria() {
+    var body = {};
+    [
+      'user', 'group', 'operator', 'reason',
+      'created_from', 'created_to', 'expires_from', 'expires_to',
+    ].forEach(function(name) {
+      var value = $('#bulk-' + name).val();
+      if (value) {
+        body[name] = value;
+      }
+    });
+    return body;
+  }
+
+  function showPreview(body, result) {
+    var $headers = $('#bulk-headers');
+    $headers.nextAll().remove();
+    result.tokens.forEach(function(token) {
+      var created = (token.hist || []).filter(function(entry) {
+        return entry.operation === 'create';
+      })[0] || {};
+      var $row = $('<tr></tr>');
+      [
+        token.user,
+        created.time,
+        created.operating_user,
+        token.expiryTime,
+        token.hash,
+      ].forEach(function(value) {
+        $row.append($('<td></td>').text(value || ''));
+      });
+      $('#bulk-table').append($row);
+    });
+    $('#bulk-summary').text(result.total + ' valid token(s) match' +
+      (result.total > result.tokens.length ? ', of which the first ' +
+        result.tokens.length + ' are shown' : ''));
+    previewed = {criteria: body, total: result.total};
+    $('#bulk-revoke').prop('disabled', result.total === 0);
+  }
+
+  function post(body, success, description) {
+    $.ajax({
+      url: 'admin/tokens/revoke',
+      contentType: 'application/json',
+      data: JSON.stringify(body),
+      error: function(jqXHR) {
+        sentrylib.showErrorMsg(
+          'Failed to ' + description + ': ' + jqXHR.status + ' : ' + jqXHR.statusText);
+      },
+      method: 'POST',
+      success: success,
+    });
+  }
+
+  $(document).ready(function() {
+    $('.bulk-criterion').change(function() {
+      // Only what was previewed can be revoked
+      previewed = undefined;
+      $('#bulk-revoke').prop('disabled', true);
+    });
+
+    $('#bulk-preview').click(function() {
+      var body = criteria();
+      post($.extend({preview: true, limit: 500}, body), function(result) {
+        showPreview(body, result);
+      }, 'preview tokens');
+    });
+
+    $('#bulk-revoke').click(function() {
+      if (!previewed ||
+          !window.confirm('Revoke ' + previewed.total + ' token(s)? This can not be undone.')) {
+        return;
+      }
+      var body = $.extend({
+        justification: $('#bulk-justification').val(),
+        expected:      previewed.total,
+      }, previewed.criteria);
+      post(body, function(counts) {
+        sentrylib.showSuccessMsg(counts.revoked + ' of ' + counts.matched +
+          ' token(s) revoked' + (counts.changed ? ', ' + counts.changed +
+          ' changed by other requests' : ''));
+        previewed = undefined;
+        $('#bulk-revoke').prop('disabled', true);
+      }, 'revoke tokens');
+    });
+  });
+});
@@ -0,0 +1,87 @@
+requirejs.config({
+  baseUrl: 'js',
+  paths: {
+    jquery: 'bower_components/jquery/dist/jquery'
+  }
+});
+
+requirejs(['jquery', 'sentrylib'], function($, sentrylib) {
+  'use strict';
+
+  function showRoles(roles) {
+    var $headers = $('#roles-headers');
+    $headers.nextAll().remove();
+    roles.forEach(function(role) {
+      var permissions = Object.keys(role.permissions).map(function(resource) {
+        return resource + ': ' + role.permissions[resource].join(', ');
+      });
+      var $row = $('<tr></tr>');
+      [role.role, permissions.join('; '), role.users.join(', ')].forEach(function(value) {
+        $row.append($('<td></td>').text(value));
+      });
+      $row.click(function() {
+        $('#role-select').val(role.role);
+      });
+      $('#roles-table').append($row);
+    });
+  }
+
+  function load() {
+    $.get({
+      url: 'admin/manage/roles',
+      success: showRoles,
+      error: function(jqXHR) {
+        sentrylib.showErrorMsg(
+          'Error when getting roles: ' + jqXHR.status + ': ' + jqXHR.statusText);
+      }
+    });
+  }
+
+  function change(method, path, body, description) {
+    var role = $('#role-select').val();
+    $.ajax({
+      url: 'admin/manage/roles/' + encodeURIComponent(role) + path,
+      contentType: 'application/json',
+      data: body ? JSON.stringify(body) : undefined,
+      error: function(jqXHR) {
+        sentrylib.showErrorMsg(
+          'Failed to ' + description + ': ' + jqXHR.status + ' : ' + jqXHR.statusText);
+      },
+      method: method,
+      success: function() {
+        sentrylib.showSuccessMsg('Role changed!');
+        load();
+      },
+    });
+  }
+
+  function permission() {
+    var resource = $('#role-resource').val();
+    if (resource === '/admin/groups/') {
+      resource += $('#role-group').val();
+    }
+    var actions = $('.role-action:checked').map(function() {
+      return $(this).val();
+    }).get();
+    return {resource: resource, actions: actions};
+  }
+
+  $(document).ready(function() {
+    $('#role-allow').click(function() {
+      change('PUT', '/permissions', permission(), 'allow actions to role');
+    });
+    $('#role-disallow').click(function() {
+      change('DELETE', '/permissions', permission(), 'disallow actions to role');
+    });
+    $('#role-remove').click(function() {
+      change('DELETE', '', undefined, 'remove role');
+    });
+    $('#role-grant').click(function() {
+      change('PUT', '/users', {user: $('#role-user').val()}, 'add user to role');
+    });
+    $('#role-withdraw').click(function() {
+      change('DELETE', '/users', {user: $('#role-user').val()}, 'remove user from role');
+    });
+    load();
+  });
+});
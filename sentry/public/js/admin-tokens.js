@@ -0,0 +1,94 @@
+requirejs.config({
+  baseUrl: 'js',
+  paths: {
+    jquery: 'bower_components/jquery/dist/jquery'
+  }
+});
+
+requirejs(['jquery', 'sentrylib'], function($, sentrylib) {
+  'use strict';
+
+  var LIMIT = 50;
+  var offset = 0;
+  var sort = 'created';
+  var order = 'desc';
+
+  function showTokens(result) {
+    var $headers = $('#tokens-headers');
+    $headers.nextAll().remove();
+    result.tokens.forEach(function(token) {
+      var created = (token.hist || []).filter(function(entry) {
+        return entry.operation === 'create';
+      })[0] || {};
+      var $row = $('<tr></tr>');
+      var $owner = $('<a></a>').attr('href', 'admin/user/' + token.user + '/').text(token.user);
+      $row.append($('<td></td>').append($owner));
+      [
+        token.status,
+        created.time,
+        created.operating_user,
+        token.expiryTime,
+        created.reason,
+        token.hash,
+      ].forEach(function(value) {
+        $row.append($('<td></td>').text(value || ''));
+      });
+      $('#tokens-table').append($row);
+    });
+    var last = result.offset + result.tokens.length;
+    $('#tokens-position').text(
+      (result.tokens.length ? result.offset + 1 : 0) + '-' + last + ' of ' + result.total);
+    $('#tokens-previous').prop('disabled', result.offset === 0);
+    $('#tokens-next').prop('disabled', last >= result.total);
+  }
+
+  function search() {
+    var data = {offset: offset, limit: LIMIT, sort: sort, order: order};
+    [
+      'status', 'user', 'operator', 'reason',
+      'created_from', 'created_to', 'expires_from', 'expires_to',
+    ].forEach(function(name) {
+      var value = $('#tokens-' + name).val();
+      if (value) {
+        data[name] = value;
+      }
+    });
+    $.get({
+      url: 'admin/tokens',
+      data: data,
+      success: showTokens,
+      error: function(jqXHR) {
+        sentrylib.showErrorMsg(
+          'Error when searching tokens: ' + jqXHR.status + ': ' + jqXHR.statusText);
+      }
+    });
+  }
+
+  $(document).ready(function() {
+    $('#tokens-search').click(function() {
+      offset = 0;
+      search();
+    });
+    $('#tokens-user, #tokens-operator, #tokens-reason').keypress(function(e) {
+      if (e.keyCode === 13) {
+        $('#tokens-search').click();
+      }
+    });
+    $('.tokens-sort').click(function() {
+      var column = $(this).data('sort');
+      order = column === sort && order === 'desc' ? 'asc' : 'desc';
+      sort = column;
+      offset = 0;
+      search();
+    });
+    $('#tokens-previous').click(function() {
+      offset = Math.max(offset - LIMIT, 0);
+      search();
+    });
+    $('#tokens-next').click(function() {
+      offset += LIMIT;
+      search();
+    });
+    search();
+  });
+});
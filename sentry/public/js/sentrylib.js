@@ -34,16 +34,22 @@ define(['jquery'], function($) {
 
   function generateTokenRow($row, values) {
     var valid = values.status === 'valid';
+    // Plaintext token is only available in the response to its creation
+    var visible = valid && Boolean(values.token);
     if (!valid) {
       $row.addClass('disabled-row');
     }
 
     addValueToRow($row, values.user);
-    addValueToRow($row, values.token, 'monospace');
+    if (values.token) {
+      addValueToRow($row, values.token, 'monospace');
+    } else {
+      addValueToRow($row, 'hidden', 'hidden-token');
+    }
 
     var $cpBtnCell = $('<td></td>');
     var $cpBtn = $('<button></button>');
-    if (valid) {
+    if (visible) {
       $cpBtn.addClass('cp-btn cp-btn-active');
     } else {
       $cpBtn.addClass('cp-btn cp-btn-disabled');
@@ -57,7 +63,7 @@ define(['jquery'], function($) {
       addValueToRow($row, 'Revoke', 'revoke-link')
         .on('click', function(e) {
           /* eslint-disable no-use-before-define */
-          revokeToken(values.token, e.target);
+          revokeToken(values.hash, e.target);
           /* eslint-enable no-use-before-define */
         });
     } else {
@@ -66,7 +72,7 @@ define(['jquery'], function($) {
     return $row;
   }
 
-  function revokeToken(token, target) {
+  function revokeToken(hash, target) {
     var revokeSuccess = function(data) {
       var $tr = $(target).parent();
       $tr.empty();
@@ -75,7 +81,7 @@ define(['jquery'], function($) {
 
     $.post({
       url: window.location + 'revokeToken',
-      data: JSON.stringify({token: token}),
+      data: JSON.stringify({hash: hash}),
       success: revokeSuccess,
       contentType: 'application/json',
       dataType: 'json',
@@ -8,6 +8,7 @@ define(['jquery', 'clipboard', 'sentrylib'], function($, Clipboard, sentrylib) {
       if ($creationReason.length) {
         $creationReason.val('');
       }
+      $('#creation-override').prop('checked', false);
       $floatdiv.toggle();
     });
     $('#close-token-form-button').on('click', function() {
@@ -32,8 +33,11 @@ define(['jquery', 'clipboard', 'sentrylib'], function($, Clipboard, sentrylib) {
       };
       // test if #creation-reason text area exists, only in admin
       if ( $('#creation-reason').length ) {
-        var creationReason = $('#creation-reason').val();
-        postOpts.data = '{"reason":"' + creationReason + '"}';
+        var creationBody = {reason: $('#creation-reason').val()};
+        if ($('#creation-override').prop('checked')) {
+          creationBody.override = true;
+        }
+        postOpts.data = JSON.stringify(creationBody);
         postOpts.contentType = 'application/json';
       }
       $.post(postOpts);
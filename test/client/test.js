@@ -150,14 +150,14 @@ requirejs(['qunit', 'jquery', 'setup', 'sentrylib'], function(QUnit, $, setup, s
 
       var oldAjaxGet = $.get;
       var validToken = {
-        token: 'abc',
+        hash: 'abc',
         status: 'valid',
         user: 'user@example.com'
       };
       var data = [
         validToken,
         {
-          token: 'xyz',
+          hash: 'xyz',
           status: 'revoked',
           user: 'ruser@example.com',
         },
@@ -173,8 +173,8 @@ requirejs(['qunit', 'jquery', 'setup', 'sentrylib'], function(QUnit, $, setup, s
       $.post = function mockAjaxPost(opts) {
         assert.strictEqual(opts.url, window.location + 'revokeToken',
           'Makes POST request to /revokeToken');
-        assert.strictEqual(opts.data, JSON.stringify({token: 'abc'}),
-          'POST request data is JSON containing token to revoke');
+        assert.strictEqual(opts.data, JSON.stringify({hash: 'abc'}),
+          'POST request data is JSON containing hash of token to revoke');
         assert.strictEqual(opts.contentType, 'application/json',
           'Content-Type is correctly identified as json');
         assert.strictEqual(opts.dataType, 'json',
@@ -190,6 +190,22 @@ requirejs(['qunit', 'jquery', 'setup', 'sentrylib'], function(QUnit, $, setup, s
       $.get = oldAjaxGet;
     });
 
+    QUnit.test('Listed tokens do not show plaintext', function(assert) {
+      assert.expect(3);
+
+      var $row = sentrylib.generateTokenRow($('<tr></tr>'), {
+        hash: 'abc',
+        status: 'valid',
+        user: 'user@example.com'
+      });
+      assert.strictEqual($row.children('.hidden-token').length, 1,
+        'Token cell is marked as hidden');
+      assert.strictEqual($row.find('.cp-btn-active').length, 0,
+        'Hidden token cannot be copied');
+      assert.strictEqual($row.children('.revoke-link').length, 1,
+        'Hidden token can still be revoked');
+    });
+
     QUnit.test('Tokens can be created', function(assert) {
       assert.expect(4);
 
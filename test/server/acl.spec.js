@@ -53,7 +53,8 @@ describe('acls', () => {
         return {
           mongourl: `mongodb://localhost:${DB_PORT}/test`,
           port: SERVER_PORT,
-          'no-ssl': true
+          'no-ssl': true,
+          tokensecret: 'test secret'
         };
       });
       server = require('../../npg_sentry');
@@ -0,0 +1,78 @@
+'use strict';
+
+let config = require('../../lib/config');
+
+describe('cache', function() {
+  let LRUCache;
+
+  beforeAll(function() {
+    config.provide(() => {return {tokensecret: 'test secret'};});
+    LRUCache = require('../../lib/cache').LRUCache;
+  });
+
+  describe('LRUCache', function() {
+    it('returns stored values', function() {
+      let cache = new LRUCache(2, 60);
+      cache.set('a', 1);
+      expect(cache.get('a')).toBe(1);
+      expect(cache.get('b')).toBeUndefined();
+      expect(cache.size).toBe(1);
+    });
+
+    it('replaces the value of an existing entry', function() {
+      let cache = new LRUCache(2, 60);
+      cache.set('a', 1);
+      cache.set('a', 2);
+      expect(cache.get('a')).toBe(2);
+      expect(cache.size).toBe(1);
+    });
+
+    it('evicts the least recently used entry when full', function() {
+      let cache = new LRUCache(2, 60);
+      cache.set('a', 1);
+      cache.set('b', 2);
+      cache.get('a');
+      cache.set('c', 3);
+      expect(cache.size).toBe(2);
+      expect(cache.get('a')).toBe(1);
+      expect(cache.get('b')).toBeUndefined();
+      expect(cache.get('c')).toBe(3);
+    });
+
+    it('expires entries after the time to live', function(done) {
+      let cache = new LRUCache(2, 0.05);
+      cache.set('a', 1);
+      expect(cache.get('a')).toBe(1);
+      setTimeout(function() {
+        expect(cache.get('a')).toBeUndefined();
+        expect(cache.size).toBe(0);
+        done();
+      }, 100);
+    });
+
+    it('deletes entries', function() {
+      let cache = new LRUCache(2, 60);
+      cache.set('a', 1);
+      cache.delete('a');
+      cache.delete('b');
+      expect(cache.get('a')).toBeUndefined();
+      expect(cache.size).toBe(0);
+    });
+
+    it('clears all entries', function() {
+      let cache = new LRUCache(2, 60);
+      cache.set('a', 1);
+      cache.set('b', 2);
+      cache.clear();
+      expect(cache.size).toBe(0);
+      expect(cache.get('a')).toBeUndefined();
+    });
+
+    it('stores nothing if the size is not positive', function() {
+      let cache = new LRUCache(0, 60);
+      cache.set('a', 1);
+      expect(cache.get('a')).toBeUndefined();
+      expect(cache.size).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+'use strict';
+
+let config = require('../../lib/config');
+
+const chain = require('../../lib/chain');
+
+describe('chain', function() {
+  beforeAll(function() {
+    config.provide(() => {return {tokensecret: 'test secret'};});
+  });
+
+  let buildChain = function(length) {
+    let entries = [];
+    for (let i = 0; i < length; i++) {
+      entries.push(chain.link({
+        operation: 'op' + i,
+        time:      new Date(Date.UTC(2017, 0, i + 1)),
+      }, entries[i - 1]));
+    }
+    return entries;
+  };
+
+  describe('link', function() {
+    it('links the first entry to nothing', function() {
+      let entry = chain.link({operation: 'create'});
+      expect(entry.prev_digest).toBe(null);
+      expect(entry.digest).toMatch(/^[a-f0-9]{64}$/);
+    });
+
+    it('links an entry to the digest of the previous entry', function() {
+      let entries = buildChain(2);
+      expect(entries[1].prev_digest).toBe(entries[0].digest);
+    });
+
+    it('ignores the order of keys and the _id', function() {
+      let a = chain.digest({x: 1, y: {b: 2, a: 1}});
+      let b = chain.digest({_id: 'id', y: {a: 1, b: 2}, x: 1});
+      expect(a).toBe(b);
+    });
+  });
+
+  describe('findBreak', function() {
+    it('accepts an intact chain', function() {
+      expect(chain.findBreak(buildChain(5))).toBeUndefined();
+      expect(chain.findBreak([])).toBeUndefined();
+    });
+
+    it('finds a changed entry', function() {
+      let entries = buildChain(5);
+      entries[2].operation = 'changed';
+      expect(chain.findBreak(entries)).toEqual(
+        {index: 2, reason: 'entry content has changed'});
+    });
+
+    it('finds a removed entry', function() {
+      let entries = buildChain(5);
+      entries.splice(1, 1);
+      expect(chain.findBreak(entries)).toEqual(
+        {index: 1, reason: 'entry does not follow the previous entry'});
+    });
+
+    it('finds an inserted entry', function() {
+      let entries = buildChain(5);
+      entries.splice(3, 0, chain.link({operation: 'inserted'}, entries[2]));
+      expect(chain.findBreak(entries)).toEqual(
+        {index: 4, reason: 'entry does not follow the previous entry'});
+    });
+
+    it('finds an entry without a digest after chaining started', function() {
+      let entries = buildChain(3);
+      entries.push({operation: 'unchained'});
+      expect(chain.findBreak(entries)).toEqual(
+        {index: 3, reason: 'entry has no digest'});
+    });
+
+    it('skips entries recorded before chaining was introduced', function() {
+      let entries = [{operation: 'legacy1'}, {operation: 'legacy2'}];
+      entries.push(chain.link({operation: 'chained'}, entries[1]));
+      expect(chain.findBreak(entries)).toBeUndefined();
+      entries[1].operation = 'changed';
+      expect(chain.findBreak(entries)).toEqual(
+        {index: 2, reason: 'entry does not follow the previous entry'});
+    });
+
+    it('depends on the secret', function() {
+      let entries = buildChain(2);
+      config.provide(() => {return {tokensecret: 'another secret'};});
+      let broken = chain.findBreak(entries);
+      config.provide(() => {return {tokensecret: 'test secret'};});
+      expect(broken).toEqual({index: 0, reason: 'entry content has changed'});
+    });
+  });
+
+  describe('findStateChange', function() {
+    let buildToken = function() {
+      let create = chain.link({
+        operation:  'create',
+        status:     'valid',
+        expiryTime: '2017-01-08T00:00:00Z',
+      });
+      let revoke = chain.link({
+        operation:  'revoke',
+        status:     'revoked',
+        expiryTime: '2017-01-08T00:00:00Z',
+      }, create);
+      return {status: 'revoked', expiryTime: '2017-01-08T00:00:00Z', hist: [create, revoke]};
+    };
+
+    it('accepts a token as recorded by its history', function() {
+      expect(chain.findStateChange(buildToken())).toBeUndefined();
+    });
+
+    it('finds a changed status', function() {
+      let doc = buildToken();
+      doc.status = 'valid';
+      expect(chain.findStateChange(doc)).toBe('status valid is not revoked as recorded');
+    });
+
+    it('finds a changed expiry time', function() {
+      let doc = buildToken();
+      doc.expiryTime = '2018-01-08T00:00:00Z';
+      expect(chain.findStateChange(doc)).toMatch(/^expiry time 2018-01-08T00:00:00Z is not/);
+    });
+
+    it('infers the state from entries which do not record it', function() {
+      let create = chain.link({operation: 'create'});
+      let renew = chain.link({operation: 'renew', expiryTime: '2017-01-08T00:00:00Z'}, create);
+      let revoke = chain.link({operation: 'revoke'}, renew);
+      let doc = {status: 'revoked', expiryTime: '2017-01-08T00:00:00Z', hist: [create, renew, revoke]};
+      expect(chain.findStateChange(doc)).toBeUndefined();
+      doc.expiryTime = '2017-01-09T00:00:00Z';
+      expect(chain.findStateChange(doc)).toMatch(/^expiry time/);
+      doc.status = 'valid';
+      expect(chain.findStateChange(doc)).toMatch(/^status/);
+    });
+
+    it('skips tokens recorded before chaining was introduced', function() {
+      expect(chain.findStateChange({status: 'valid', hist: [{operation: 'revoke'}]})).toBeUndefined();
+      expect(chain.findStateChange({status: 'valid'})).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,67 @@
+'use strict';
+
+let config = require('../../lib/config');
+
+let BASE_PORT  = 9000;
+let PORT_RANGE = 200;
+// Nothing listens on PORT, so connecting is retried until closed
+let PORT = Math.floor(Math.random() * PORT_RANGE) + BASE_PORT;
+
+describe('db_conn', function() {
+  let dbConn;
+  let options;
+
+  beforeAll(function() {
+    options = {mongourl: `mongodb://localhost:${PORT}/test`, loglevel: 'fatal'};
+    config.provide(() => {
+      return options;
+    });
+    dbConn = require('../../lib/db_conn');
+  });
+
+  afterAll(function(done) {
+    dbConn.close().then(done, done.fail);
+  });
+
+  describe('readOptions', function() {
+    afterEach(function() {
+      delete options.mongoreadpreference;
+    });
+
+    it('leaves the read preference to the driver by default', function() {
+      expect(dbConn.readOptions()).toEqual({});
+    });
+
+    it('sets the configured read preference', function() {
+      options.mongoreadpreference = 'secondaryPreferred';
+      expect(dbConn.readOptions()).toEqual({readPreference: 'secondaryPreferred'});
+    });
+
+    it('throws for an unknown read preference', function() {
+      options.mongoreadpreference = 'anywhere';
+      expect(function() {
+        dbConn.readOptions();
+      }).toThrowError(/mongoreadpreference must be one of/);
+    });
+  });
+
+  describe('writeOptions', function() {
+    afterEach(function() {
+      delete options.mongowriteconcern;
+    });
+
+    it('leaves the write concern to the driver by default', function() {
+      expect(dbConn.writeOptions()).toEqual({});
+    });
+
+    it('sets a number of members', function() {
+      options.mongowriteconcern = '2';
+      expect(dbConn.writeOptions()).toEqual({w: 2});
+    });
+
+    it('sets a named write concern', function() {
+      options.mongowriteconcern = 'majority';
+      expect(dbConn.writeOptions()).toEqual({w: 'majority'});
+    });
+  });
+});
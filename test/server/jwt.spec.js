@@ -0,0 +1,163 @@
+'use strict';
+
+const child = require('child_process');
+
+const decache = require('decache');
+const fse     = require('fs-extra');
+const jose    = require('node-jose');
+const tmp     = require('tmp');
+
+const keystore = require('../../lib/keystore');
+
+let config = require('../../lib/config');
+
+describe('jwt', function() {
+  let tmpdir;
+  let jwt;
+
+  let load = (options) => {
+    decache('../../lib/jwt');
+    config = require('../../lib/config');
+    config.provide(() => {return options;});
+    jwt = require('../../lib/jwt');
+  };
+
+  let loadWithKey = (path) => {
+    load(path ? {jwtkey: path} : {});
+  };
+
+  let verify = (token) => {
+    return jwt.publicKeys().then(function(keySet) {
+      expect(keySet.keys.length).toBeGreaterThan(0);
+      keySet.keys.forEach(function(key) {
+        expect(key.d).toBeUndefined();
+      });
+      return jose.JWK.asKeyStore(keySet);
+    }).then(function(keyStore) {
+      return jose.JWS.createVerify(keyStore).verify(token);
+    }).then(function(result) {
+      return {header: result.header, claims: JSON.parse(result.payload.toString())};
+    });
+  };
+
+  beforeAll(function() {
+    tmpdir = tmp.dirSync({prefix: 'npg_sentry_test_'}).name;
+  });
+
+  afterAll(function(done) {
+    decache('../../lib/jwt');
+    // Decaching also unloads the config, which later specs expect to be
+    // loaded
+    config = require('../../lib/config');
+    fse.remove(tmpdir, done);
+  });
+
+  describe('with an RSA key', function() {
+    beforeAll(function() {
+      child.execSync(`openssl genrsa -out ${tmpdir}/rsa.pem 2048 2>/dev/null`);
+      loadWithKey(`${tmpdir}/rsa.pem`);
+    });
+
+    it('is enabled', function() {
+      expect(jwt.isEnabled()).toBe(true);
+    });
+
+    it('signs claims with RS256', function(done) {
+      jwt.sign({sub: 'user@example.com', groups: ['1']}).then(verify)
+        .then(function(result) {
+          expect(result.header.alg).toBe('RS256');
+          expect(result.header.typ).toBe('JWT');
+          expect(result.header.kid).toBeDefined();
+          expect(result.claims).toEqual({sub: 'user@example.com', groups: ['1']});
+        }).then(done, done.fail);
+    });
+  });
+
+  describe('with an EC key', function() {
+    beforeAll(function() {
+      child.execSync(`openssl ecparam -name prime256v1 -genkey -noout -out ${tmpdir}/ec.pem`);
+      loadWithKey(`${tmpdir}/ec.pem`);
+    });
+
+    it('signs claims with ES256', function(done) {
+      jwt.sign({sub: 'user@example.com'}).then(verify)
+        .then(function(result) {
+          expect(result.header.alg).toBe('ES256');
+          expect(result.claims).toEqual({sub: 'user@example.com'});
+        }).then(done, done.fail);
+    });
+  });
+
+  describe('with a key store', function() {
+    let kids;
+
+    beforeAll(function(done) {
+      let keyDir = `${tmpdir}/keys`;
+      Promise.all([
+        keystore.generate(keyDir),
+        keystore.generate(keyDir),
+      ]).then(function(generated) {
+        kids = generated;
+        keystore.promote(keyDir, kids[0]);
+        load({jwtkeydir: keyDir, jwtkey: `${tmpdir}/rsa.pem`});
+      }).then(done, done.fail);
+    });
+
+    it('signs with the active key', function(done) {
+      jwt.sign({sub: 'user@example.com'}).then(verify)
+        .then(function(result) {
+          expect(result.header.alg).toBe('ES256');
+          expect(result.header.kid).toBe(kids[0]);
+        }).then(done, done.fail);
+    });
+
+    it('publishes active and next keys', function(done) {
+      jwt.publicKeys().then(function(keySet) {
+        expect(keySet.keys.map(function(key) {
+          return key.kid;
+        }).sort()).toEqual(kids.slice().sort());
+      }).then(done, done.fail);
+    });
+  });
+
+  describe('with a public key', function() {
+    beforeAll(function() {
+      child.execSync(`openssl ec -in ${tmpdir}/ec.pem -pubout -out ${tmpdir}/ec.pub 2>/dev/null`);
+      loadWithKey(`${tmpdir}/ec.pub`);
+    });
+
+    it('rejects', function(done) {
+      jwt.sign({sub: 'user@example.com'}).then(function() {
+        done.fail('Unexpectedly signed with a public key');
+      }, function(reason) {
+        expect(reason.message).toMatch(/must be a private RSA or P-256 EC key/);
+        done();
+      });
+    });
+  });
+
+  describe('without a key', function() {
+    beforeAll(function() {
+      loadWithKey();
+    });
+
+    it('is not enabled', function() {
+      expect(jwt.isEnabled()).toBe(false);
+    });
+
+    it('publishes no keys', function(done) {
+      jwt.publicKeys().then(function(keySet) {
+        expect(keySet).toEqual({keys: []});
+      }).then(done, done.fail);
+    });
+
+    it('rejects when signing', function(done) {
+      jwt.sign({sub: 'user@example.com'}).then(function() {
+        done.fail('Unexpectedly signed without a key');
+      }, function(reason) {
+        expect(reason.message).toMatch(/No active JWT signing key/);
+        done();
+      });
+    });
+  });
+});
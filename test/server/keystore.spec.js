@@ -0,0 +1,109 @@
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+
+const fse = require('fs-extra');
+const tmp = require('tmp');
+
+const constants = require('../../lib/constants');
+const keystore  = require('../../lib/keystore');
+
+describe('keystore', function() {
+  let tmpdir;
+  let keyDir;
+  let kids;
+
+  let states = () => {
+    let result = {};
+    keystore.list(keyDir).forEach(function(entry) {
+      result[entry.kid] = entry.state;
+    });
+    return result;
+  };
+
+  let setModified = (kid, state, time) => {
+    fs.utimesSync(path.join(keyDir, state, `${kid}.pem`), time, time);
+  };
+
+  beforeAll(function() {
+    tmpdir = tmp.dirSync({prefix: 'npg_sentry_test_'}).name;
+  });
+
+  afterAll(function(done) {
+    fse.remove(tmpdir, done);
+  });
+
+  beforeEach(function(done) {
+    keyDir = path.join(tmpdir, 'keys');
+    fse.removeSync(keyDir);
+    Promise.all([
+      keystore.generate(keyDir),
+      keystore.generate(keyDir),
+    ]).then(function(generated) {
+      kids = generated;
+    }).then(done, done.fail);
+  });
+
+  it('generates keys in state next', function() {
+    expect(kids[0]).not.toBe(kids[1]);
+    let expected = {};
+    expected[kids[0]] = constants.KEY_STATE_NEXT;
+    expected[kids[1]] = constants.KEY_STATE_NEXT;
+    expect(states()).toEqual(expected);
+  });
+
+  it('publishes next keys without signing', function(done) {
+    keystore.load(keyDir).then(function(keys) {
+      expect(keys.signing).toBeUndefined();
+      expect(keys.published.map(function(key) {
+        return key.kid;
+      }).sort()).toEqual(kids.slice().sort());
+    }).then(done, done.fail);
+  });
+
+  it('signs with the most recently promoted active key', function(done) {
+    keystore.promote(keyDir, kids[0]);
+    setModified(kids[0], constants.KEY_STATE_ACTIVE, new Date(2017, 0, 1));
+    keystore.promote(keyDir, kids[1]);
+    keystore.load(keyDir).then(function(keys) {
+      expect(keys.signing.kid).toBe(kids[1]);
+      expect(keys.signing.alg).toBe('ES256');
+      expect(keys.published.length).toBe(2);
+    }).then(done, done.fail);
+  });
+
+  it('does not publish retired keys', function(done) {
+    keystore.promote(keyDir, kids[0]);
+    keystore.retire(keyDir, kids[1]);
+    expect(states()[kids[1]]).toBe(constants.KEY_STATE_RETIRED);
+    keystore.load(keyDir).then(function(keys) {
+      expect(keys.signing.kid).toBe(kids[0]);
+      expect(keys.published.map(function(key) {
+        return key.kid;
+      })).toEqual([kids[0]]);
+    }).then(done, done.fail);
+  });
+
+  it('rejects invalid changes of state', function() {
+    keystore.retire(keyDir, kids[0]);
+    expect(function() {
+      keystore.promote(keyDir, kids[0]);
+    }).toThrowError(/No key .* in state next/);
+    expect(function() {
+      keystore.retire(keyDir, kids[0]);
+    }).toThrowError(/No key .* in state next or active/);
+    expect(function() {
+      keystore.promote(keyDir, 'unknown');
+    }).toThrowError(/No key unknown/);
+  });
+
+  it('rejects unknown key types', function(done) {
+    keystore.generate(keyDir, 'DSA').then(function() {
+      done.fail('Unexpectedly generated a DSA key');
+    }, function(reason) {
+      expect(reason.message).toMatch(/Unknown key type DSA/);
+      done();
+    });
+  });
+});
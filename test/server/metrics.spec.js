@@ -0,0 +1,73 @@
+'use strict';
+
+const EventEmitter = require('events');
+
+const metrics = require('../../lib/metrics');
+
+describe('metrics', function() {
+  // Samples of a metric, as formatted with every metric
+  let samples = function(name) {
+    return metrics.format().split('\n').filter(function(line) {
+      return line.startsWith(name);
+    });
+  };
+
+  describe('requestMiddleware', function() {
+    beforeEach(function() {
+      metrics.httpRequests.reset();
+      metrics.httpDuration.reset();
+    });
+
+    it('records requests which match a route', function(done) {
+      let req = {method: 'POST', route: {path: '/validateToken'}};
+      let res = new EventEmitter();
+      res.statusCode = 200;
+      metrics.requestMiddleware(req, res, function() {
+        res.emit('finish');
+        expect(samples('sentry_http_requests_total')).toEqual([
+          'sentry_http_requests_total{method="POST",route="/validateToken",status="200"} 1']);
+        expect(samples('sentry_http_request_duration_seconds_count')).toEqual([
+          'sentry_http_request_duration_seconds_count{method="POST",route="/validateToken"} 1']);
+        done();
+      });
+    });
+
+    it('ignores requests which do not match a route', function(done) {
+      let res = new EventEmitter();
+      res.statusCode = 404;
+      metrics.requestMiddleware({method: 'GET'}, res, function() {
+        res.emit('finish');
+        expect(samples('sentry_http_requests_total')).toEqual([]);
+        done();
+      });
+    });
+  });
+
+  describe('format', function() {
+    it('includes every metric', function() {
+      let text = metrics.format();
+      [
+        'sentry_http_requests_total',
+        'sentry_http_request_duration_seconds',
+        'sentry_validations_total',
+        'sentry_token_operations_total',
+        'sentry_db_command_duration_seconds',
+        'sentry_tokens',
+      ].forEach(function(name) {
+        expect(text).toMatch(`# TYPE ${name} `);
+      });
+      expect(text).toMatch(/\n$/);
+    });
+
+    it('formats histograms in cumulative buckets', function() {
+      metrics.dbDuration.reset();
+      metrics.dbDuration.observe({command: 'find'}, 0.003);
+      metrics.dbDuration.observe({command: 'find'}, 0.3);
+      let lines = samples('sentry_db_command_duration_seconds');
+      expect(lines).toContain('sentry_db_command_duration_seconds_bucket{le="0.005",command="find"} 1');
+      expect(lines).toContain('sentry_db_command_duration_seconds_bucket{le="0.5",command="find"} 2');
+      expect(lines).toContain('sentry_db_command_duration_seconds_bucket{le="+Inf",command="find"} 2');
+      expect(lines).toContain('sentry_db_command_duration_seconds_count{command="find"} 2');
+    });
+  });
+});
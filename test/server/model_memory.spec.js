@@ -0,0 +1,6 @@
+'use strict';
+
+const describeModel = require('./model_shared');
+
+// Needs no database, unlike the other backends
+describeModel('memory');
@@ -0,0 +1,1714 @@
+'use strict';
+
+// Specs of the model shared by each storage backend. Backends which need a
+// database are described in model.spec.js, and the memory backend, which
+// does not, in model_memory.spec.js.
+
+const decache = require('decache');
+const moment = require('moment');
+const MongoClient = require('mongodb').MongoClient;
+const fse = require('fs-extra');
+const tmp = require('tmp');
+
+let BASE_PORT  = 9000;
+let PORT_RANGE = 200;
+let PORT = Math.floor(Math.random() * PORT_RANGE) + BASE_PORT;
+let PG_PORT = PORT + PORT_RANGE;
+
+const constants  = require('../../lib/constants');
+const test_utils = require('./test_utils');
+let config = require('../../lib/config');
+
+const TOKEN_SECRET = 'test secret';
+
+let chain;
+let dbConn;
+let model;
+let storage;
+let tokenHash;
+
+let p_db;
+let tmpobj;
+let tmpdir;
+
+let getCollection = require('./test_utils').getCollection;
+
+let insertTokens = function(docs) {
+  return Promise.all(docs.map(function(doc) {
+    return storage.provide().insertToken(doc);
+  }));
+};
+
+let insertUsers = function(docs) {
+  return Promise.all(docs.map(function(doc) {
+    return storage.provide().saveUser(doc);
+  }));
+};
+
+let findToken = function(hash) {
+  return storage.provide().findTokens([hash]).then(function(docs) {
+    expect(docs.length).toBe(1);
+    return docs[0];
+  });
+};
+
+let loadModel = function(options) {
+  decache('../../lib/model');
+  decache('../../lib/db_conn');
+  decache('../../lib/storage');
+  decache('../../lib/pg_conn');
+  // Both hold the config, which specs run before may have loaded again
+  decache('../../lib/chain');
+  decache('../../lib/token_hash');
+  config = require('../../lib/config');
+  config.provide(() => {
+    return Object.assign({tokensecret: TOKEN_SECRET}, options);
+  });
+  model = require('../../lib/model');
+  dbConn = require('../../lib/db_conn');
+  storage = require('../../lib/storage');
+  chain = require('../../lib/chain');
+  tokenHash = require('../../lib/token_hash');
+};
+
+/**
+ * Describes the model with a storage backend. MongoDB and PostgreSQL are
+ * started for the backends which need them.
+ * @param {String} backend - memory, mongodb or postgresql
+ */
+let describeModel = (backend) => {
+
+describe(`model with ${backend} storage`, function() {
+  let mongourl = `mongodb://localhost:${PORT}/test`;
+  let pgurl = `postgresql://postgres@127.0.0.1:${PG_PORT}/postgres`;
+
+  beforeAll(function(done) {
+    loadModel({storage: backend, mongourl, pgurl});
+    if (backend === 'memory') {
+      done();
+      return;
+    }
+    tmpobj = tmp.dirSync({prefix: 'npg_sentry_test_'});
+    tmpdir = tmpobj.name;
+    if (backend === 'postgresql') {
+      test_utils.start_postgres(tmpdir, PG_PORT);
+      done();
+      return;
+    }
+    // setup a mongo instance
+    test_utils.start_database(tmpdir, PORT);
+    p_db = MongoClient.connect(mongourl);
+    p_db.then(done);
+  }, 25000);
+
+  afterAll(function(done) {
+    if (backend === 'memory') {
+      done();
+      return;
+    }
+    let p_stopped;
+    if (backend === 'postgresql') {
+      p_stopped = require('../../lib/pg_conn').close().then(function() {
+        test_utils.stop_postgres(tmpdir);
+      });
+    } else {
+      test_utils.stop_database(PORT);
+      p_stopped = Promise.resolve();
+    }
+    p_stopped.catch(fail).then(function() {
+      fse.remove(tmpdir, function(err) {
+        if (err) {
+          console.log(`Error removing ${tmpdir}: ${err}`);
+        }
+        done();
+      });
+    });
+  });
+
+  describe('DbError', function() {
+    it('is a subclass of Error', function() {
+      let err = new dbConn.DbError('something bad');
+      expect(err.name).toBe('DbError');
+      expect(err instanceof dbConn.DbError).toBe(true);
+      expect(err instanceof Error).toBe(true);
+      expect(require('util').isError(err)).toBe(true);
+      expect(err.stack).toBeDefined();
+      expect(err.toString()).toBe('DbError: something bad');
+    });
+  });
+
+  if (backend === 'mongodb') {
+    describe('mongo connection error', function() {
+      beforeAll(function() {
+        loadModel({mongourl: `mongodb://invalid:${PORT}/test`});
+      });
+
+      afterAll(function() {
+        loadModel({storage: backend, mongourl});
+      });
+
+      it('is raised', function(done) {
+        let user = 'user@example.com';
+        let p_insert = model.createToken(user, 'test creation');
+        p_insert.catch(function(reason) {
+          expect(reason).not.toBeUndefined();
+          done();
+        });
+      });
+    });
+  }
+
+  describe('exported function', function() {
+    beforeEach(function(done) {
+      if (backend === 'mongodb') {
+        test_utils.drop_database(PORT);
+        done();
+      } else if (backend === 'postgresql') {
+        let pgConn = require('../../lib/pg_conn');
+        pgConn.query(
+          'TRUNCATE tokens, users, audit, revocations, sentry_acl'
+        ).then(function() {
+          return pgConn.query('UPDATE audit_head SET seq = 0, digest = NULL');
+        }).then(done, done.fail);
+      } else {
+        storage.provide().clear();
+        done();
+      }
+    });
+
+    describe('createToken', function() {
+
+      [
+        {user: 'owner1@example.com', owner: 'owner1@example.com'},
+        {user: 'admin@example.com',  owner: 'owner2@example.com'}
+      ].forEach(testValues => {
+        it(`succeeds for ${JSON.stringify(testValues)}`, function(done) {
+          let user  = testValues.user;
+          let owner = testValues.owner;
+
+          let p_insert = model.createToken(owner, user, 'test creation');
+
+          let p_docs = p_insert.then(function() {
+            return storage.provide().listTokens(owner);
+          });
+
+          let p_countExpectation = p_docs.then(function(docs) {
+            expect(docs.length).toBe(1);
+          });
+
+          let p_doc = p_docs.then(function(docs) {
+            return docs[0];
+          });
+
+          let test_doc = function(doc) {
+            expect(doc).toBeDefined();
+            expect(doc.user).toBe(owner);
+            expect(doc.hash).toMatch(/^[a-f0-9]{64}$/);
+            expect(doc.status).toBe(constants.TOKEN_STATUS_VALID);
+            expect(moment(doc.expiryTime).isValid()).toBe(true);
+            expect(moment(doc.expiryTime)
+              .isBetween(moment().add(7, 'days').subtract(5, 'seconds'), moment().add(7, 'days'))).toBe(true);
+            // hist record
+            expect(doc.hist).toBeDefined();
+            expect(doc.hist.length).toBe(1);
+            let hist = doc.hist[0];
+            expect(moment(hist.time)
+              .isBetween(moment().subtract(5, 'seconds'), moment())).toBe(true);
+            expect(hist.operating_user).toBe(user);
+            expect(hist.operation).toBe(constants.TOKEN_OPERATION_CREATE);
+            expect(hist.reason).toBe('test creation');
+            expect(hist.status).toBe(constants.TOKEN_STATUS_VALID);
+            expect(hist.expiryTime).toBe(doc.expiryTime);
+            expect(hist.prev_digest).toBe(null);
+            expect(hist.digest).toBe(chain.digest(hist));
+          };
+
+          // test document returned by createToken
+          let p_insertTest = p_insert.then(function(doc) {
+            test_doc(doc);
+            expect(doc.token).toMatch(/^[a-zA-Z0-9_-]{32}$/gm);
+            expect(doc.hash).toBe(tokenHash.hashToken(doc.token));
+          });
+
+          // test document stored, which must not contain
+          // the plaintext token
+          let p_docExpectation = p_doc.then(function(doc) {
+            test_doc(doc);
+            expect(doc.token).toBeUndefined();
+          });
+
+          Promise.all([p_countExpectation, p_docExpectation, p_insertTest])
+          .then(done, done.fail);
+        });
+      });
+
+      it('rejects with invalid parameters', function(done) {
+        let ps = [];
+
+        ps.push(model.createToken().then(function() {
+          return Promise.reject('Unexpectedly created token but tokenOwner is not defined');
+        }, function (reason) {
+          expect(reason).toMatch(/createToken: tokenOwner is not defined/i);
+        }));
+
+        ps.push(model.createToken(1).then(function() {
+          return Promise.reject('Unexpectedly created token but tokenOwner is not a string');
+        }, function (reason) {
+          expect(reason).toMatch(/createToken: tokenOwner must be a string/i);
+        }));
+
+        ps.push(model.createToken('someOwner').then(function() {
+          return Promise.reject('Unexpectedly created token but user is not defined');
+        }, function (reason) {
+          expect(reason).toMatch(/createToken: user is not defined/i);
+        }));
+
+        ps.push(model.createToken('someOwner', 1).then(function() {
+          return Promise.reject('Unexpectedly created token but user is not a string');
+        }, function (reason) {
+          expect(reason).toMatch(/createToken: user must be a string/i);
+        }));
+
+        ps.push(model.createToken('someOwner', 'user').then(function() {
+          return Promise.reject('Unexpectedly created token but justification is not defined');
+        }, function (reason) {
+          expect(reason).toMatch(/createToken: justification is not defined/i);
+        }));
+
+        ps.push(model.createToken('someOwner', 'user', 1).then(function() {
+          return Promise.reject('Unexpectedly created token but justification is not a string');
+        }, function (reason) {
+          expect(reason).toMatch(/createToken: justification must be a string/i);
+        }));
+
+        ps.push(model.createToken('someOwner', 'user', 'reason', {lifetime: -1}).then(function() {
+          return Promise.reject('Unexpectedly created token but lifetime is negative');
+        }, function (reason) {
+          expect(reason).toMatch(/createToken: lifetime must be a positive number/i);
+        }));
+
+        ps.push(model.createToken('someOwner', 'user', 'reason', {lifetime: '1'}).then(function() {
+          return Promise.reject('Unexpectedly created token but lifetime is not a number');
+        }, function (reason) {
+          expect(reason).toMatch(/createToken: lifetime must be a positive number/i);
+        }));
+
+        ps.push(model.createToken('someOwner', 'user', 'reason', {scopes: []}).then(function() {
+          return Promise.reject('Unexpectedly created token but scopes is empty');
+        }, function (reason) {
+          expect(reason).toMatch(/createToken: scopes must be a non-empty Array/i);
+        }));
+
+        ps.push(model.createToken('someOwner', 'user', 'reason', {scopes: ['1', 2]}).then(function() {
+          return Promise.reject('Unexpectedly created token but scopes contains a number');
+        }, function (reason) {
+          expect(reason).toMatch(/createToken: scopes entry must be a string/i);
+        }));
+
+        Promise.all(ps).then(done, done.fail);
+      });
+
+      it('uses a requested lifetime', function(done) {
+        let user = 'owner1@example.com';
+        model.createToken(user, user, 'test creation', {lifetime: 3600}).then(function(doc) {
+          expect(moment(doc.expiryTime)
+            .isBetween(moment().add(1, 'hours').subtract(5, 'seconds'), moment().add(1, 'hours'))).toBe(true);
+        }).then(done, done.fail);
+      });
+
+      it('stores requested scopes', function(done) {
+        let user = 'owner1@example.com';
+        let p_insert = model.createToken(user, user, 'test creation', {scopes: ['1', '5']});
+        p_insert.then(function(created) {
+          expect(created.scopes).toEqual(['1', '5']);
+          return findToken(created.hash);
+        }).then(function(doc) {
+          expect(doc.scopes).toEqual(['1', '5']);
+        }).then(done, done.fail);
+      });
+
+      it('does not store scopes unless requested', function(done) {
+        let user = 'owner1@example.com';
+        model.createToken(user, user, 'test creation').then(function(doc) {
+          expect(doc.scopes).toBeUndefined();
+        }).then(done, done.fail);
+      });
+
+      it('caps a requested lifetime to the configured maximum', function(done) {
+        let user = 'owner1@example.com';
+        let lifetime = 365 * 24 * 60 * 60;
+        model.createToken(user, user, 'test creation', {lifetime}).then(function(doc) {
+          expect(moment(doc.expiryTime)
+            .isBetween(moment().add(90, 'days').subtract(5, 'seconds'), moment().add(90, 'days'))).toBe(true);
+        }).then(done, done.fail);
+      });
+    });
+
+
+    describe('revokeToken', function() {
+
+      it('succeeds on existing token', function(done) {
+        let owner = 'owner@example.com';
+        let user  = 'user@example.com';
+        let hash  = tokenHash.hashToken('AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA');
+
+        let p_insertion = insertTokens([{
+          user: owner, hash, status: constants.TOKEN_STATUS_VALID, hist: [
+            {time: moment().format(), reason: 'insertion to test revokeToken'}
+        ]}]);
+
+        let p_revoke = p_insertion.then(function() {
+          return model.revokeToken(owner, user, hash, 'Test revocation');
+        });
+
+        let p_doc = p_revoke.then(function() {
+          return findToken(hash);
+        });
+
+        p_doc.then(function(doc) {
+          expect(doc).toBeDefined();
+          expect(doc.user).toBe(owner);
+          expect(doc.hash).toBe(hash);
+          expect(doc.status).toBe(constants.TOKEN_STATUS_REVOKED);
+          // expect token revocation to be second element of list
+          expect(doc.hist).toBeDefined();
+          expect(doc.hist.length).toBe(2);
+          let hist = doc.hist[1];
+          expect(moment(hist.time)
+            .isBetween(moment().subtract(5, 'seconds'), moment())).toBe(true);
+          expect(hist.operating_user).toBe(user);
+          expect(hist.operation).toBe(constants.TOKEN_OPERATION_REVOKE);
+          expect(hist.reason).toBe('Test revocation');
+          expect(hist.status).toBe(constants.TOKEN_STATUS_REVOKED);
+          // the revocation is chained to the unchained creation entry
+          expect(hist.prev_digest).toBe(chain.digest(doc.hist[0]));
+          expect(chain.findBreak(doc.hist)).toBeUndefined();
+          expect(chain.findStateChange(doc)).toBeUndefined();
+        }).then(done, done.fail);
+      });
+
+      it('rejects with invalid parameters', function(done) {
+        let ps = [];
+
+        ps.push(model.revokeToken().then(function() {
+          return Promise.reject('Unexpectedly revoked token but tokenOwner is not defined');
+        }, function (reason) {
+          expect(reason).toMatch(/revokeToken: tokenOwner is not defined/i);
+        }));
+
+        ps.push(model.revokeToken(1).then(function() {
+          return Promise.reject('Unexpectedly revoked token but tokenOwner is not a string');
+        }, function (reason) {
+          expect(reason).toMatch(/revokeToken: tokenOwner must be a string/i);
+        }));
+
+        ps.push(model.revokeToken('someOwner').then(function() {
+          return Promise.reject('Unexpectedly revoked token but user is not defined');
+        }, function (reason) {
+          expect(reason).toMatch(/revokeToken: user is not defined/i);
+        }));
+
+        ps.push(model.revokeToken('someOwner', 1).then(function() {
+          return Promise.reject('Unexpectedly revoked token but user is not a string');
+        }, function (reason) {
+          expect(reason).toMatch(/revokeToken: user must be a string/i);
+        }));
+
+        ps.push(model.revokeToken('someOwner', 'user').then(function() {
+          return Promise.reject('Unexpectedly revoked token but hash is not defined');
+        }, function (reason) {
+          expect(reason).toMatch(/revokeToken: hash is not defined/i);
+        }));
+
+        ps.push(model.revokeToken('someOwner', 'user', 1).then(function() {
+          return Promise.reject('Unexpectedly revoked token but hash is not a string');
+        }, function (reason) {
+          expect(reason).toMatch(/revokeToken: hash must be a string/i);
+        }));
+
+        ps.push(model.revokeToken('someOwner', 'user', 'hash').then(function() {
+          return Promise.reject('Unexpectedly revoked token but justification is not defined');
+        }, function (reason) {
+          expect(reason).toMatch(/revokeToken: justification is not defined/i);
+        }));
+
+        ps.push (model.revokeToken('someOwner', 'user', 'hash', 1).then(function() {
+          return Promise.reject('Unexpectedly revoked token but justification is not a string');
+        }, function (reason) {
+          expect(reason).toMatch(/revokeToken: justification must be a string/i);
+        }));
+
+        Promise.all(ps).then(done, done.fail);
+      });
+
+      it('fails when users do not match', function(done) {
+        let tokenOwner    = 'owner@example.com';
+        let operatingUser = 'user@example.com';
+        let revokingUser  = 'bad@example.com';
+        let hash          = tokenHash.hashToken('aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa');
+
+        let p_insertion = insertTokens([{
+          tokenOwner, hash, status: constants.TOKEN_STATUS_VALID
+        }]);
+
+        let p_revoke = p_insertion.then(function() {
+          return model.revokeToken(revokingUser, operatingUser, hash, 'Test revocation');
+        });
+
+        p_revoke.then(function() {
+          fail('Unexpectedly revoked token but users do not match');
+        }, function(reason) {
+          expect(reason.message).toEqual(constants.USER_NOT_TOKEN_OWNER);
+        }).then(done, done.fail);
+      });
+
+      it('fails when token does not exist', function(done) {
+        let user = 'user@example.com';
+        let hash = tokenHash.hashToken('AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA');
+
+        let p_revoke = model.revokeToken(user, user, hash, 'Test revocation');
+
+        p_revoke.then(function() {
+          fail('Unexpectedly revoked token but token should not exist');
+        }, function(reason) {
+          expect(reason instanceof dbConn.DbError).toBe(true);
+          expect(reason.message).toBe(
+            constants.UNEXPECTED_NUM_DOCS
+          );
+        }).then(done, done.fail);
+      });
+    });
+
+
+    describe('revokeBearerToken', function() {
+
+      it('revokes a token and records its bearer', function(done) {
+        let user = 'user@example.com';
+        let token;
+
+        model.createToken(user, user, 'test creation').then(function(doc) {
+          token = doc.token;
+          return model.revokeBearerToken(token, '127.0.0.1');
+        }).then(function(doc) {
+          expect(doc.status).toBe(constants.TOKEN_STATUS_REVOKED);
+          expect(doc.hist.length).toBe(2);
+          let entry = doc.hist[1];
+          expect(entry.operation).toBe(constants.TOKEN_OPERATION_BEARER_REVOKE);
+          expect(entry.reason).toBe(constants.WEB_TOKEN_BEARER_REVOCATION_MSG);
+          expect(entry.address).toBe('127.0.0.1');
+          expect(entry.operating_user).toBeUndefined();
+          return model.revokeBearerToken(token);
+        }).then(function(doc) {
+          expect(doc).toBeUndefined();
+        }).then(done, done.fail);
+      });
+
+      it('does nothing for an unknown token', function(done) {
+        model.revokeBearerToken('EEEEEEEEEEEEEEEEEEEEEEEEEEEEEEEE').then(function(doc) {
+          expect(doc).toBeUndefined();
+        }).then(done, done.fail);
+      });
+
+      it('rejects with invalid parameters', function(done) {
+        model.revokeBearerToken().then(function() {
+          done.fail('Unexpectedly revoked but token is not defined');
+        }, function(reason) {
+          expect(reason).toMatch(/revokeBearerToken: token is not defined/i);
+          done();
+        });
+      });
+    });
+
+    describe('searchTokens', function() {
+      let created = function(operator, time, reason) {
+        return {operation: constants.TOKEN_OPERATION_CREATE, operating_user: operator, time, reason};
+      };
+
+      beforeEach(function(done) {
+        insertTokens([{
+          user: 'a@example.com', hash: 'hash1', status: constants.TOKEN_STATUS_VALID,
+          expiryTime: '2017-07-01T00:00:00+00:00',
+          hist: [created('admin@example.com', '2017-06-01T00:00:00+00:00',
+                         'Created by admin for a project')]
+        }, {
+          user: 'b@example.com', hash: 'hash2', status: constants.TOKEN_STATUS_REVOKED,
+          expiryTime: '2017-08-01T00:00:00+01:00',
+          hist: [created('b@example.com', '2017-06-15T00:00:00+01:00',
+                         'Created by owner'), {
+            operation: constants.TOKEN_OPERATION_REVOKE, operating_user: 'b@example.com',
+            time: '2017-06-20T00:00:00+01:00', reason: 'Lost LAPTOP'
+          }]
+        }, {
+          user: 'a@example.com', hash: 'hash3', status: constants.TOKEN_STATUS_VALID,
+          expiryTime: '2017-09-01T00:00:00+00:00',
+          hist: [created('admin@example.com', '2017-07-10T00:00:00+00:00',
+                         'Created by admin')]
+        }]).then(done, done.fail);
+      });
+
+      let hashes = function(result) {
+        return result.tokens.map(function(doc) {
+          return doc.hash;
+        });
+      };
+
+      it('finds all tokens, most recently created first', function(done) {
+        model.searchTokens().then(function(result) {
+          expect(result.total).toBe(3);
+          expect(result.offset).toBe(0);
+          expect(result.limit).toBe(50);
+          expect(hashes(result)).toEqual(['hash3', 'hash2', 'hash1']);
+        }).then(done, done.fail);
+      });
+
+      it('filters by owner, status, operator and reason', function(done) {
+        Promise.all([
+          model.searchTokens({user: 'a@example.com'}),
+          model.searchTokens({status: constants.TOKEN_STATUS_REVOKED}),
+          model.searchTokens({operator: 'admin@example.com', user: 'b@example.com'}),
+          model.searchTokens({reason: 'laptop'}),
+          model.searchTokens({reason: 'project'}),
+        ]).then(function(results) {
+          expect(results.map(hashes)).toEqual([
+            ['hash3', 'hash1'], ['hash2'], [], ['hash2'], ['hash1'],
+          ]);
+        }).then(done, done.fail);
+      });
+
+      it('filters by creation and expiry times', function(done) {
+        Promise.all([
+          // which tokens were created by an admin in June
+          model.searchTokens({
+            operator:    'admin@example.com',
+            createdFrom: new Date('2017-06-01T00:00:00Z'),
+            createdTo:   new Date('2017-07-01T00:00:00Z'),
+          }),
+          // 2017-06-15T00:00:00+01:00 is before 2017-06-15T00:00:00Z
+          model.searchTokens({createdFrom: new Date('2017-06-15T00:00:00Z')}),
+          model.searchTokens({expiresTo: new Date('2017-08-01T00:00:00Z')}),
+        ]).then(function(results) {
+          expect(results.map(hashes)).toEqual([['hash1'], ['hash3'], ['hash2', 'hash1']]);
+        }).then(done, done.fail);
+      });
+
+      it('sorts and paginates', function(done) {
+        Promise.all([
+          model.searchTokens({sort: 'expires', order: 'asc'}),
+          model.searchTokens({sort: 'user', order: 'asc', offset: 1, limit: 1}),
+        ]).then(function(results) {
+          expect(hashes(results[0])).toEqual(['hash1', 'hash2', 'hash3']);
+          expect(results[1].total).toBe(3);
+          expect(hashes(results[1])).toEqual(['hash3']);
+        }).then(done, done.fail);
+      });
+
+      it('rejects unknown sort orders', function(done) {
+        model.searchTokens({sort: 'hash'}).then(function() {
+          done.fail('Unexpectedly sorted by hash');
+        }, function(reason) {
+          expect(reason).toMatch(/searchTokens: can not sort by hash/);
+          done();
+        });
+      });
+    });
+
+    describe('tokenUsage', function() {
+      let owner = 'owner@example.com';
+
+      afterEach(function() {
+        config.provide().set('maxvalidtokens', 0);
+        config.provide().set('maxdailytokens', 0);
+      });
+
+      let token = function(hash, status, created, expires) {
+        return {
+          user: owner, hash, status, expiryTime: expires.format(),
+          hist: [{
+            operation: constants.TOKEN_OPERATION_CREATE, operating_user: owner,
+            time: created.format(), reason: 'test creation'
+          }]
+        };
+      };
+
+      it('counts valid tokens and tokens created in the last day', function(done) {
+        config.provide().set('maxvalidtokens', '5');
+        insertTokens([
+          token('hash1', constants.TOKEN_STATUS_VALID, moment(), moment().add(1, 'days')),
+          // expired
+          token('hash2', constants.TOKEN_STATUS_VALID, moment().subtract(2, 'hours'),
+                moment().subtract(1, 'hours')),
+          token('hash3', constants.TOKEN_STATUS_VALID, moment().subtract(2, 'days'),
+                moment().add(1, 'days')),
+          token('hash4', constants.TOKEN_STATUS_REVOKED, moment().subtract(2, 'days'),
+                moment().add(1, 'days')),
+        ]).then(function() {
+          return model.tokenUsage(owner);
+        }).then(function(usage) {
+          expect(usage).toEqual({valid: 2, validLimit: 5, created: 2, createdLimit: 0});
+        }).then(done, done.fail);
+      });
+
+      it('limits valid tokens, unless overridden', function(done) {
+        config.provide().set('maxvalidtokens', 1);
+        model.createToken(owner, owner, 'test creation').then(function() {
+          return model.createToken(owner, owner, 'test creation');
+        }).then(function() {
+          done.fail('Unexpectedly created more tokens than allowed');
+        }, function(reason) {
+          expect(reason.statusCode).toBe(429);
+          expect(reason.message).toMatch(constants.VALID_TOKENS_QUOTA_REACHED);
+          return model.createToken(owner, 'admin@example.com', 'test creation', {override: true});
+        }).then(function() {
+          return model.tokenUsage(owner);
+        }).then(function(usage) {
+          expect(usage.valid).toBe(2);
+        }).then(done, done.fail);
+      });
+
+      it('limits tokens created in a day, including revoked tokens', function(done) {
+        config.provide().set('maxdailytokens', 1);
+        model.createToken(owner, owner, 'test creation').then(function(doc) {
+          return model.revokeToken(owner, owner, doc.hash, 'test revocation');
+        }).then(function() {
+          return model.createToken(owner, owner, 'test creation');
+        }).then(function() {
+          done.fail('Unexpectedly created more tokens than allowed in a day');
+        }, function(reason) {
+          expect(reason.statusCode).toBe(429);
+          expect(reason.message).toMatch(constants.DAILY_TOKENS_QUOTA_REACHED);
+          return storage.provide().listTokens(owner);
+        }).then(function(docs) {
+          expect(docs.length).toBe(1);
+        }).then(done, done.fail);
+      });
+    });
+
+    describe('countTokens', function() {
+      it('counts valid tokens by whether they have expired', function(done) {
+        let token = function(hash, status, expiryTime) {
+          return {user: 'owner@example.com', hash, status, expiryTime, hist: []};
+        };
+        insertTokens([
+          token('hash1', constants.TOKEN_STATUS_VALID, moment().add(1, 'days').format()),
+          token('hash2', constants.TOKEN_STATUS_VALID, moment().subtract(1, 'days').format()),
+          // expired an hour ago, but a later time of day where it was stored
+          token('hash3', constants.TOKEN_STATUS_VALID,
+                moment().subtract(1, 'hours').utcOffset(600).format()),
+          // expires in an hour, but an earlier time of day where it was stored
+          token('hash4', constants.TOKEN_STATUS_VALID,
+                moment().add(1, 'hours').utcOffset(-600).format()),
+          token('hash5', constants.TOKEN_STATUS_VALID, moment().subtract(90, 'days').format()),
+          token('hash6', constants.TOKEN_STATUS_VALID, undefined),
+          token('hash7', constants.TOKEN_STATUS_REVOKED, moment().subtract(1, 'days').format()),
+        ]).then(function() {
+          return model.countTokens();
+        }).then(function(counts) {
+          expect(counts).toEqual({active: 3, expired: 3});
+        }).then(done, done.fail);
+      });
+    });
+
+    describe('revokeTokens', function() {
+      let valid = function(user, hash) {
+        return {
+          user, hash, status: constants.TOKEN_STATUS_VALID,
+          expiryTime: moment().add(1, 'days').format(),
+          hist: [{
+            operation: constants.TOKEN_OPERATION_CREATE, operating_user: user,
+            time: moment().format(), reason: 'test creation'
+          }]
+        };
+      };
+
+      beforeEach(function(done) {
+        let revoked = valid('a@example.com', 'hash3');
+        revoked.status = constants.TOKEN_STATUS_REVOKED;
+        insertUsers([
+          {user: 'a@example.com', groups: ['1'], current: true},
+          {user: 'b@example.com', groups: ['1', '2'], current: true},
+          {user: 'c@example.com', groups: ['2'], current: true},
+        ]).then(function() {
+          return insertTokens([
+            valid('a@example.com', 'hash1'), valid('b@example.com', 'hash2'), revoked,
+            valid('c@example.com', 'hash4'),
+          ]);
+        }).then(done, done.fail);
+      });
+
+      it('revokes the valid tokens of a group with a shared justification', function(done) {
+        model.revokeTokens({group: '1'}, 'admin@example.com', 'Project closed').then(function(counts) {
+          expect(counts).toEqual({matched: 2, revoked: 2, changed: 0});
+          return Promise.all(['hash1', 'hash2', 'hash3', 'hash4'].map(findToken));
+        }).then(function(docs) {
+          expect(docs.map(function(doc) {
+            return doc.status;
+          })).toEqual([
+            constants.TOKEN_STATUS_REVOKED, constants.TOKEN_STATUS_REVOKED,
+            constants.TOKEN_STATUS_REVOKED, constants.TOKEN_STATUS_VALID,
+          ]);
+          [docs[0], docs[1]].forEach(function(doc) {
+            expect(doc.hist.length).toBe(2);
+            let entry = doc.hist[1];
+            expect(entry.operation).toBe(constants.TOKEN_OPERATION_REVOKE);
+            expect(entry.operating_user).toBe('admin@example.com');
+            expect(entry.reason).toBe('Project closed');
+          });
+          // The token revoked before is left alone
+          expect(docs[2].hist.length).toBe(1);
+        }).then(done, done.fail);
+      });
+
+      it('rejects if the matching tokens are not as expected', function(done) {
+        model.revokeTokens({user: 'c@example.com'}, 'admin@example.com', 'Left', 2).then(function() {
+          done.fail('Unexpectedly revoked tokens which were not previewed');
+        }, function(reason) {
+          expect(reason.statusCode).toBe(409);
+          expect(reason.message).toBe(constants.TOKENS_NOT_AS_PREVIEWED);
+          return findToken('hash4').then(function(doc) {
+            expect(doc.status).toBe(constants.TOKEN_STATUS_VALID);
+          });
+        }).then(done, done.fail);
+      });
+
+      it('rejects without filters or a justification', function(done) {
+        Promise.all([
+          model.revokeTokens({}, 'admin@example.com', 'Everything').then(function() {
+            done.fail('Unexpectedly revoked every token');
+          }, function(reason) {
+            expect(reason).toMatch(/revokeTokens: filters must not be empty/);
+          }),
+          model.revokeTokens({group: '2'}, 'admin@example.com').then(function() {
+            done.fail('Unexpectedly revoked without a justification');
+          }, function(reason) {
+            expect(reason).toMatch(/revokeTokens: justification is not defined/);
+          }),
+        ]).then(done, done.fail);
+      });
+    });
+
+    describe('revokeDepartedTokens', function() {
+
+      it('revokes valid tokens of users who are not current', function(done) {
+        let departed = 'departed@example.com';
+        let current = 'current@example.com';
+        let departedHash;
+        let currentHash;
+
+        insertUsers([
+          {user: departed, groups: [], current: false},
+          {user: current, groups: ['1'], current: true},
+        ]).then(function() {
+          return Promise.all([
+            model.createToken(departed, departed, 'test creation'),
+            model.createToken(current, current, 'test creation'),
+          ]);
+        }).then(function(docs) {
+          departedHash = docs[0].hash;
+          currentHash = docs[1].hash;
+          return model.revokeDepartedTokens();
+        }).then(function(revoked) {
+          expect(revoked.length).toBe(1);
+          expect(revoked[0].hash).toBe(departedHash);
+          return Promise.all([findToken(departedHash), findToken(currentHash)]);
+        }).then(function(docs) {
+          expect(docs[0].status).toBe(constants.TOKEN_STATUS_REVOKED);
+          expect(docs[0].hist.length).toBe(2);
+          let entry = docs[0].hist[1];
+          expect(entry.operation).toBe(constants.TOKEN_OPERATION_DEPARTED_REVOKE);
+          expect(entry.reason).toBe(constants.WEB_TOKEN_DEPARTED_REVOCATION_MSG);
+          expect(entry.digest).toBeDefined();
+          expect(docs[1].status).toBe(constants.TOKEN_STATUS_VALID);
+          // Nothing is left to revoke
+          return model.revokeDepartedTokens();
+        }).then(function(revoked) {
+          expect(revoked).toEqual([]);
+        }).then(done, done.fail);
+      });
+    });
+
+    describe('renewToken', function() {
+
+      let insertToken = function(hash, doc) {
+        return insertTokens([Object.assign({
+          user:       'owner@example.com',
+          hash:       hash,
+          status:     constants.TOKEN_STATUS_VALID,
+          expiryTime: moment().add(1, 'hours').format(),
+          hist:       [{time: moment().format(), reason: 'insertion to test renewToken'}]
+        }, doc)]);
+      };
+
+      it('succeeds on existing token', function(done) {
+        let owner = 'owner@example.com';
+        let user  = 'user@example.com';
+        let hash  = tokenHash.hashToken('IIIIIIIIIIIIIIIIIIIIIIIIIIIIIIII');
+
+        insertToken(hash, {}).then(function() {
+          return model.renewToken(owner, user, hash, 'Test renewal', 2 * 24 * 60 * 60);
+        }).then(function(doc) {
+          expect(doc.hash).toBe(hash);
+          expect(doc.status).toBe(constants.TOKEN_STATUS_VALID);
+          expect(moment(doc.expiryTime)
+            .isBetween(moment().add(2, 'days').subtract(5, 'seconds'), moment().add(2, 'days'))).toBe(true);
+          expect(doc.hist.length).toBe(2);
+          let hist = doc.hist[1];
+          expect(hist.operation).toBe(constants.TOKEN_OPERATION_RENEW);
+          expect(hist.operating_user).toBe(user);
+          expect(hist.reason).toBe('Test renewal');
+          expect(hist.expiryTime).toBe(doc.expiryTime);
+          expect(hist.status).toBe(constants.TOKEN_STATUS_VALID);
+          expect(chain.findStateChange(doc)).toBeUndefined();
+        }).then(done, done.fail);
+      });
+
+      it('uses the default lifetime when none is requested', function(done) {
+        let owner = 'owner@example.com';
+        let hash  = tokenHash.hashToken('JJJJJJJJJJJJJJJJJJJJJJJJJJJJJJJJ');
+
+        insertToken(hash, {}).then(function() {
+          return model.renewToken(owner, owner, hash, 'Test renewal');
+        }).then(function(doc) {
+          expect(moment(doc.expiryTime)
+            .isBetween(moment().add(7, 'days').subtract(5, 'seconds'), moment().add(7, 'days'))).toBe(true);
+        }).then(done, done.fail);
+      });
+
+      it('fails for a revoked token', function(done) {
+        let owner = 'owner@example.com';
+        let hash  = tokenHash.hashToken('KKKKKKKKKKKKKKKKKKKKKKKKKKKKKKKK');
+
+        insertToken(hash, {status: constants.TOKEN_STATUS_REVOKED}).then(function() {
+          return model.renewToken(owner, owner, hash, 'Test renewal');
+        }).then(function() {
+          fail('Unexpectedly renewed a revoked token');
+        }, function(reason) {
+          expect(reason.message).toBe(constants.TOKEN_NOT_RENEWABLE);
+          expect(reason.statusCode).toBe(409);
+        }).then(done, done.fail);
+      });
+
+      it('fails for an expired token', function(done) {
+        let owner = 'owner@example.com';
+        let hash  = tokenHash.hashToken('LLLLLLLLLLLLLLLLLLLLLLLLLLLLLLLL');
+
+        insertToken(hash, {expiryTime: moment(0).toISOString()}).then(function() {
+          return model.renewToken(owner, owner, hash, 'Test renewal');
+        }).then(function() {
+          fail('Unexpectedly renewed an expired token');
+        }, function(reason) {
+          expect(reason.message).toBe(constants.TOKEN_NOT_RENEWABLE);
+          expect(reason.statusCode).toBe(409);
+        }).then(done, done.fail);
+      });
+
+      it('fails when users do not match', function(done) {
+        let hash = tokenHash.hashToken('MMMMMMMMMMMMMMMMMMMMMMMMMMMMMMMM');
+
+        insertToken(hash, {}).then(function() {
+          return model.renewToken('bad@example.com', 'bad@example.com', hash, 'Test renewal');
+        }).then(function() {
+          fail('Unexpectedly renewed token but users do not match');
+        }, function(reason) {
+          expect(reason.message).toBe(constants.USER_NOT_TOKEN_OWNER);
+        }).then(done, done.fail);
+      });
+
+      it('rejects with invalid lifetime', function(done) {
+        model.renewToken('someOwner', 'user', 'hash', 'reason', 0).then(function() {
+          fail('Unexpectedly renewed token but lifetime is not positive');
+        }, function(reason) {
+          expect(reason).toMatch(/renewToken: lifetime must be a positive number/i);
+        }).then(done, done.fail);
+      });
+    });
+
+
+    describe('listTokens', function() {
+
+      it('succeeds', function(done) {
+        let user = 'user@example.com';
+        let hash1 = tokenHash.hashToken('BBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBB');
+        let hash2 = tokenHash.hashToken('CCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCC');
+
+        let p_insertion = insertTokens([
+          {user, hash: hash1, status: constants.TOKEN_STATUS_VALID},
+          {user, hash: hash2, status: constants.TOKEN_STATUS_VALID},
+        ]);
+
+        let p_tokens = p_insertion.then(function() {
+          return model.listTokens(user);
+        });
+
+        p_tokens.then(function(tokens) {
+          expect(tokens instanceof Array).toBe(true);
+          let hashVals = tokens.map(function(row) {
+            return row.hash;
+          });
+          expect(hashVals).toContain(hash1);
+          expect(hashVals).toContain(hash2);
+          let tokenUsers = tokens.every(function(row) {
+            return row.user === user;
+          });
+          expect(tokenUsers).toBe(true);
+          let tokensValid = tokens.every(function(row) {
+            return row.status === constants.TOKEN_STATUS_VALID;
+          });
+          expect(tokensValid).toBe(true);
+        }).then(done, done.fail);
+      });
+
+      it('succeeds despite no tokens', function(done) {
+        let user = 'user@example.com';
+
+        let p_noTokens = model.listTokens(user);
+
+        p_noTokens.then(function(tokens) {
+          expect(tokens instanceof Array).toBe(true);
+          expect(tokens.length).toBe(0);
+        }).then(done, done.fail);
+      });
+
+      it('rejects with invalid parameters', function(done) {
+        let ps = [];
+
+        ps.push(model.listTokens().then(function() {
+          return Promise.reject('Unexpectedly listed tokens but user is not defined');
+        }, function (reason) {
+          expect(reason).toMatch(/listTokens: user is not defined/i);
+        }));
+
+        ps.push(model.listTokens(1).then(function() {
+          return Promise.reject('Unexpectedly listed tokens but user is not a string');
+        }, function (reason) {
+          expect(reason).toMatch(/listTokens: user must be a string/i);
+        }));
+
+        Promise.all(ps).then(done, done.fail);
+      });
+    });
+
+
+    describe('validateUser', function() {
+
+      it('succeeds', function(done) {
+        let user = 'user@example.com';
+        let reqdGroups = ['1', '5'];
+        let p_userInsertion = insertUsers([{user, groups: ['1', '2', '5']}]);
+
+        p_userInsertion.then(function() {
+          return model.validateUser(reqdGroups, user);
+        }).then(function(result) {
+          expect(result).toBe(true);
+          done();
+        }, done.fail);
+      });
+
+      it('successfully returns false', function(done) {
+        let user = 'user@example.com';
+        let reqdGroups = ['1', '5'];
+
+        let p_userInsertion = insertUsers([{user, groups: ['1', '2', '3']}]);
+
+        p_userInsertion.then(function() {
+          return model.validateUser(reqdGroups, user);
+        }).then(function(result) {
+          expect(result).toBe(false);
+          done();
+        }, done.fail);
+      });
+
+      it ('rejects with invalid parameters', function(done) {
+        let ps = [];
+
+        ps.push(model.validateUser().then(function() {
+          return Promise.reject('Unexpectedly validated users but groups is not defined');
+        }, function (reason) {
+          expect(reason).toMatch(/validateUser: groups is not defined/i);
+        }));
+
+        ps.push(model.validateUser(1).then(function() {
+          return Promise.reject('Unexpectedly validated users but groups is not an Array');
+        }, function (reason) {
+          expect(reason).toMatch(/validateUser: groups must be an Array/i);
+        }));
+
+        ps.push(model.validateUser(['a_group']).then(function() {
+          return Promise.reject('Unexpectedly validated users but user is not defined');
+        }, function (reason) {
+          expect(reason).toMatch(/validateUser: user is not defined/i);
+        }));
+
+        ps.push(model.validateUser(['a_group'], 1).then(function() {
+          return Promise.reject('Unexpectedly validated users but user is not a string');
+        }, function (reason) {
+          expect(reason).toMatch(/validateUser: user must be a string/i);
+        }));
+
+        Promise.all(ps).then(done, done.fail);
+      });
+
+      it('fails when user does not exist', function(done) {
+        let user = 'user@example.com';
+        let reqdGroups = ['1', '5'];
+
+        model.validateUser(reqdGroups, user).then(function() {
+          done.fail('Validate user should have failed but succeded');
+        }, function(reason) {
+          expect(reason instanceof dbConn.DbError).toBe(true);
+          expect(reason.message).toBe(constants.UNEXPECTED_NUM_DOCS);
+          done();
+        });
+      });
+
+      it('successfully returns false when groups field is missing', function(done) {
+        let user = 'nogroups@example.com';
+        let reqdGroups = ['1', '5'];
+
+        let p_userInsertion = insertUsers([{user}]);
+
+        p_userInsertion.then(function() {
+          return model.validateUser(reqdGroups, user);
+        }).then(function(result) {
+          expect(result).toBe(false);
+          done();
+        }, done.fail);
+      });
+
+      it('successfully returns false when groups field is empty', function(done) {
+        let user = 'emptygroups@example.com';
+        let reqdGroups = ['1', '5'];
+
+        let p_userInsertion = insertUsers([{user, groups: []}]);
+
+        p_userInsertion.then(function() {
+          return model.validateUser(reqdGroups, user);
+        }).then(function(result) {
+          expect(result).toBe(false);
+          done();
+        }, done.fail);
+      });
+
+      it('successfully returns false when user is not current', function(done) {
+        let user = 'departed@example.com';
+        let reqdGroups = ['1', '5'];
+
+        let p_userInsertion = insertUsers([{user, groups: ['1', '5'], current: false}]);
+
+        p_userInsertion.then(function() {
+          return Promise.all([
+            model.validateUser(reqdGroups, user),
+            model.validateUsers([{user, groups: reqdGroups}]),
+          ]);
+        }).then(function(results) {
+          expect(results).toEqual([false, [false]]);
+          done();
+        }, done.fail);
+      });
+    });
+
+    describe('validateToken', function() {
+
+      it('succeeds', function(done) {
+        let user = 'user@example.com';
+        let token = 'DDDDDDDDDDDDDDDDDDDDDDDDDDDDDDDD';
+        let reqdGroups = ['1', '5'];
+
+        let p_tokenInsertion = insertTokens([{
+          user, hash: tokenHash.hashToken(token), status: constants.TOKEN_STATUS_VALID
+        }]);
+
+        let p_userInsertion = insertUsers([{user, groups: ['1', '2', '5']}]);
+
+        let p_result =
+          Promise.all([p_tokenInsertion, p_userInsertion])
+          .then(function() {
+            return model.validateToken(reqdGroups, token);
+          });
+
+        p_result.then(function(result) {
+          expect(result).toBe(true);
+          done();
+        }, done.fail);
+      });
+
+      it('successfully returns false', function(done) {
+        let user = 'user@example.com';
+        let token = 'DDDDDDDDDDDDDDDDDDDDDDDDDDDDDDDD';
+        let reqdGroups = ['1', '5'];
+
+        let p_tokenInsertion = insertTokens([{
+          user, hash: tokenHash.hashToken(token), status: constants.TOKEN_STATUS_VALID
+        }]);
+
+        let p_userInsertion = insertUsers([{user, groups: ['1', '2', '3']}]);
+
+        let p_result =
+          Promise.all([p_tokenInsertion, p_userInsertion])
+          .then(function() {
+            return model.validateToken(reqdGroups, token);
+          });
+
+        p_result.then(function(result) {
+          expect(result).toBe(false);
+          done();
+        }, done.fail);
+      });
+
+      it('rejects with invalid parameters', function(done) {
+        let ps = [];
+
+        ps.push(model.validateToken().then(function() {
+          return Promise.reject('Unexpectedly validated tokens but groups is not defined');
+        }, function (reason) {
+          expect(reason).toMatch(/validateToken: groups is not defined/i);
+        }));
+
+        ps.push(model.validateToken(1).then(function() {
+          return Promise.reject('Unexpectedly validated tokens but groups is not an Array');
+        }, function (reason) {
+          expect(reason).toMatch(/validateToken: groups must be an Array/i);
+        }));
+
+        ps.push(model.validateToken(['a_group']).then(function() {
+          return Promise.reject('Unexpectedly validated tokens but token is not defined');
+        }, function (reason) {
+          expect(reason).toMatch(/validateToken: token is not defined/i);
+        }));
+
+        ps.push(model.validateToken(['a_group'], 1).then(function() {
+          return Promise.reject('Unexpectedly validated tokens but token is not a string');
+        }, function (reason) {
+          expect(reason).toMatch(/validateToken: token must be a string/i);
+        }));
+
+        Promise.all(ps).then(done, done.fail);
+      });
+
+      it('fails when token does not exist', function(done) {
+        let user = 'user@example.com';
+        let token = 'DDDDDDDDDDDDDDDDDDDDDDDDDDDDDDDD';
+        let reqdGroups = ['1', '2', '3'];
+
+        let p_userInsertion = insertUsers([{user, groups: reqdGroups}]);
+
+        let p_result = p_userInsertion.then(function() {
+          return model.validateToken(reqdGroups, token);
+        });
+
+        p_result.then(function() {
+          done.fail('Validate token should have failed but succeded');
+        }, function(reason) {
+          expect(reason instanceof dbConn.DbError).toBe(true);
+          expect(reason.message).toBe(
+            constants.UNEXPECTED_NUM_DOCS
+          );
+          done();
+        });
+      });
+
+      it('successfully returns false when token has been revoked', function(done) {
+        let user = 'revoked@example.com';
+        let token = 'GGGGGGGGGGGGGGGGGGGGGGGGGGGGGGGG';
+        let reqdGroups = ['1', '5'];
+
+        let p_tokenInsertion = insertTokens([{
+          user, hash: tokenHash.hashToken(token), status: constants.TOKEN_STATUS_REVOKED
+        }]);
+
+        let p_userInsertion = insertUsers([{user, groups: ['1', '2', '5']}]);
+
+        let p_result = Promise.all([p_tokenInsertion, p_userInsertion])
+          .then(function() {
+            return model.validateToken(reqdGroups, token);
+          });
+
+        p_result.then(function(result) {
+          expect(result).toBe(false);
+          done();
+        }, done.fail);
+      });
+
+      describe('with scopes', function() {
+        let user  = 'scoped@example.com';
+        let token = 'NNNNNNNNNNNNNNNNNNNNNNNNNNNNNNNN';
+
+        beforeEach(function(done) {
+          let p_tokenInsertion = insertTokens([{
+            user, hash: tokenHash.hashToken(token), status: constants.TOKEN_STATUS_VALID,
+            scopes: ['1', '4']
+          }]);
+          let p_userInsertion = insertUsers([{user, groups: ['1', '2', '3']}]);
+          Promise.all([p_tokenInsertion, p_userInsertion]).then(done, done.fail);
+        });
+
+        it('succeeds for groups within scopes', function(done) {
+          model.validateToken(['1'], token).then(function(result) {
+            expect(result).toBe(true);
+          }).then(done, done.fail);
+        });
+
+        it('returns false for groups of the owner outside scopes', function(done) {
+          model.validateToken(['1', '2'], token).then(function(result) {
+            expect(result).toBe(false);
+          }).then(done, done.fail);
+        });
+
+        it('returns false for groups within scopes the owner is not a member of', function(done) {
+          model.validateToken(['4'], token).then(function(result) {
+            expect(result).toBe(false);
+          }).then(done, done.fail);
+        });
+      });
+
+      it('successfully returns false when token has expired', function(done) {
+        let user = 'revoked@example.com';
+        let token = 'HHHHHHHHHHHHHHHHHHHHHHHHHHHHHHHH';
+        let reqdGroups = ['1', '5'];
+        let expiryTime = moment(0).toISOString(); // 1 Jan 1970
+
+        let p_tokenInsertion = insertTokens([{
+          user, hash: tokenHash.hashToken(token), status: constants.TOKEN_STATUS_VALID, expiryTime
+        }]);
+
+        let p_userInsertion = insertUsers([{user, groups: ['1', '2', '5']}]);
+
+        let p_result = Promise.all([p_tokenInsertion, p_userInsertion])
+          .then(function() {
+            return model.validateToken(reqdGroups, token);
+          });
+
+        p_result.then(function(result) {
+          expect(result).toBe(false);
+          done();
+        }, done.fail);
+      });
+    });
+
+    describe('introspectToken', function() {
+
+      it('describes a valid token', function(done) {
+        let user = 'user@example.com';
+        let token = 'DDDDDDDDDDDDDDDDDDDDDDDDDDDDDDDD';
+
+        let p_tokenInsertion = insertTokens([{
+          user,
+          hash:       tokenHash.hashToken(token),
+          status:     constants.TOKEN_STATUS_VALID,
+          expiryTime: '2030-01-02T00:00:00Z',
+          scopes:     ['1', '3'],
+          hist: [{
+            operation: constants.TOKEN_OPERATION_CREATE,
+            time:      '2030-01-01T00:00:00Z'
+          }]
+        }]);
+
+        let p_userInsertion = insertUsers([{user, groups: ['1', '2', '3']}]);
+
+        Promise.all([p_tokenInsertion, p_userInsertion]).then(function() {
+          return model.introspectToken(token);
+        }).then(function(description) {
+          expect(description).toEqual({
+            active: true,
+            sub:    user,
+            scope:  '1 3',
+            exp:    Date.UTC(2030, 0, 2) / 1000,
+            iat:    Date.UTC(2030, 0, 1) / 1000,
+          });
+        }).then(done, done.fail);
+      });
+
+      it('describes revoked and unknown tokens as inactive', function(done) {
+        let user = 'user@example.com';
+        let token = 'DDDDDDDDDDDDDDDDDDDDDDDDDDDDDDDD';
+
+        let p_tokenInsertion = insertTokens([{
+          user, hash: tokenHash.hashToken(token), status: constants.TOKEN_STATUS_REVOKED
+        }]);
+
+        let p_userInsertion = insertUsers([{user, groups: ['1']}]);
+
+        Promise.all([p_tokenInsertion, p_userInsertion]).then(function() {
+          return Promise.all([
+            model.introspectToken(token),
+            model.introspectToken('EEEEEEEEEEEEEEEEEEEEEEEEEEEEEEEE'),
+          ]);
+        }).then(function(descriptions) {
+          expect(descriptions).toEqual([{active: false}, {active: false}]);
+        }).then(done, done.fail);
+      });
+
+      it('describes tokens of users who are not current as inactive', function(done) {
+        let user = 'departed@example.com';
+        let token = 'DDDDDDDDDDDDDDDDDDDDDDDDDDDDDDDD';
+
+        let p_tokenInsertion = insertTokens([{
+          user, hash: tokenHash.hashToken(token), status: constants.TOKEN_STATUS_VALID
+        }]);
+
+        let p_userInsertion = insertUsers([{user, groups: ['1'], current: false}]);
+
+        Promise.all([p_tokenInsertion, p_userInsertion]).then(function() {
+          return Promise.all([
+            model.introspectToken(token),
+            model.validateToken(['1'], token),
+            model.validateTokens([{token, groups: ['1']}]),
+          ]);
+        }).then(function(results) {
+          expect(results).toEqual([{active: false}, false, [false]]);
+        }).then(done, done.fail);
+      });
+
+      it('rejects with invalid parameters', function(done) {
+        model.introspectToken().then(function() {
+          done.fail('Unexpectedly introspected but token is not defined');
+        }, function(reason) {
+          expect(reason).toMatch(/introspectToken: token is not defined/i);
+          done();
+        });
+      });
+    });
+
+    describe('validateTokens', function() {
+      let tokens = {
+        valid:   'OOOOOOOOOOOOOOOOOOOOOOOOOOOOOOOO',
+        revoked: 'PPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPP',
+        other:   'QQQQQQQQQQQQQQQQQQQQQQQQQQQQQQQQ',
+      };
+
+      beforeEach(function(done) {
+        let p_tokenInsertion = insertTokens([{
+          user: 'user@example.com', hash: tokenHash.hashToken(tokens.valid),
+          status: constants.TOKEN_STATUS_VALID
+        }, {
+          user: 'user@example.com', hash: tokenHash.hashToken(tokens.revoked),
+          status: constants.TOKEN_STATUS_REVOKED
+        }, {
+          user: 'other@example.com', hash: tokenHash.hashToken(tokens.other),
+          status: constants.TOKEN_STATUS_VALID
+        }]);
+        let p_userInsertion = insertUsers([
+          {user: 'user@example.com', groups: ['1', '2']},
+          {user: 'other@example.com', groups: ['3']},
+        ]);
+        Promise.all([p_tokenInsertion, p_userInsertion]).then(done, done.fail);
+      });
+
+      it('returns decisions in request order', function(done) {
+        model.validateTokens([
+          {token: tokens.valid,   groups: ['1']},
+          {token: tokens.valid,   groups: ['3']},
+          {token: tokens.revoked, groups: ['1']},
+          {token: tokens.other,   groups: ['3']},
+          {token: 'RRRRRRRRRRRRRRRRRRRRRRRRRRRRRRRR', groups: ['1']},
+          {token: tokens.valid,   groups: ['1', '2']},
+        ]).then(function(decisions) {
+          expect(decisions).toEqual([true, false, false, true, false, true]);
+        }).then(done, done.fail);
+      });
+
+      it('succeeds with no requests', function(done) {
+        model.validateTokens([]).then(function(decisions) {
+          expect(decisions).toEqual([]);
+        }).then(done, done.fail);
+      });
+
+      it('rejects with invalid parameters', function(done) {
+        let ps = [];
+
+        ps.push(model.validateTokens().then(function() {
+          return Promise.reject('Unexpectedly validated tokens but requests is not defined');
+        }, function (reason) {
+          expect(reason).toMatch(/validateTokens: requests is not defined/i);
+        }));
+
+        ps.push(model.validateTokens({}).then(function() {
+          return Promise.reject('Unexpectedly validated tokens but requests is not an Array');
+        }, function (reason) {
+          expect(reason).toMatch(/validateTokens: requests must be an Array/i);
+        }));
+
+        ps.push(model.validateTokens([{token: tokens.valid}]).then(function() {
+          return Promise.reject('Unexpectedly validated tokens but groups is not defined');
+        }, function (reason) {
+          expect(reason).toMatch(/validateTokens: groups is not defined/i);
+        }));
+
+        ps.push(model.validateTokens([{groups: ['1']}]).then(function() {
+          return Promise.reject('Unexpectedly validated tokens but token is not defined');
+        }, function (reason) {
+          expect(reason).toMatch(/validateTokens: token is not defined/i);
+        }));
+
+        Promise.all(ps).then(done, done.fail);
+      });
+    });
+
+    describe('validateUsers', function() {
+
+      beforeEach(function(done) {
+        insertUsers([
+          {user: 'user@example.com', groups: ['1', '2']},
+          {user: 'nogroups@example.com'},
+        ]).then(done, done.fail);
+      });
+
+      it('returns decisions in request order', function(done) {
+        model.validateUsers([
+          {user: 'user@example.com',     groups: ['1', '2']},
+          {user: 'nogroups@example.com', groups: ['1']},
+          {user: 'unknown@example.com',  groups: ['1']},
+          {user: 'user@example.com',     groups: ['3']},
+        ]).then(function(decisions) {
+          expect(decisions).toEqual([true, false, false, false]);
+        }).then(done, done.fail);
+      });
+
+      it('rejects with invalid parameters', function(done) {
+        let ps = [];
+
+        ps.push(model.validateUsers('user@example.com').then(function() {
+          return Promise.reject('Unexpectedly validated users but requests is not an Array');
+        }, function (reason) {
+          expect(reason).toMatch(/validateUsers: requests must be an Array/i);
+        }));
+
+        ps.push(model.validateUsers([{user: 1, groups: []}]).then(function() {
+          return Promise.reject('Unexpectedly validated users but user is not a string');
+        }, function (reason) {
+          expect(reason).toMatch(/validateUsers: user must be a string/i);
+        }));
+
+        Promise.all(ps).then(done, done.fail);
+      });
+    });
+
+    describe('audit log', function() {
+      let audit;
+      let req = {headers: {}, ip: '127.0.0.1'};
+
+      beforeAll(function() {
+        decache('../../lib/audit');
+        audit = require('../../lib/audit');
+      });
+
+      let recorded = function() {
+        return audit.query({limit: 100}).then(function(result) {
+          return result.events.reverse();
+        });
+      };
+
+      it('numbers and links events in the order they are recorded', function(done) {
+        let targets = [];
+        for (let i = 0; i < 20; i++) {
+          targets.push(`user${i}@example.com`);
+        }
+        Promise.all(targets.map(function(target) {
+          return audit.record(req, constants.AUDIT_VALIDATE_DENIED, target);
+        })).then(recorded).then(function(events) {
+          expect(events.map(function(event) {
+            return event.target;
+          })).toEqual(targets);
+          expect(events.map(function(event) {
+            return event.seq;
+          })).toEqual(targets.map(function(target, i) {
+            return i + 1;
+          }));
+          expect(chain.findBreak(events)).toBeUndefined();
+        }).then(done, done.fail);
+      });
+
+      // Appending directly to storage stands in for other processes
+      it('gives events appended at the same time their own seq', function(done) {
+        let append = function(target) {
+          return storage.provide().appendAuditEvent(function(previous) {
+            return chain.link({
+              time:   new Date(),
+              event:  constants.AUDIT_VALIDATE_DENIED,
+              target: target,
+              seq:    previous ? previous.seq + 1 : 1,
+            }, previous);
+          });
+        };
+        audit.record(req, constants.AUDIT_VALIDATE_DENIED, 'first@example.com').then(function() {
+          return Promise.all([append('a@example.com'), append('b@example.com'), append('c@example.com')]);
+        }).then(recorded).then(function(events) {
+          expect(events.map(function(event) {
+            return event.seq;
+          })).toEqual([1, 2, 3, 4]);
+          expect(chain.findBreak(events)).toBeUndefined();
+        }).then(done, done.fail);
+      });
+
+      it('logs, rather than rejects, events that fail to be recorded', function(done) {
+        let append = spyOn(storage.provide(), 'appendAuditEvent')
+          .and.callFake(function() {
+            return Promise.reject(new Error('test failure'));
+          });
+        expect(audit.recordAfter(req, constants.AUDIT_VALIDATE_DENIED, 'lost@example.com')).toBeUndefined();
+        recorded().then(function(events) {
+          expect(append).toHaveBeenCalled();
+          append.and.callThrough();
+          expect(events.map(function(event) {
+            return event.target;
+          })).not.toContain('lost@example.com');
+          return audit.record(req, constants.AUDIT_VALIDATE_DENIED, 'kept@example.com');
+        }).then(recorded).then(function(events) {
+          expect(events[events.length - 1].target).toEqual('kept@example.com');
+          expect(chain.findBreak(events)).toBeUndefined();
+        }).then(done, done.fail);
+      });
+    });
+
+    // Changes made directly to the database stand in for other processes
+    describe('with caching', function() {
+      if (backend !== 'mongodb') {
+        return;
+      }
+      let invalidation;
+      let reloadModel = function(options) {
+        decache('../../lib/cache');
+        decache('../../lib/invalidation');
+        loadModel(Object.assign({storage: backend, mongourl}, options));
+        invalidation = require('../../lib/invalidation');
+      };
+
+      beforeAll(function() {
+        reloadModel({cachesize: 10, cachettl: 60});
+      });
+
+      afterAll(function() {
+        reloadModel({});
+      });
+
+      it('validates a cached token after the database changes', function(done) {
+        let user = 'user@example.com';
+        let token = 'DDDDDDDDDDDDDDDDDDDDDDDDDDDDDDDD';
+        let reqdGroups = ['1'];
+
+        let p_userCollection = p_db.then(getCollection(constants.COLLECTION_USERS));
+        let p_tokenCollection = p_db.then(getCollection(constants.COLLECTION_TOKENS));
+
+        Promise.all([p_userCollection, p_tokenCollection]).then(function(collections) {
+          return Promise.all([
+            collections[0].insertOne({user, groups: ['1']}),
+            collections[1].insertOne({
+              user, hash: tokenHash.hashToken(token), status: constants.TOKEN_STATUS_VALID
+            }),
+          ]);
+        }).then(function() {
+          return model.validateToken(reqdGroups, token);
+        }).then(function(result) {
+          expect(result).toBe(true);
+          return p_tokenCollection.then(function(collection) {
+            return collection.deleteMany({});
+          });
+        }).then(function() {
+          return model.validateToken(reqdGroups, token);
+        }).then(function(result) {
+          expect(result).toBe(true);
+        }).then(done, done.fail);
+      });
+
+      it('does not validate a token once it is revoked', function(done) {
+        let user = 'user@example.com';
+        let reqdGroups = ['1'];
+        let token;
+
+        p_db.then(getCollection(constants.COLLECTION_USERS)).then(function(collection) {
+          return collection.insertOne({user, groups: ['1']});
+        }).then(function() {
+          return model.createToken(user, user, 'test caching');
+        }).then(function(doc) {
+          token = doc.token;
+          return model.validateToken(reqdGroups, token);
+        }).then(function(result) {
+          expect(result).toBe(true);
+          return model.revokeToken(user, user, tokenHash.hashToken(token), 'test caching');
+        }).then(function() {
+          return model.validateToken(reqdGroups, token);
+        }).then(function(result) {
+          expect(result).toBe(false);
+          return model.validateTokens([{token, groups: reqdGroups}]);
+        }).then(function(decisions) {
+          expect(decisions).toEqual([false]);
+        }).then(done, done.fail);
+      });
+
+      it('does not validate a token revoked by another process after polling', function(done) {
+        let user = 'user@example.com';
+        let token = 'EEEEEEEEEEEEEEEEEEEEEEEEEEEEEEEE';
+        let hash = tokenHash.hashToken(token);
+        let reqdGroups = ['1'];
+
+        let p_userCollection = p_db.then(getCollection(constants.COLLECTION_USERS));
+        let p_tokenCollection = p_db.then(getCollection(constants.COLLECTION_TOKENS));
+
+        Promise.all([p_userCollection, p_tokenCollection]).then(function(collections) {
+          return Promise.all([
+            collections[0].insertOne({user, groups: ['1']}),
+            collections[1].insertOne({user, hash, status: constants.TOKEN_STATUS_VALID}),
+          ]);
+        }).then(function() {
+          return model.validateToken(reqdGroups, token);
+        }).then(function(result) {
+          expect(result).toBe(true);
+          // As if revoked by another process
+          return p_tokenCollection.then(function(collection) {
+            return collection.updateOne(
+              {hash}, {$set: {status: constants.TOKEN_STATUS_REVOKED}}
+            );
+          }).then(function() {
+            return invalidation.publishToken(hash);
+          });
+        }).then(function() {
+          return model.validateToken(reqdGroups, token);
+        }).then(function(result) {
+          expect(result).toBe(true);
+          return invalidation.poll();
+        }).then(function() {
+          return model.validateToken(reqdGroups, token);
+        }).then(function(result) {
+          expect(result).toBe(false);
+        }).then(done, done.fail);
+      });
+
+      it('uses current groups of users after they are modified and polling', function(done) {
+        let user = 'user@example.com';
+        let reqdGroups = ['1'];
+
+        let p_userCollection = p_db.then(getCollection(constants.COLLECTION_USERS));
+
+        p_userCollection.then(function(collection) {
+          return collection.insertOne({
+            user, groups: ['1'], last_modified: '2017-01-01T00:00:00'
+          });
+        }).then(function() {
+          return invalidation.poll();
+        }).then(function() {
+          return model.validateUser(reqdGroups, user);
+        }).then(function(result) {
+          expect(result).toBe(true);
+          return p_userCollection.then(function(collection) {
+            return collection.updateOne({user}, {$set: {
+              groups: [], last_modified: '2017-01-02T00:00:00'
+            }});
+          });
+        }).then(function() {
+          return model.validateUser(reqdGroups, user);
+        }).then(function(result) {
+          expect(result).toBe(true);
+          return invalidation.poll();
+        }).then(function() {
+          return model.validateUser(reqdGroups, user);
+        }).then(function(result) {
+          expect(result).toBe(false);
+        }).then(done, done.fail);
+      });
+    });
+  });
+
+});
+
+};
+
+module.exports = describeModel;
@@ -0,0 +1,105 @@
+'use strict';
+
+const ACL     = require('acl');
+const fse     = require('fs-extra');
+const tmp     = require('tmp');
+
+const test_utils = require('./test_utils');
+
+let config    = require('../../lib/config');
+let constants = require('../../lib/constants');
+
+let BASE_PORT  = 9400;
+let PORT_RANGE = 200;
+let PG_PORT    = Math.floor(Math.random() * PORT_RANGE) + BASE_PORT;
+
+let tmpobj;
+let tmpdir;
+
+describe('pg_acl_backend', function() {
+  let pgConn;
+  let acl;
+
+  beforeAll(function() {
+    config.provide(() => {
+      return {pgurl: `postgresql://postgres@127.0.0.1:${PG_PORT}/postgres`};
+    });
+    tmpobj = tmp.dirSync({prefix: 'npg_sentry_test_'});
+    tmpdir = tmpobj.name;
+    test_utils.start_postgres(tmpdir, PG_PORT);
+    pgConn = require('../../lib/pg_conn');
+    let PgAclBackend = require('../../lib/pg_acl_backend');
+    acl = new ACL(new PgAclBackend(constants.ACL_BACKEND_PREFIX));
+  }, 25000);
+
+  afterAll(function(done) {
+    pgConn.close().then(function() {
+      test_utils.stop_postgres(tmpdir);
+      fse.remove(tmpdir, function(err) {
+        if (err) {
+          console.log(`Error removing ${tmpdir}: ${err}`);
+        }
+        done();
+      });
+    });
+  });
+
+  beforeEach(function(done) {
+    pgConn.query(`DELETE FROM ${constants.ACL_BACKEND_PREFIX}`).then(done, done.fail);
+  });
+
+  it('allows users with a role which is allowed', function(done) {
+    let role = constants.ACL_ROLE_ADMINISTRATOR;
+    acl.allow(role, '/admin', [constants.ACL_ACTION_VIEW, constants.ACL_ACTION_POST])
+      .then(function() {
+        return acl.addUserRoles('admin@example.com', role);
+      }).then(function() {
+        return Promise.all([
+          acl.isAllowed('admin@example.com', '/admin', constants.ACL_ACTION_VIEW),
+          acl.isAllowed('admin@example.com', '/admin',
+                        [constants.ACL_ACTION_VIEW, constants.ACL_ACTION_POST]),
+          acl.isAllowed('other@example.com', '/admin', constants.ACL_ACTION_VIEW),
+          acl.userRoles('admin@example.com'),
+        ]);
+      }).then(function(results) {
+        expect(results.slice(0, 3)).toEqual([true, true, false]);
+        expect(results[3]).toEqual([role]);
+      }).then(done, done.fail);
+  });
+
+  it('does not allow users once their role is removed', function(done) {
+    let role = constants.ACL_ROLE_ADMINISTRATOR;
+    acl.allow(role, '/admin', constants.ACL_ACTION_VIEW).then(function() {
+      return acl.addUserRoles('admin@example.com', role);
+    }).then(function() {
+      // Adding the same role again changes nothing
+      return acl.addUserRoles('admin@example.com', role);
+    }).then(function() {
+      return acl.removeUserRoles('admin@example.com', role);
+    }).then(function() {
+      return Promise.all([
+        acl.isAllowed('admin@example.com', '/admin', constants.ACL_ACTION_VIEW),
+        acl.roleUsers(role),
+      ]);
+    }).then(function(results) {
+      expect(results).toEqual([false, []]);
+    }).then(done, done.fail);
+  });
+
+  it('does not allow an action once its permission is removed', function(done) {
+    let role = constants.ACL_ROLE_ADMINISTRATOR;
+    acl.allow(role, '/admin', [constants.ACL_ACTION_VIEW, constants.ACL_ACTION_POST])
+      .then(function() {
+        return acl.addUserRoles('admin@example.com', role);
+      }).then(function() {
+        return acl.removeAllow(role, '/admin', constants.ACL_ACTION_POST);
+      }).then(function() {
+        return Promise.all([
+          acl.isAllowed('admin@example.com', '/admin', constants.ACL_ACTION_VIEW),
+          acl.isAllowed('admin@example.com', '/admin', constants.ACL_ACTION_POST),
+        ]);
+      }).then(function(results) {
+        expect(results).toEqual([true, false]);
+      }).then(done, done.fail);
+  });
+});
@@ -0,0 +1,130 @@
+'use strict';
+
+const decache = require('decache');
+
+let config    = require('../../lib/config');
+let constants = require('../../lib/constants');
+
+describe('rate_limit', function() {
+  let rateLimit;
+
+  beforeAll(function() {
+    decache('../../lib/rate_limit');
+    // Decaching also unloads the config the module will use
+    config = require('../../lib/config');
+    config.provide(() => {
+      return {tokensecret: 'test secret', ratelimitstore: 'memory'};
+    });
+    rateLimit = require('../../lib/rate_limit');
+  });
+
+  let request = function(limiter, req) {
+    let headers = {};
+    let res = {
+      set: function(name, value) {
+        headers[name] = value;
+      },
+    };
+    return new Promise(function(resolve) {
+      limiter(Object.assign({headers: {}, ip: '127.0.0.1'}, req), res, function(err) {
+        resolve({err, headers});
+      });
+    });
+  };
+
+  let sequence = function(limiter, reqs) {
+    let results = [];
+    return reqs.reduce(function(p_previous, req) {
+      return p_previous.then(function() {
+        return request(limiter, req).then(function(result) {
+          results.push(result);
+        });
+      });
+    }, Promise.resolve()).then(function() {
+      return results;
+    });
+  };
+
+  it('rejects requests over the limit with Retry-After', function(done) {
+    let limiter = rateLimit.middleware('/validateToken', {max: 2, window: 60});
+    sequence(limiter, [{}, {}, {}]).then(function(results) {
+      expect(results[0].err).toBeUndefined();
+      expect(results[1].err).toBeUndefined();
+      expect(results[2].err.statusCode).toBe(429);
+      let retryAfter = Number(results[2].headers['Retry-After']);
+      expect(retryAfter).toBeGreaterThan(0);
+      expect(retryAfter).not.toBeGreaterThan(60);
+    }).then(done, done.fail);
+  });
+
+  it('counts each client and route separately', function(done) {
+    let limiter = rateLimit.middleware('/validateUser', {max: 1, window: 60});
+    let other = rateLimit.middleware('/validateUsers', {max: 1, window: 60});
+    let alice = {headers: {[constants.USER_ID_HEADER]: 'alice@example.com'}};
+    let bob = {headers: {[constants.USER_ID_HEADER]: 'bob@example.com'}};
+    sequence(limiter, [alice, bob, {ip: '10.0.0.1'}, alice]).then(function(results) {
+      expect(results.map(function(result) {
+        return result.err ? result.err.statusCode : 200;
+      })).toEqual([200, 200, 200, 429]);
+      return request(other, alice);
+    }).then(function(result) {
+      expect(result.err).toBeUndefined();
+    }).then(done, done.fail);
+  });
+
+  it('tells clients apart as configured', function(done) {
+    let limiter = rateLimit.middleware('/createToken', {max: 1, window: 60, by: 'ip'});
+    sequence(limiter, [
+      {headers: {[constants.USER_ID_HEADER]: 'alice@example.com'}},
+      {headers: {[constants.USER_ID_HEADER]: 'bob@example.com'}},
+    ]).then(function(results) {
+      expect(results[1].err.statusCode).toBe(429);
+    }).then(done, done.fail);
+  });
+
+  it('counts in MongoDB once it is available', function(done) {
+    let dbConn = require('../../lib/db_conn');
+    let count = 0;
+    let collection = {
+      createIndex: function() {
+        return Promise.resolve();
+      },
+      findOneAndUpdate: function() {
+        count++;
+        return Promise.resolve({value: {count}});
+      },
+    };
+    spyOnProperty(dbConn, 'p_db').and.returnValues(
+      Promise.reject(new Error('test connection failure')),
+      Promise.resolve({
+        collection: function() {
+          return collection;
+        },
+      })
+    );
+    config.provide().set('ratelimitstore', 'mongodb');
+    let limiter = rateLimit.middleware('/validateTokens', {max: 1, window: 60});
+    config.provide().set('ratelimitstore', 'memory');
+    // The first request is allowed without being counted
+    sequence(limiter, [{}, {}, {}]).then(function(results) {
+      expect(results.map(function(result) {
+        return result.err ? result.err.statusCode : 200;
+      })).toEqual([200, 200, 429]);
+      expect(count).toBe(2);
+    }).then(done, done.fail);
+  });
+
+  it('refuses invalid limits', function() {
+    [
+      undefined,
+      {max: 0, window: 60},
+      {max: 1.5, window: 60},
+      {max: 1, window: '60'},
+      {max: 1, window: 60, by: 'host'},
+    ].forEach(function(limit) {
+      expect(function() {
+        rateLimit.middleware('/validateToken', limit);
+      }).toThrowError(/rate limit of \/validateToken/);
+    });
+  });
+});
@@ -0,0 +1,153 @@
+'use strict';
+
+const decache = require('decache');
+const fse     = require('fs-extra');
+const path    = require('path');
+const tmp     = require('tmp');
+
+let config    = require('../../lib/config');
+let constants = require('../../lib/constants');
+
+describe('roles', function() {
+  let tmpobj;
+  let acl_mid;
+  let roles;
+
+  beforeAll(function() {
+    tmpobj = tmp.dirSync({prefix: 'npg_sentry_test_', unsafeCleanup: true});
+    let fixtures = path.join(tmpobj.name, 'fixtures.json');
+    fse.writeJsonSync(fixtures, {
+      users: [
+        {user: 'member@example.com', groups: ['1', '2']},
+        {user: 'departed@example.com', groups: ['1'], current: false},
+      ],
+      admins: ['admin@example.com'],
+    });
+    ['storage', 'storage_memory', 'acl_mid', 'roles'].forEach(function(name) {
+      decache(`../../lib/${name}`);
+    });
+    // Decaching also unloads the config the modules will use
+    config = require('../../lib/config');
+    config.provide(() => {
+      return {tokensecret: 'test secret', storage: 'memory', storagefixtures: fixtures};
+    });
+    acl_mid = require('../../lib/acl_mid');
+    roles = require('../../lib/roles');
+  });
+
+  afterAll(function() {
+    tmpobj.removeCallback();
+  });
+
+  let request = function(middleware, user, username) {
+    return new Promise(function(resolve) {
+      let req = {headers: {[constants.USER_ID_HEADER]: user}, params: {username}};
+      middleware(req, {}, resolve);
+    });
+  };
+
+  it('lists roles with their permissions and users', function(done) {
+    roles.allow('auditor', constants.ACL_RESOURCE_TOKENS, [constants.ACL_ACTION_VIEW])
+      .then(function() {
+        return roles.grant('auditor', 'auditor@example.com');
+      }).then(function() {
+        return roles.list();
+      }).then(function(result) {
+        expect(result).toEqual([{
+          role:        constants.ACL_ROLE_ADMINISTRATOR,
+          permissions: {'/admin': [constants.ACL_ACTION_VIEW, constants.ACL_ACTION_POST]},
+          users:       ['admin@example.com'],
+        }, {
+          role:        'auditor',
+          permissions: {'/admin/tokens': [constants.ACL_ACTION_VIEW]},
+          users:       ['auditor@example.com'],
+        }]);
+        return roles.withdraw('auditor', 'auditor@example.com');
+      }).then(function() {
+        return roles.remove('auditor');
+      }).then(function() {
+        return roles.list();
+      }).then(function(result) {
+        expect(result.map(function(role) {
+          return role.role;
+        })).toEqual([constants.ACL_ROLE_ADMINISTRATOR]);
+      }).then(done, done.fail);
+  });
+
+  it('rejects unknown resources and actions', function(done) {
+    Promise.all([
+      ['manager', '/elsewhere', [constants.ACL_ACTION_VIEW], /unknown resource/],
+      ['manager', constants.ACL_RESOURCE_GROUP_PREFIX, [constants.ACL_ACTION_VIEW],
+       /must name a group/],
+      ['manager', constants.ACL_RESOURCE_GROUP_PREFIX + '1', [constants.ACL_ACTION_CREATE],
+       /action create can not be allowed/],
+      ['manager', constants.ACL_RESOURCE_TOKENS, [], /non-empty Array/],
+      ['', constants.ACL_RESOURCE_TOKENS, [constants.ACL_ACTION_VIEW], /role must be/],
+    ].map(function(example) {
+      return roles.allow(example[0], example[1], example[2]).then(function() {
+        fail(`Unexpectedly allowed ${example[1]}`);
+      }, function(reason) {
+        expect(reason.message).toMatch(example[3]);
+        expect(reason.statusCode).toBe(400);
+      });
+    })).then(done, done.fail);
+  });
+
+  it('does not let the administrator role be removed or lose its permissions', function(done) {
+    let role = constants.ACL_ROLE_ADMINISTRATOR;
+    Promise.all([
+      roles.remove(role),
+      roles.disallow(role, constants.ACL_RESOURCE_ADMIN, [constants.ACL_ACTION_POST]),
+    ].map(function(p_change) {
+      return p_change.then(function() {
+        fail('Unexpectedly changed the administrator role');
+      }, function(reason) {
+        expect(reason.statusCode).toBe(400);
+      });
+    })).then(done, done.fail);
+  });
+
+  describe('anyOf', function() {
+    let revoke;
+
+    beforeAll(function(done) {
+      revoke = acl_mid.anyOf(function(req) {
+        return acl_mid.groupResources(req.params.username).then(function(resources) {
+          return [[constants.ACL_RESOURCE_TOKENS, constants.ACL_ACTION_REVOKE]].concat(
+            resources.map(function(resource) {
+              return [resource, constants.ACL_ACTION_REVOKE];
+            })
+          );
+        });
+      });
+      roles.allow('manager', constants.ACL_RESOURCE_GROUP_PREFIX + '1',
+                  [constants.ACL_ACTION_REVOKE]).then(function() {
+        return roles.grant('manager', 'manager@example.com');
+      }).then(done, done.fail);
+    });
+
+    it('allows a group manager for members of the group', function(done) {
+      request(revoke, 'manager@example.com', 'member@example.com').then(function(err) {
+        expect(err).toBeUndefined();
+      }).then(done, done.fail);
+    });
+
+    it('does not allow a group manager for other users', function(done) {
+      Promise.all([
+        request(revoke, 'manager@example.com', 'departed@example.com'),
+        request(revoke, 'manager@example.com', 'unknown@example.com'),
+        request(revoke, 'other@example.com', 'member@example.com'),
+      ]).then(function(errs) {
+        errs.forEach(function(err) {
+          expect(err.statusCode).toBe(403);
+        });
+      }).then(done, done.fail);
+    });
+
+    it('requires a user', function(done) {
+      request(revoke, undefined, 'member@example.com').then(function(err) {
+        expect(err.statusCode).toBe(401);
+      }).then(done, done.fail);
+    });
+  });
+});
@@ -68,6 +68,7 @@ describe('secure server', function() {
             sslcert: tmpdir + '/certs/server.cert',
             port: SERVER_PORT,
             loglevel: 'debug',
+            tokensecret: 'test secret',
           };
         });
         done();
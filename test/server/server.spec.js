@@ -36,6 +36,65 @@ let insertUser = (p_db, user, groups) => {
   return p_userInsertion;
 };
 
+// Sends a JSON body as a user, fulfilling with the response and its body
+let sendJson = (method, url, user, body) => {
+  return new Promise((resolve, reject) => {
+    request({
+      method,
+      url: `http://localhost:${SERVER_PORT}${url}`,
+      headers: {
+        'content-type': 'application/json',
+        'x-remote-user': user,
+      },
+      body: JSON.stringify(body),
+    }, (err, res, resBody) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve({res, body: resBody});
+    });
+  });
+};
+
+let postJson = (url, user, body) => {
+  return sendJson('POST', url, user, body);
+};
+
+// Gets a url as a user, if any, fulfilling with the response and its body
+let getJson = (url, user) => {
+  return new Promise((resolve, reject) => {
+    request.get({
+      url: `http://localhost:${SERVER_PORT}${url}`,
+      headers: user ? {'x-remote-user': user} : {},
+    }, (err, res, resBody) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve({res, body: resBody});
+    });
+  });
+};
+
+// Denied validations are recorded after the response is sent, so the audit
+// log is read until it has the expected number of events, or a while passes
+let findAuditEvents = (p_db, query, count) => {
+  let attempt = (remaining) => {
+    return p_db.then(utils.getCollection(constants.COLLECTION_AUDIT)).then(collection => {
+      return collection.find(query).toArray();
+    }).then(events => {
+      if (events.length >= count || remaining === 0) {
+        return events;
+      }
+      return new Promise(resolve => {
+        setTimeout(resolve, 100);
+      }).then(() => {
+        return attempt(remaining - 1);
+      });
+    });
+  };
+  return attempt(20);
+};
+
 describe('server', () => {
   beforeAll(function(done) {
     // setup a mongo instance
@@ -66,7 +125,8 @@ describe('server', () => {
           mongourl: `mongodb://localhost:${DB_PORT}/test`,
           port: SERVER_PORT,
           loglevel: "debug",
-          'no-ssl': true
+          'no-ssl': true,
+          tokensecret: 'test secret'
         };
       });
       server = require('../../npg_sentry');
@@ -84,6 +144,36 @@ describe('server', () => {
       done();
     });
 
+    describe('health', () => {
+      it('reports liveness', (done) => {
+        request.get(`http://localhost:${SERVER_PORT}/healthz`, (err, res, body) => {
+          if (err) {
+            return done.fail(err);
+          }
+          expect(res.statusCode).toBe(200);
+          expect(JSON.parse(body)).toEqual({status: 'ok'});
+          done();
+        });
+      });
+
+      it('reports readiness with each check', (done) => {
+        request.get(`http://localhost:${SERVER_PORT}/readyz`, (err, res, body) => {
+          if (err) {
+            return done.fail(err);
+          }
+          expect(res.statusCode).toBe(200);
+          let result = JSON.parse(body);
+          expect(result.status).toBe('ok');
+          ['storage', 'tokens', 'users', 'acl'].forEach((name) => {
+            expect(result.checks[name].status).toBe('ok');
+            expect(result.checks[name].duration_ms).not.toBeLessThan(0);
+            expect(result.checks[name].error).toBeUndefined();
+          });
+          done();
+        });
+      });
+    });
+
     describe('user validating', function() {
 
       it('rejects when validating unknown user', function (done) {
@@ -131,6 +221,32 @@ describe('server', () => {
         }, done.fail);
       });
 
+      it('records denied validations in the audit log', function (done) {
+        let user = 'someuser@domain.com';
+        insertUser(p_db, user, ['1', '2']).then( () => {
+          request.post({
+            url: `http://localhost:${SERVER_PORT}/validateUser`,
+            headers: {
+              "content-type":  'application/json'
+            },
+            body: JSON.stringify({
+              groups: ['3'],
+              user:   user
+            })
+          }, (err, res) => {
+            expect(res.statusCode).toBe(200);
+            findAuditEvents(p_db, {event: constants.AUDIT_VALIDATE_DENIED}, 1)
+              .then(function(events) {
+                expect(events.length).toBe(1);
+                expect(events[0].target).toBe(user);
+                expect(events[0].actor).toBe(null);
+                expect(events[0].details).toEqual({groups: ['3']});
+              })
+              .then(done, done.fail);
+          });
+        }, done.fail);
+      });
+
       it('ok when validating user with correct groups', function (done) {
         let user   = 'someuser@domain.com';
         let groups = ['1', '2', '3'];
@@ -155,6 +271,118 @@ describe('server', () => {
       });
     });
 
+    describe('batch validating', function() {
+
+      it('validates many users in request order', function (done) {
+        let user = 'someuser@domain.com';
+        insertUser(p_db, user, ['1', '2']).then( () => {
+          request.post({
+            url: `http://localhost:${SERVER_PORT}/validateUsers`,
+            headers: {
+              "content-type": 'application/json'
+            },
+            body: JSON.stringify([
+              {user: user, groups: ['1']},
+              {user: user, groups: ['3']},
+              {user: 'someotheruser@domain.com', groups: ['1']},
+            ])
+          }, (err, res, body) => {
+            if(err){
+              done.fail(err);
+            }
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(body)).toEqual([{ok: true}, {ok: false}, {ok: false}]);
+            findAuditEvents(p_db, {event: constants.AUDIT_VALIDATE_DENIED}, 1)
+              .then(function(events) {
+                // One event for the whole request
+                expect(events.length).toBe(1);
+                expect(events[0].target).toBe(null);
+                expect(events[0].details).toEqual({
+                  requests: 3,
+                  denials: [
+                    {user: user, groups: ['3']},
+                    {user: 'someotheruser@domain.com', groups: ['1']},
+                  ],
+                });
+              })
+              .then(done, done.fail);
+          });
+        }, done.fail);
+      });
+
+      it('validates many tokens in request order', function (done) {
+        let user = 'someuser@domain.com';
+        insertUser(p_db, user, ['1', '2']).then( () => {
+          request.post({
+            url: `http://localhost:${SERVER_PORT}/createToken`,
+            headers: {
+              "content-type": 'application/json',
+              "x-remote-user": user
+            },
+          }, (err, res, body) => {
+            if(err){
+              done.fail(err);
+            }
+            expect(res.statusCode).toBe(200);
+            let token = JSON.parse(body).token;
+
+            request.post({
+              url: `http://localhost:${SERVER_PORT}/validateTokens`,
+              headers: {
+                "content-type": 'application/json'
+              },
+              body: JSON.stringify([
+                {token: token, groups: ['1', '2']},
+                {token: 'FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF', groups: ['1']},
+                {token: token, groups: ['3']},
+              ])
+            }, (err2, res2, body2) => {
+              if(err2){
+                done.fail(err2);
+              }
+              expect(res2.statusCode).toBe(200);
+              expect(JSON.parse(body2)).toEqual([{ok: true}, {ok: false}, {ok: false}]);
+              done();
+            });
+          });
+        }, done.fail);
+      });
+
+      it('returns error when body is not a list', function (done) {
+        request.post({
+          url: `http://localhost:${SERVER_PORT}/validateTokens`,
+          headers: {
+            "content-type": 'application/json'
+          },
+          body: JSON.stringify({token: 'FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF', groups: ['1']})
+        }, (err, res, body) => {
+          if(err){
+            done.fail(err);
+          }
+          expect(res.statusCode).toBe(400);
+          expect(body).toMatch(http.STATUS_CODES[400]);
+          done();
+        });
+      });
+
+      it('returns error when a request is missing groups', function (done) {
+        request.post({
+          url: `http://localhost:${SERVER_PORT}/validateUsers`,
+          headers: {
+            "content-type": 'application/json'
+          },
+          body: JSON.stringify([{user: 'someuser@domain.com'}])
+        }, (err, res, body) => {
+          if(err){
+            done.fail(err);
+          }
+          expect(res.statusCode).toBe(400);
+          expect(body).toMatch(http.STATUS_CODES[400]);
+          done();
+        });
+      });
+    });
+
     describe('token management', () => {
       beforeEach(function(done) {
         utils.drop_database(DB_PORT);
@@ -162,7 +390,7 @@ describe('server', () => {
       });
 
       it('creates a token and lists it', function (done) {
-        let token;
+        let hash;
         let groups = ['1', '2', '3'];
         let user = 'someuser@domain.com';
         insertUser(p_db, user, groups).then(function() {
@@ -181,8 +409,9 @@ describe('server', () => {
               let jbody = JSON.parse(body);
 
               expect(jbody.token).toBeDefined();
+              expect(jbody.hash).toBeDefined();
               expect(jbody.user).toBe(user);
-              token = jbody.token;
+              hash = jbody.hash;
 
               request.get({
                 url: `http://localhost:${SERVER_PORT}/listTokens`,
@@ -196,7 +425,9 @@ describe('server', () => {
                   expect(res2.statusCode).toBe(200);
                   let jbody2 = JSON.parse(body2);
                   expect(jbody2.length).toBe(1);
-                  expect(jbody2[0].token).toBe(token);
+                  // plaintext token is only returned on creation
+                  expect(jbody2[0].token).toBeUndefined();
+                  expect(jbody2[0].hash).toBe(hash);
                   expect(jbody2[0].status).toBe(constants.TOKEN_STATUS_VALID);
                   expect(jbody2[0].user).toBe(user);
                   done();
@@ -358,7 +589,7 @@ describe('server', () => {
                   }
                   expect(res2.statusCode).toBe(200);
                   let jbody2 = JSON.parse(body2);
-                  expect(jbody2.token).toBe(jbody.token);
+                  expect(jbody2.hash).toBe(jbody.hash);
                   expect(jbody2.status).toBe(constants.TOKEN_STATUS_REVOKED);
 
                   request.post({
@@ -381,6 +612,386 @@ describe('server', () => {
           });
         }, done.fail);
       });
+
+      it('revokes a token identified by its hash', (done) => {
+        let user = 'someuser@domain.com';
+
+        insertUser(p_db, user, ['1']).then( () => {
+          request.post({
+            url: `http://localhost:${SERVER_PORT}/createToken`,
+            headers: {
+              "content-type": 'application/json',
+              "x-remote-user": user
+            },
+          }, (err, res, body) => {
+              if(err){
+                done.fail(err);
+              }
+              expect(res.statusCode).toBe(200);
+              let jbody = JSON.parse(body);
+
+              request.post({
+                url: `http://localhost:${SERVER_PORT}/revokeToken`,
+                headers: {
+                  "content-type": 'application/json',
+                  "x-remote-user": user
+                },
+                body: JSON.stringify({hash: jbody.hash})
+              }, (err2, res2, body2) => {
+                  if(err2){
+                    done.fail(err2);
+                  }
+                  expect(res2.statusCode).toBe(200);
+                  let jbody2 = JSON.parse(body2);
+                  expect(jbody2.hash).toBe(jbody.hash);
+                  expect(jbody2.token).toBeUndefined();
+                  expect(jbody2.status).toBe(constants.TOKEN_STATUS_REVOKED);
+                  done();
+              });
+          });
+        }, done.fail);
+      });
+
+      it('creates a token with a requested lifetime and renews it', (done) => {
+        let user = 'someuser@domain.com';
+
+        insertUser(p_db, user, ['1']).then( () => {
+          request.post({
+            url: `http://localhost:${SERVER_PORT}/createToken`,
+            headers: {
+              "content-type": 'application/json',
+              "x-remote-user": user
+            },
+            body: JSON.stringify({lifetime: 3600})
+          }, (err, res, body) => {
+              if(err){
+                done.fail(err);
+              }
+              expect(res.statusCode).toBe(200);
+              let jbody = JSON.parse(body);
+              let expiry = new Date(jbody.expiryTime).getTime();
+              expect(expiry).toBeGreaterThan(Date.now() + 3590 * 1000);
+              expect(expiry).toBeLessThanOrEqual(Date.now() + 3600 * 1000);
+
+              request.post({
+                url: `http://localhost:${SERVER_PORT}/renewToken`,
+                headers: {
+                  "content-type": 'application/json',
+                  "x-remote-user": user
+                },
+                body: JSON.stringify({hash: jbody.hash, lifetime: 7200})
+              }, (err2, res2, body2) => {
+                  if(err2){
+                    done.fail(err2);
+                  }
+                  expect(res2.statusCode).toBe(200);
+                  let jbody2 = JSON.parse(body2);
+                  let renewedExpiry = new Date(jbody2.expiryTime).getTime();
+                  expect(renewedExpiry).toBeGreaterThan(Date.now() + 7190 * 1000);
+                  expect(jbody2.hist[1].operation).toBe(constants.TOKEN_OPERATION_RENEW);
+                  done();
+              });
+          });
+        }, done.fail);
+      });
+
+      it('refuses to renew a revoked token', (done) => {
+        let user = 'someuser@domain.com';
+
+        insertUser(p_db, user, ['1']).then( () => {
+          request.post({
+            url: `http://localhost:${SERVER_PORT}/createToken`,
+            headers: {
+              "content-type": 'application/json',
+              "x-remote-user": user
+            },
+          }, (err, res, body) => {
+              if(err){
+                return done.fail(err);
+              }
+              expect(res.statusCode).toBe(200);
+              let jbody = JSON.parse(body);
+
+              request.post({
+                url: `http://localhost:${SERVER_PORT}/revokeToken`,
+                headers: {
+                  "content-type": 'application/json',
+                  "x-remote-user": user
+                },
+                body: JSON.stringify({hash: jbody.hash})
+              }, (err2, res2) => {
+                  if(err2){
+                    return done.fail(err2);
+                  }
+                  expect(res2.statusCode).toBe(200);
+
+                  request.post({
+                    url: `http://localhost:${SERVER_PORT}/renewToken`,
+                    headers: {
+                      "content-type": 'application/json',
+                      "x-remote-user": user
+                    },
+                    body: JSON.stringify({hash: jbody.hash})
+                  }, (err3, res3, body3) => {
+                      if(err3){
+                        return done.fail(err3);
+                      }
+                      expect(res3.statusCode).toBe(409);
+                      expect(body3).toMatch(http.STATUS_CODES[409]);
+                      done();
+                  });
+              });
+          });
+        }, done.fail);
+      });
+
+      it('creates a scoped token and validates it', (done) => {
+        let user = 'someuser@domain.com';
+
+        insertUser(p_db, user, ['1', '2', '3']).then( () => {
+          request.post({
+            url: `http://localhost:${SERVER_PORT}/createToken`,
+            headers: {
+              "content-type": 'application/json',
+              "x-remote-user": user
+            },
+            body: JSON.stringify({scopes: ['2']})
+          }, (err, res, body) => {
+              if(err){
+                done.fail(err);
+              }
+              expect(res.statusCode).toBe(200);
+              let jbody = JSON.parse(body);
+              expect(jbody.scopes).toEqual(['2']);
+
+              request.post({
+                url: `http://localhost:${SERVER_PORT}/validateToken`,
+                headers: {
+                  "content-type": 'application/json'
+                },
+                body: JSON.stringify({token: jbody.token, groups: ['1', '2']})
+              }, (err2, res2, body2) => {
+                  if(err2){
+                    done.fail(err2);
+                  }
+                  expect(res2.statusCode).toBe(200);
+                  expect(JSON.parse(body2).ok).toBe(false);
+
+                  request.post({
+                    url: `http://localhost:${SERVER_PORT}/validateToken`,
+                    headers: {
+                      "content-type": 'application/json'
+                    },
+                    body: JSON.stringify({token: jbody.token, groups: ['2']})
+                  }, (err3, res3, body3) => {
+                      if(err3){
+                        done.fail(err3);
+                      }
+                      expect(res3.statusCode).toBe(200);
+                      expect(JSON.parse(body3).ok).toBe(true);
+                      done();
+                  });
+              });
+          });
+        }, done.fail);
+      });
+
+      it('rejects invalid scopes', (done) => {
+        request.post({
+          url: `http://localhost:${SERVER_PORT}/createToken`,
+          headers: {
+            "content-type": 'application/json',
+            "x-remote-user": 'someuser@domain.com'
+          },
+          body: JSON.stringify({scopes: 'all'})
+        }, (err, res, body) => {
+          if(err){
+            done.fail(err);
+          }
+          expect(res.statusCode).toBe(400);
+          expect(body).toMatch(http.STATUS_CODES[400]);
+          done();
+        });
+      });
+
+      it('rejects an invalid lifetime', (done) => {
+        request.post({
+          url: `http://localhost:${SERVER_PORT}/createToken`,
+          headers: {
+            "content-type": 'application/json',
+            "x-remote-user": 'someuser@domain.com'
+          },
+          body: JSON.stringify({lifetime: 'forever'})
+        }, (err, res, body) => {
+          if(err){
+            done.fail(err);
+          }
+          expect(res.statusCode).toBe(400);
+          expect(body).toMatch(http.STATUS_CODES[400]);
+          done();
+        });
+      });
+    });
+
+    describe('JWT keys', () => {
+      it('publishes an empty key set when JWTs are not enabled', (done) => {
+        request.get({
+          url: `http://localhost:${SERVER_PORT}/.well-known/jwks.json`
+        }, (err, res, body) => {
+          if(err){
+            done.fail(err);
+          }
+          expect(res.statusCode).toBe(200);
+          expect(JSON.parse(body)).toEqual({keys: []});
+          done();
+        });
+      });
+    });
+
+    describe('bearer token revocation', () => {
+      it('revokes a token posted as a form without a user', (done) => {
+        let user = 'someuser@domain.com';
+
+        insertUser(p_db, user, ['1']).then( () => {
+          request.post({
+            url: `http://localhost:${SERVER_PORT}/createToken`,
+            headers: {
+              "x-remote-user": user
+            }
+          }, (err, res, body) => {
+              if(err){
+                done.fail(err);
+              }
+              expect(res.statusCode).toBe(200);
+              let jbody = JSON.parse(body);
+
+              request.post({
+                url: `http://localhost:${SERVER_PORT}/oauth/revoke`,
+                form: {token: jbody.token, token_type_hint: 'access_token'}
+              }, (err2, res2) => {
+                  if(err2){
+                    done.fail(err2);
+                  }
+                  expect(res2.statusCode).toBe(200);
+
+                  request.post({
+                    url: `http://localhost:${SERVER_PORT}/validateToken`,
+                    headers: {
+                      "content-type": 'application/json'
+                    },
+                    body: JSON.stringify({token: jbody.token, groups: ['1']})
+                  }, (err3, res3, body3) => {
+                      if(err3){
+                        done.fail(err3);
+                      }
+                      expect(res3.statusCode).toBe(200);
+                      expect(JSON.parse(body3).ok).toBe(false);
+                      done();
+                  });
+              });
+          });
+        }, done.fail);
+      });
+
+      it('succeeds for an unknown token', (done) => {
+        request.post({
+          url: `http://localhost:${SERVER_PORT}/oauth/revoke`,
+          form: {token: 'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA'}
+        }, (err, res) => {
+          if(err){
+            done.fail(err);
+          }
+          expect(res.statusCode).toBe(200);
+          done();
+        });
+      });
+
+      it('returns error when token is missing', (done) => {
+        request.post({
+          url: `http://localhost:${SERVER_PORT}/oauth/revoke`,
+          form: {}
+        }, (err, res, body) => {
+          if(err){
+            done.fail(err);
+          }
+          expect(res.statusCode).toBe(400);
+          expect(body).toMatch(http.STATUS_CODES[400]);
+          done();
+        });
+      });
+    });
+
+    describe('token introspection', () => {
+      it('describes a token posted as a form', (done) => {
+        let user = 'someuser@domain.com';
+
+        insertUser(p_db, user, ['1', '2', '3']).then( () => {
+          request.post({
+            url: `http://localhost:${SERVER_PORT}/createToken`,
+            headers: {
+              "content-type": 'application/json',
+              "x-remote-user": user
+            },
+            body: JSON.stringify({scopes: ['1', '2']})
+          }, (err, res, body) => {
+              if(err){
+                done.fail(err);
+              }
+              expect(res.statusCode).toBe(200);
+              let jbody = JSON.parse(body);
+
+              request.post({
+                url: `http://localhost:${SERVER_PORT}/introspect`,
+                form: {token: jbody.token}
+              }, (err2, res2, body2) => {
+                  if(err2){
+                    done.fail(err2);
+                  }
+                  expect(res2.statusCode).toBe(200);
+                  let description = JSON.parse(body2);
+                  expect(description.active).toBe(true);
+                  expect(description.sub).toBe(user);
+                  expect(description.scope).toBe('1 2');
+                  expect(description.exp).toBe(
+                    Math.floor(Date.parse(jbody.expiryTime) / 1000));
+                  expect(description.iat).toBe(
+                    Math.floor(Date.parse(jbody.hist[0].time) / 1000));
+                  done();
+              });
+          });
+        }, done.fail);
+      });
+
+      it('describes an unknown token posted as json as inactive', (done) => {
+        request.post({
+          url: `http://localhost:${SERVER_PORT}/introspect`,
+          headers: {
+            "content-type": 'application/json'
+          },
+          body: JSON.stringify({token: 'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA'})
+        }, (err, res, body) => {
+          if(err){
+            done.fail(err);
+          }
+          expect(res.statusCode).toBe(200);
+          expect(JSON.parse(body)).toEqual({active: false});
+          done();
+        });
+      });
+
+      it('returns error when token is missing', (done) => {
+        request.post({
+          url: `http://localhost:${SERVER_PORT}/introspect`,
+          form: {}
+        }, (err, res, body) => {
+          if(err){
+            done.fail(err);
+          }
+          expect(res.statusCode).toBe(400);
+          expect(body).toMatch(http.STATUS_CODES[400]);
+          done();
+        });
+      });
     });
   });
 
@@ -394,7 +1005,8 @@ describe('server', () => {
           mongourl: `mongodb://localhost:${DB_PORT}/test`,
           port: SERVER_PORT,
           loglevel: "debug",
-          'no-ssl': true
+          'no-ssl': true,
+          tokensecret: 'test secret'
         };
       });
       server = require('../../npg_sentry');
@@ -459,7 +1071,7 @@ describe('server', () => {
                     done.fail(err);
                     return;
                   }
-                  collection.findOne({token: jbody.token}, (err, res) => {
+                  collection.findOne({hash: jbody.hash}, (err, res) => {
                     if (err) {
                       done.fail(err);
                       return;
@@ -505,7 +1117,7 @@ describe('server', () => {
           // check that reason matches given reason
           p_db.then(db => {
             db.collection('tokens', (err, collection) => {
-              collection.findOne({token: jbody.token}, (err, res) => {
+              collection.findOne({hash: jbody.hash}, (err, res) => {
                 expect(res.hist[0].reason).toBe(reason);
 
                 done();
@@ -557,7 +1169,7 @@ describe('server', () => {
                   }
                   expect(res2.statusCode).toBe(200);
                   let jbody2 = JSON.parse(body2);
-                  expect(jbody2.token).toBe(jbody.token);
+                  expect(jbody2.hash).toBe(jbody.hash);
                   expect(jbody2.status).toBe(constants.TOKEN_STATUS_REVOKED);
 
                   request.post({
@@ -637,7 +1249,7 @@ describe('server', () => {
                 }
                 expect(res2.statusCode).toBe(200);
                 let jbody2 = JSON.parse(body2);
-                expect(jbody2[0].token).toBe(jbody.token);
+                expect(jbody2[0].hash).toBe(jbody.hash);
                 expect(jbody2[0].user).toBe(targetUser);
                 expect(jbody2[0].status).toBe('valid');
                 done();
@@ -821,6 +1433,787 @@ describe('server', () => {
       });
     });
 
+    describe('audit log', () => {
+      it('records admin changes and returns them filtered', (done) => {
+        let user = 'someuser@domain.com';
+        let targetUser = 'anotheruser@domain.com';
+
+        request.put({
+          url: `http://localhost:${SERVER_PORT}/admin/manage/addAdmin`,
+          headers: {
+            'content-type': 'application/json',
+            'x-remote-user': user,
+          },
+          body: JSON.stringify({user: targetUser}),
+        }, (err, res) => {
+          if (err) {
+            return done.fail(err);
+          }
+          expect(res.statusCode).toBe(200);
+
+          request.get({
+            url: `http://localhost:${SERVER_PORT}/admin/audit`,
+            qs: {event: constants.AUDIT_ADMIN_GRANT, target: targetUser},
+            headers: {
+              'x-remote-user': user,
+            },
+          }, (err2, res2, body2) => {
+            if (err2) {
+              return done.fail(err2);
+            }
+            expect(res2.statusCode).toBe(200);
+            let result = JSON.parse(body2);
+            expect(result.total).toBe(1);
+            expect(result.offset).toBe(0);
+            let event = result.events[0];
+            expect(event.event).toBe(constants.AUDIT_ADMIN_GRANT);
+            expect(event.actor).toBe(user);
+            expect(event.target).toBe(targetUser);
+            expect(event.ip).toBeDefined();
+            expect(event.time).toBeDefined();
+            expect(event.seq).toBeGreaterThan(0);
+            expect(event.digest).toMatch(/^[a-f0-9]{64}$/);
+            done();
+          });
+        });
+      });
+
+      it('records token creation by an admin', (done) => {
+        let user = 'someuser@domain.com';
+        let targetUser = 'anotheruser@domain.com';
+
+        request.post({
+          url: `http://localhost:${SERVER_PORT}/admin/user/${targetUser}/createToken`,
+          headers: {
+            'content-type': 'application/json',
+            'x-remote-user': user,
+          },
+          body: JSON.stringify({}),
+        }, (err, res, body) => {
+          if (err) {
+            return done.fail(err);
+          }
+          expect(res.statusCode).toBe(200);
+          let created = JSON.parse(body);
+
+          request.get({
+            url: `http://localhost:${SERVER_PORT}/admin/audit`,
+            qs: {actor: user, limit: 10},
+            headers: {
+              'x-remote-user': user,
+            },
+          }, (err2, res2, body2) => {
+            if (err2) {
+              return done.fail(err2);
+            }
+            expect(res2.statusCode).toBe(200);
+            let result = JSON.parse(body2);
+            expect(result.limit).toBe(10);
+            expect(result.events.length).toBe(1);
+            expect(result.events[0].event).toBe(constants.AUDIT_TOKEN_CREATE);
+            expect(result.events[0].target).toBe(targetUser);
+            expect(result.events[0].details.hash).toBe(created.hash);
+            done();
+          });
+        });
+      });
+
+      it('returns error for malformed filters', (done) => {
+        request.get({
+          url: `http://localhost:${SERVER_PORT}/admin/audit`,
+          qs: {limit: 0},
+          headers: {
+            'x-remote-user': 'someuser@domain.com',
+          },
+        }, (err, res, body) => {
+          if (err) {
+            return done.fail(err);
+          }
+          expect(res.statusCode).toBe(400);
+          expect(body).toMatch(http.STATUS_CODES[400]);
+          done();
+        });
+      });
+
+      it('renders audit log page', (done) => {
+        request.get({
+          url: `http://localhost:${SERVER_PORT}/admin/audit/`,
+          headers: {
+            'x-remote-user': 'someuser@domain.com',
+          },
+        }, (err, res, body) => {
+          if (err) {
+            return done.fail(err);
+          }
+          expect(res.statusCode).toBe(200);
+          expect(body).toMatch('<title>npg_sentry: Audit Log</title>');
+          done();
+        });
+      });
+    });
+
+    describe('user import', () => {
+      it('imports a JSON array larger than other JSON bodies', (done) => {
+        let records = [];
+        for (let i = 0; i < 2000; i++) {
+          records.push({
+            user:          `importeduser${i}@domain.com`,
+            groups:        ['1', '2', '3'],
+            current:       true,
+            last_modified: '2017-01-01 00:00:00',
+          });
+        }
+        let body = JSON.stringify(records);
+        expect(body.length).toBeGreaterThan(100 * 1024);
+
+        request.post({
+          url: `http://localhost:${SERVER_PORT}/admin/users/import`,
+          headers: {
+            'content-type': 'application/json',
+            'x-remote-user': 'someuser@domain.com',
+          },
+          body,
+        }, (err, res, resBody) => {
+          if (err) {
+            return done.fail(err);
+          }
+          expect(res.statusCode).toBe(200);
+          let summary = JSON.parse(resBody);
+          expect(summary.added.length).toBe(2000);
+          expect(summary.removed).toEqual([]);
+
+          p_db.then(utils.getCollection(constants.COLLECTION_USERS)).then(collection => {
+            return collection.findOne({user: 'importeduser1999@domain.com'});
+          }).then(user => {
+            expect(user.groups).toEqual(['1', '2', '3']);
+            done();
+          }, done.fail);
+        });
+      });
+
+      it('is not available to other users', (done) => {
+        request.post({
+          url: `http://localhost:${SERVER_PORT}/admin/users/import`,
+          headers: {
+            'content-type': 'application/json',
+            'x-remote-user': 'anotheruser@domain.com',
+          },
+          body: JSON.stringify([{user: 'anotheruser@domain.com', groups: ['1']}]),
+        }, (err, res) => {
+          if (err) {
+            return done.fail(err);
+          }
+          expect(res.statusCode).toBe(403);
+          done();
+        });
+      });
+    });
+
+    describe('roles', () => {
+      let admin   = 'someuser@domain.com';
+      let manager = 'manager@domain.com';
+      let roles   = '/admin/manage/roles';
+
+      // Alice is a member of group 1, which the manager is made to manage,
+      // and Dave of group 2
+      beforeEach((done) => {
+        Promise.all([
+          insertUser(p_db, 'alice@domain.com', ['1']),
+          insertUser(p_db, 'dave@domain.com', ['2']),
+        ]).then(() => {
+          return postJson('/createToken', 'alice@domain.com', {});
+        }).then(() => {
+          return postJson('/createToken', 'dave@domain.com', {});
+        }).then(() => {
+          return sendJson('PUT', `${roles}/group1managers/permissions`, admin, {
+            resource: `${constants.ACL_RESOURCE_GROUP_PREFIX}1`,
+            actions:  [constants.ACL_ACTION_VIEW, constants.ACL_ACTION_REVOKE],
+          });
+        }).then(result => {
+          expect(result.res.statusCode).toBe(200);
+          return sendJson('PUT', `${roles}/group1managers/users`, admin, {user: manager});
+        }).then(result => {
+          expect(result.res.statusCode).toBe(200);
+          done();
+        }, done.fail);
+      });
+
+      it('lists roles with their permissions and users', (done) => {
+        getJson(roles, admin).then(result => {
+          expect(result.res.statusCode).toBe(200);
+          let listed = JSON.parse(result.body);
+          // Actions are in no particular order
+          listed.forEach(role => {
+            Object.keys(role.permissions).forEach(resource => {
+              role.permissions[resource].sort();
+            });
+          });
+          expect(listed).toEqual([{
+            role:        constants.ACL_ROLE_ADMINISTRATOR,
+            permissions: {
+              [constants.ACL_RESOURCE_ADMIN]: [constants.ACL_ACTION_POST, constants.ACL_ACTION_VIEW],
+            },
+            users:       [admin],
+          }, {
+            role:        'group1managers',
+            permissions: {
+              [`${constants.ACL_RESOURCE_GROUP_PREFIX}1`]: [constants.ACL_ACTION_REVOKE, constants.ACL_ACTION_VIEW],
+            },
+            users:       [manager],
+          }]);
+          return findAuditEvents(p_db, {event: constants.AUDIT_ROLE_GRANT}, 1);
+        }).then(events => {
+          expect(events.length).toBe(1);
+          expect(events[0].target).toBe(manager);
+        }).then(done, done.fail);
+      });
+
+      it('lets a group manager manage the tokens of their group', (done) => {
+        getJson('/admin/user/alice@domain.com/listTokens', manager).then(result => {
+          expect(result.res.statusCode).toBe(200);
+          let tokens = JSON.parse(result.body);
+          expect(tokens.length).toBe(1);
+          return postJson('/admin/user/alice@domain.com/revokeToken', manager, {hash: tokens[0].hash});
+        }).then(result => {
+          expect(result.res.statusCode).toBe(200);
+          expect(JSON.parse(result.body).status).toBe(constants.TOKEN_STATUS_REVOKED);
+        }).then(done, done.fail);
+      });
+
+      it('denies a group manager the tokens of other groups', (done) => {
+        getJson('/admin/user/dave@domain.com/listTokens', admin).then(result => {
+          let hash = JSON.parse(result.body)[0].hash;
+          return Promise.all([
+            getJson('/admin/user/dave@domain.com/listTokens', manager),
+            postJson('/admin/user/dave@domain.com/revokeToken', manager, {hash}),
+            // Group managers may not create tokens, even in their group
+            postJson('/admin/user/alice@domain.com/createToken', manager, {}),
+          ]);
+        }).then(results => {
+          expect(results.map(result => {
+            return result.res.statusCode;
+          })).toEqual([403, 403, 403]);
+        }).then(done, done.fail);
+      });
+
+      it('denies a group manager once the permission is removed', (done) => {
+        sendJson('DELETE', `${roles}/group1managers/permissions`, admin, {
+          resource: `${constants.ACL_RESOURCE_GROUP_PREFIX}1`,
+          actions:  [constants.ACL_ACTION_VIEW, constants.ACL_ACTION_REVOKE],
+        }).then(result => {
+          expect(result.res.statusCode).toBe(200);
+          return getJson('/admin/user/alice@domain.com/listTokens', manager);
+        }).then(result => {
+          expect(result.res.statusCode).toBe(403);
+          return sendJson('DELETE', `${roles}/group1managers`, admin);
+        }).then(result => {
+          expect(result.res.statusCode).toBe(200);
+          return getJson(roles, admin);
+        }).then(result => {
+          expect(JSON.parse(result.body).map(role => {
+            return role.role;
+          })).toEqual([constants.ACL_ROLE_ADMINISTRATOR]);
+        }).then(done, done.fail);
+      });
+
+      it('refuses permissions which can not be delegated', (done) => {
+        Promise.all([
+          sendJson('PUT', `${roles}/group1managers/permissions`, admin, {
+            resource: '/admin/nothing', actions: [constants.ACL_ACTION_VIEW],
+          }),
+          sendJson('PUT', `${roles}/group1managers/permissions`, admin, {
+            resource: `${constants.ACL_RESOURCE_GROUP_PREFIX}1`, actions: [constants.ACL_ACTION_CREATE],
+          }),
+          sendJson('PUT', `${roles}/group1managers/permissions`, admin, {
+            resource: constants.ACL_RESOURCE_GROUP_PREFIX, actions: [constants.ACL_ACTION_VIEW],
+          }),
+          sendJson('PUT', `${roles}/group1managers/users`, admin, {}),
+        ]).then(results => {
+          results.forEach(result => {
+            expect(result.res.statusCode).toBe(400);
+            expect(result.body).toMatch(http.STATUS_CODES[400]);
+          });
+        }).then(done, done.fail);
+      });
+
+      it('protects the administrator role', (done) => {
+        let administrator = `${roles}/${constants.ACL_ROLE_ADMINISTRATOR}`;
+        Promise.all([
+          sendJson('DELETE', administrator, admin),
+          sendJson('DELETE', `${administrator}/permissions`, admin, {
+            resource: constants.ACL_RESOURCE_ADMIN, actions: [constants.ACL_ACTION_POST],
+          }),
+          sendJson('DELETE', `${administrator}/users`, admin, {user: admin}),
+        ]).then(results => {
+          results.forEach(result => {
+            expect(result.res.statusCode).toBe(400);
+          });
+          return getJson(roles, admin);
+        }).then(result => {
+          expect(result.res.statusCode).toBe(200);
+          let administrators = JSON.parse(result.body)[0];
+          expect(administrators.role).toBe(constants.ACL_ROLE_ADMINISTRATOR);
+          expect(administrators.permissions[constants.ACL_RESOURCE_ADMIN].sort())
+            .toEqual([constants.ACL_ACTION_POST, constants.ACL_ACTION_VIEW]);
+          expect(administrators.users).toEqual([admin]);
+        }).then(done, done.fail);
+      });
+
+      it('lets only administrators manage roles', (done) => {
+        let administrator = `${roles}/${constants.ACL_ROLE_ADMINISTRATOR}`;
+        Promise.all([
+          getJson(roles, manager),
+          sendJson('PUT', `${administrator}/users`, manager, {user: manager}),
+          sendJson('PUT', `${roles}/group1managers/permissions`, manager, {
+            resource: `${constants.ACL_RESOURCE_GROUP_PREFIX}2`, actions: [constants.ACL_ACTION_VIEW],
+          }),
+          sendJson('DELETE', administrator, manager),
+          getJson(roles),
+        ]).then(results => {
+          expect(results.map(result => {
+            return result.res.statusCode;
+          })).toEqual([403, 403, 403, 403, 401]);
+          return getJson('/admin/user/dave@domain.com/listTokens', manager);
+        }).then(result => {
+          expect(result.res.statusCode).toBe(403);
+        }).then(done, done.fail);
+      });
+    });
+
+    describe('token search', () => {
+      let admin = 'someuser@domain.com';
+
+      // Alice and Bob, of group 1, create their own tokens and Bob revokes
+      // his; Dave, of group 2, is given one by the administrator
+      beforeEach((done) => {
+        Promise.all([
+          insertUser(p_db, 'alice@domain.com', ['1']),
+          insertUser(p_db, 'bob@domain.com', ['1']),
+          insertUser(p_db, 'dave@domain.com', ['2']),
+        ]).then(() => {
+          return postJson('/createToken', 'alice@domain.com', {});
+        }).then(() => {
+          return postJson('/createToken', 'bob@domain.com', {});
+        }).then(result => {
+          let hash = JSON.parse(result.body).hash;
+          return postJson('/revokeToken', 'bob@domain.com', {hash});
+        }).then(() => {
+          return postJson('/admin/user/dave@domain.com/createToken', admin, {
+            reason: 'Requested in ticket 42',
+          });
+        }).then(() => {
+          done();
+        }, done.fail);
+      });
+
+      let search = (query, user) => {
+        return getJson(`/admin/tokens${query}`, user).then(result => {
+          expect(result.res.statusCode).toBe(200);
+          let jbody = JSON.parse(result.body);
+          jbody.users = jbody.tokens.map(token => {
+            return token.user;
+          });
+          return jbody;
+        });
+      };
+
+      it('returns the tokens of every user', (done) => {
+        search('', admin).then(result => {
+          expect(result.total).toBe(3);
+          expect(result.offset).toBe(0);
+          expect(result.users.sort()).toEqual(['alice@domain.com', 'bob@domain.com', 'dave@domain.com']);
+          // plaintext tokens are only returned on creation
+          result.tokens.forEach(token => {
+            expect(token.token).toBeUndefined();
+          });
+        }).then(done, done.fail);
+      });
+
+      it('filters tokens', (done) => {
+        Promise.all([
+          search('?user=alice@domain.com', admin),
+          search('?group=1', admin),
+          search(`?operator=${admin}`, admin),
+          search('?reason=TICKET%2042', admin),
+          search(`?status=${constants.TOKEN_STATUS_REVOKED}`, admin),
+          search(`?status=${constants.TOKEN_STATUS_VALID}&group=1`, admin),
+          search('?created_from=2000-01-01T00:00:00Z&created_to=2001-01-01T00:00:00Z', admin),
+          search(`?expires_from=${encodeURIComponent(new Date().toISOString())}&user=dave@domain.com`, admin),
+        ]).then(results => {
+          // Tokens created in the same second are in no particular order
+          expect(results.map(result => {
+            return result.users.sort();
+          })).toEqual([
+            ['alice@domain.com'],
+            ['alice@domain.com', 'bob@domain.com'],
+            ['dave@domain.com'],
+            ['dave@domain.com'],
+            ['bob@domain.com'],
+            ['alice@domain.com'],
+            [],
+            ['dave@domain.com'],
+          ]);
+        }).then(done, done.fail);
+      });
+
+      it('sorts and paginates tokens', (done) => {
+        search('?sort=user&order=asc&offset=1&limit=1', admin).then(result => {
+          expect(result.total).toBe(3);
+          expect(result.offset).toBe(1);
+          expect(result.limit).toBe(1);
+          expect(result.users).toEqual(['bob@domain.com']);
+        }).then(done, done.fail);
+      });
+
+      it('refuses malformed parameters', (done) => {
+        Promise.all([
+          getJson('/admin/tokens?sort=reason', admin),
+          getJson('/admin/tokens?order=up', admin),
+          getJson('/admin/tokens?limit=0', admin),
+          getJson('/admin/tokens?created_from=yesterday', admin),
+        ]).then(results => {
+          results.forEach(result => {
+            expect(result.res.statusCode).toBe(400);
+            expect(result.body).toMatch(http.STATUS_CODES[400]);
+          });
+        }).then(done, done.fail);
+      });
+
+      it('is available to roles allowed to view every token', (done) => {
+        utils.create_test_role(DB_PORT, 'auditors',
+          constants.ACL_RESOURCE_TOKENS, [constants.ACL_ACTION_VIEW], 'auditor@domain.com');
+        search('', 'auditor@domain.com').then(result => {
+          expect(result.total).toBe(3);
+        }).then(done, done.fail);
+      });
+
+      it('is not available to group managers or other users', (done) => {
+        utils.create_test_role(DB_PORT, 'group1managers',
+          `${constants.ACL_RESOURCE_GROUP_PREFIX}1`, [constants.ACL_ACTION_VIEW], 'manager@domain.com');
+        Promise.all([
+          getJson('/admin/tokens?group=1', 'manager@domain.com'),
+          getJson('/admin/tokens', 'alice@domain.com'),
+          getJson('/admin/tokens'),
+        ]).then(results => {
+          expect(results.map(result => {
+            return result.res.statusCode;
+          })).toEqual([403, 403, 401]);
+        }).then(done, done.fail);
+      });
+    });
+
+    describe('bulk revocation', () => {
+      let admin   = 'someuser@domain.com';
+      let manager = 'manager@domain.com';
+
+      // Alice and Bob are members of group 1, which the manager manages, and
+      // Dave of group 2
+      beforeEach((done) => {
+        utils.create_test_role(DB_PORT, 'group1managers',
+          `${constants.ACL_RESOURCE_GROUP_PREFIX}1`, [constants.ACL_ACTION_REVOKE], manager);
+        Promise.all([
+          insertUser(p_db, 'alice@domain.com', ['1']),
+          insertUser(p_db, 'bob@domain.com', ['1']),
+          insertUser(p_db, 'dave@domain.com', ['2']),
+        ]).then(() => {
+          return Promise.all(['alice', 'bob', 'dave'].map(name => {
+            return postJson('/createToken', `${name}@domain.com`, {});
+          }));
+        }).then(() => {
+          done();
+        }, done.fail);
+      });
+
+      let statuses = () => {
+        return p_db.then(utils.getCollection(constants.COLLECTION_TOKENS)).then(collection => {
+          return collection.find({}).toArray();
+        }).then(docs => {
+          let result = {};
+          docs.forEach(doc => {
+            result[doc.user] = doc.status;
+          });
+          return result;
+        });
+      };
+
+      it('previews the matching tokens without revoking them', (done) => {
+        postJson('/admin/tokens/revoke', admin, {group: '1', preview: true}).then(result => {
+          expect(result.res.statusCode).toBe(200);
+          let jbody = JSON.parse(result.body);
+          expect(jbody.total).toBe(2);
+          expect(jbody.tokens.map(token => {
+            return token.user;
+          }).sort()).toEqual(['alice@domain.com', 'bob@domain.com']);
+          return statuses();
+        }).then(result => {
+          expect(result['alice@domain.com']).toBe(constants.TOKEN_STATUS_VALID);
+          expect(result['bob@domain.com']).toBe(constants.TOKEN_STATUS_VALID);
+        }).then(done, done.fail);
+      });
+
+      it('revokes the previewed tokens once confirmed', (done) => {
+        let body = {group: '1', justification: 'Project closed'};
+        postJson('/admin/tokens/revoke', admin, Object.assign({expected: 3}, body)).then(result => {
+          // Fewer tokens match than were previewed, so nothing is revoked
+          expect(result.res.statusCode).toBe(409);
+          return statuses();
+        }).then(result => {
+          expect(result['alice@domain.com']).toBe(constants.TOKEN_STATUS_VALID);
+          return postJson('/admin/tokens/revoke', admin, Object.assign({expected: 2}, body));
+        }).then(result => {
+          expect(result.res.statusCode).toBe(200);
+          expect(JSON.parse(result.body)).toEqual({matched: 2, revoked: 2, changed: 0});
+          return statuses();
+        }).then(result => {
+          expect(result['alice@domain.com']).toBe(constants.TOKEN_STATUS_REVOKED);
+          expect(result['bob@domain.com']).toBe(constants.TOKEN_STATUS_REVOKED);
+          expect(result['dave@domain.com']).toBe(constants.TOKEN_STATUS_VALID);
+          return findAuditEvents(p_db, {event: constants.AUDIT_TOKENS_BULK_REVOKE}, 1);
+        }).then(events => {
+          expect(events.length).toBe(1);
+          expect(events[0].details.criteria).toEqual({group: '1'});
+          expect(events[0].details.justification).toBe('Project closed');
+        }).then(done, done.fail);
+      });
+
+      it('requires a justification to revoke', (done) => {
+        postJson('/admin/tokens/revoke', admin, {group: '1'}).then(result => {
+          expect(result.res.statusCode).toBe(400);
+          expect(result.body).toMatch(http.STATUS_CODES[400]);
+        }).then(done, done.fail);
+      });
+
+      it('refuses empty criteria', (done) => {
+        Promise.all([
+          postJson('/admin/tokens/revoke', admin, {group: '', justification: 'Empty'}),
+          postJson('/admin/tokens/revoke', admin, {user: '', group: '1', justification: 'Empty'}),
+          postJson('/admin/tokens/revoke', manager, {group: '', user: 'alice@domain.com', preview: true}),
+        ]).then(results => {
+          results.forEach(result => {
+            expect(result.res.statusCode).toBe(400);
+          });
+          return statuses();
+        }).then(result => {
+          expect(result['alice@domain.com']).toBe(constants.TOKEN_STATUS_VALID);
+        }).then(done, done.fail);
+      });
+
+      it('lets a group manager revoke the tokens of their group', (done) => {
+        postJson('/admin/tokens/revoke', manager, {group: '1', preview: true}).then(result => {
+          expect(result.res.statusCode).toBe(200);
+          expect(JSON.parse(result.body).total).toBe(2);
+          return postJson('/admin/tokens/revoke', manager, {
+            group: '1', user: 'alice@domain.com', justification: 'Left the team', expected: 1,
+          });
+        }).then(result => {
+          expect(result.res.statusCode).toBe(200);
+          expect(JSON.parse(result.body).revoked).toBe(1);
+          return statuses();
+        }).then(result => {
+          expect(result['alice@domain.com']).toBe(constants.TOKEN_STATUS_REVOKED);
+          expect(result['bob@domain.com']).toBe(constants.TOKEN_STATUS_VALID);
+        }).then(done, done.fail);
+      });
+
+      it('denies a group manager the tokens of other users', (done) => {
+        Promise.all([
+          postJson('/admin/tokens/revoke', manager, {group: '2', justification: 'Not mine'}),
+          postJson('/admin/tokens/revoke', manager, {user: 'dave@domain.com', justification: 'Not mine'}),
+          postJson('/admin/tokens/revoke', 'alice@domain.com', {group: '1', justification: 'Not mine'}),
+        ]).then(results => {
+          results.forEach(result => {
+            expect(result.res.statusCode).toBe(403);
+          });
+          return statuses();
+        }).then(result => {
+          expect(result['dave@domain.com']).toBe(constants.TOKEN_STATUS_VALID);
+          expect(result['bob@domain.com']).toBe(constants.TOKEN_STATUS_VALID);
+        }).then(done, done.fail);
+      });
+    });
+
+    describe('quotas', () => {
+      let admin      = 'someuser@domain.com';
+      let targetUser = 'anotheruser@domain.com';
+
+      // The server reads the quotas when tokens are created, from the
+      // configuration it loaded
+      let setQuota = (name, value) => {
+        require('../../lib/config').provide().set(name, value);
+      };
+
+      beforeEach((done) => {
+        setQuota('maxvalidtokens', 1);
+        insertUser(p_db, targetUser, ['1']).then(() => {
+          done();
+        }, done.fail);
+      });
+
+      afterEach(() => {
+        setQuota('maxvalidtokens', 0);
+        setQuota('maxdailytokens', 0);
+      });
+
+      it('refuses to create a token beyond the quota with a JSON error', (done) => {
+        postJson('/createToken', targetUser, {}).then(result => {
+          expect(result.res.statusCode).toBe(200);
+          return postJson('/createToken', targetUser, {});
+        }).then(result => {
+          expect(result.res.statusCode).toBe(429);
+          expect(result.res.headers['content-type']).toMatch(/^application\/json/);
+          expect(JSON.parse(result.body)).toEqual({
+            statusCode: 429,
+            error:      http.STATUS_CODES[429],
+          });
+          return p_db.then(utils.getCollection(constants.COLLECTION_TOKENS)).then(collection => {
+            return collection.count({user: targetUser});
+          });
+        }).then(count => {
+          expect(count).toBe(1);
+        }).then(done, done.fail);
+      });
+
+      it('counts tokens created in the last day', (done) => {
+        setQuota('maxvalidtokens', 0);
+        setQuota('maxdailytokens', 1);
+        postJson('/createToken', targetUser, {}).then(result => {
+          let hash = JSON.parse(result.body).hash;
+          return postJson('/revokeToken', targetUser, {hash});
+        }).then(result => {
+          expect(result.res.statusCode).toBe(200);
+          return postJson('/createToken', targetUser, {});
+        }).then(result => {
+          expect(result.res.statusCode).toBe(429);
+          expect(result.body).toMatch(http.STATUS_CODES[429]);
+        }).then(done, done.fail);
+      });
+
+      it('lets an administrator override the quota', (done) => {
+        postJson('/createToken', targetUser, {}).then(() => {
+          return postJson(`/admin/user/${targetUser}/createToken`, admin, {});
+        }).then(result => {
+          expect(result.res.statusCode).toBe(429);
+          return postJson(`/admin/user/${targetUser}/createToken`, admin, {override: true});
+        }).then(result => {
+          expect(result.res.statusCode).toBe(200);
+          return findAuditEvents(p_db, {
+            event:              constants.AUDIT_TOKEN_CREATE,
+            'details.override': true,
+          }, 1);
+        }).then(events => {
+          expect(events.length).toBe(1);
+          expect(events[0].target).toBe(targetUser);
+        }).then(done, done.fail);
+      });
+
+      it('lets only administrators override the quota', (done) => {
+        postJson(`/admin/user/${targetUser}/createToken`, targetUser, {override: true}).then(result => {
+          expect(result.res.statusCode).toBe(403);
+          expect(JSON.parse(result.body).error).toBe(http.STATUS_CODES[403]);
+        }).then(done, done.fail);
+      });
+
+      it('reports the usage of the quotas when listing tokens', (done) => {
+        setQuota('maxdailytokens', 5);
+        postJson('/createToken', targetUser, {}).then(() => {
+          return new Promise((resolve, reject) => {
+            request.get({
+              url: `http://localhost:${SERVER_PORT}/listTokens`,
+              headers: {
+                'x-remote-user': targetUser,
+              },
+            }, (err, res) => {
+              if (err) {
+                return reject(err);
+              }
+              resolve(res);
+            });
+          });
+        }).then(res => {
+          expect(res.statusCode).toBe(200);
+          expect(res.headers['x-tokens-valid']).toBe('1');
+          expect(res.headers['x-tokens-valid-limit']).toBe('1');
+          expect(res.headers['x-tokens-created']).toBe('1');
+          expect(res.headers['x-tokens-created-limit']).toBe('5');
+        }).then(done, done.fail);
+      });
+
+      it('omits the limits of quotas which are not set', (done) => {
+        setQuota('maxvalidtokens', 0);
+        request.get({
+          url: `http://localhost:${SERVER_PORT}/listTokens`,
+          headers: {
+            'x-remote-user': targetUser,
+          },
+        }, (err, res) => {
+          if (err) {
+            return done.fail(err);
+          }
+          expect(res.statusCode).toBe(200);
+          expect(res.headers['x-tokens-valid']).toBe('0');
+          expect(res.headers['x-tokens-valid-limit']).toBeUndefined();
+          expect(res.headers['x-tokens-created']).toBe('0');
+          expect(res.headers['x-tokens-created-limit']).toBeUndefined();
+          done();
+        });
+      });
+    });
+
+    describe('metrics', () => {
+      it('returns metrics in the Prometheus text format', (done) => {
+        let user = 'someuser@domain.com';
+
+        request.post({
+          url: `http://localhost:${SERVER_PORT}/admin/user/${user}/createToken`,
+          headers: {
+            'content-type': 'application/json',
+            'x-remote-user': user,
+          },
+          body: JSON.stringify({}),
+        }, (err, res) => {
+          if (err) {
+            return done.fail(err);
+          }
+          expect(res.statusCode).toBe(200);
+
+          request.get({
+            url: `http://localhost:${SERVER_PORT}/metrics`,
+            headers: {
+              'x-remote-user': user,
+            },
+          }, (err2, res2, body2) => {
+            if (err2) {
+              return done.fail(err2);
+            }
+            expect(res2.statusCode).toBe(200);
+            expect(res2.headers['content-type']).toMatch(/^text\/plain;.* version=0\.0\.4/);
+            expect(body2).toContain(
+              'sentry_http_requests_total{method="POST",' +
+              'route="/admin/user/:username/createToken",status="200"} ');
+            expect(body2).toMatch(/sentry_token_operations_total\{operation="create"\} \d+/);
+            expect(body2).toContain('sentry_tokens{state="active"} 1\n');
+            expect(body2).toMatch(/sentry_db_command_duration_seconds_count\{command="insert"\} \d+/);
+            done();
+          });
+        });
+      });
+
+      it('is not available to other users', (done) => {
+        request.get({
+          url: `http://localhost:${SERVER_PORT}/metrics`,
+          headers: {
+            'x-remote-user': 'anotheruser@domain.com',
+          },
+        }, (err, res) => {
+          if (err) {
+            return done.fail(err);
+          }
+          expect(res.statusCode).toBe(403);
+          done();
+        });
+      });
+    });
+
     describe('redirects to ensure correct url', () => {
       it('admin interface', (done) => {
         let user = 'someuser@domain.com';
@@ -0,0 +1,79 @@
+'use strict';
+
+const http = require('http');
+
+const shutdown = require('../../lib/shutdown');
+
+let BASE_PORT  = 9000;
+let PORT_RANGE = 200;
+let PORT = Math.floor(Math.random() * PORT_RANGE) + BASE_PORT;
+
+describe('shutdown', function() {
+  let server;
+  let connections;
+  let agent;
+  let finishRequest;
+
+  beforeEach(function(done) {
+    server = http.createServer(function(req, res) {
+      if (req.url === '/slow') {
+        finishRequest = function() {
+          res.end('slow');
+        };
+      } else {
+        res.end('fast');
+      }
+    });
+    connections = shutdown.track(server);
+    agent = new http.Agent({keepAlive: true});
+    server.listen(PORT, done);
+  });
+
+  afterEach(function() {
+    agent.destroy();
+  });
+
+  let get = function(path, callback) {
+    http.get({port: PORT, path, agent}, function(res) {
+      let body = '';
+      res.on('data', function(chunk) {
+        body += chunk;
+      });
+      res.on('end', function() {
+        callback(body);
+      });
+    });
+  };
+
+  it('closes idle keep-alive connections', function(done) {
+    get('/', function(body) {
+      expect(body).toBe('fast');
+      // the agent keeps the connection open
+      connections.close().then(done, done.fail);
+    });
+  });
+
+  it('finishes requests in progress before closing', function(done) {
+    let closed = false;
+    get('/slow', function(body) {
+      expect(body).toBe('slow');
+      expect(closed).toBe(false);
+    });
+    setTimeout(function() {
+      connections.close().then(function() {
+        closed = true;
+        done();
+      }, done.fail);
+      setTimeout(finishRequest, 100);
+    }, 100);
+  });
+
+  it('accepts no new connections', function(done) {
+    connections.close().then(function() {
+      http.get({port: PORT, path: '/'}).on('error', function(err) {
+        expect(err.code).toBe('ECONNREFUSED');
+        done();
+      });
+    }, done.fail);
+  });
+});
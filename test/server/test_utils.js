@@ -47,6 +47,35 @@ let drop_database = ( port ) => {
   console.log('\nDropped all collections from MongoDB');
 };
 
+/**
+ * Start a temporary PostgreSQL server with a cluster in tmpdir, listening in
+ * port, and create its schema. Requires initdb and pg_ctl on the PATH.
+ * @param  {String} tmpdir Path to use for the cluster and socket
+ * @param  {Number} port   Port where to listen
+ */
+let start_postgres = ( tmpdir, port ) => {
+  let pgdata = `${tmpdir}/pgdata`;
+  console.log(`\nStarting PostgreSQL in ${pgdata} on port ${port}`);
+  child.execSync(`initdb -D ${pgdata} -U postgres -A trust`);
+  child.execSync(
+    `pg_ctl -D ${pgdata} -l ${tmpdir}/test_pg.log -w ` +
+    `-o "-p ${port} -k ${tmpdir} -c listen_addresses=127.0.0.1" start`
+  );
+  child.execSync(
+    `./scripts/pg-migrate.js --pgurl 'postgresql://postgres@127.0.0.1:${port}/postgres'`
+  );
+  console.log('PostgreSQL started');
+};
+
+/**
+ * Stop PostgreSQL server with a cluster in tmpdir
+ * @param  {String} tmpdir Path given to start_postgres
+ */
+let stop_postgres = ( tmpdir ) => {
+  child.execSync(`pg_ctl -D ${tmpdir}/pgdata -m fast -w stop`);
+  console.log('\nPostgreSQL has been switched off');
+};
+
 /**
  * Invokes the create-admin script.
  * @param  {Number} port Port where database is listening
@@ -70,6 +99,31 @@ let create_test_acls = (port, username, permissions) => {
   );
 };
 
+/**
+ * Invokes the create-admin script to give a user a delegated role.
+ * @param  {Number} port Port where database is listening
+ * @param  {String} role Role to create
+ * @param  {String} resource Resource the permissions are on
+ * @param  {String[]} permissions Array of permissions for the role
+ * @param  {String} username User to add to the role
+ */
+let create_test_role = (port, role, resource, permissions, username) => {
+  for (let perm of permissions) {
+    child.execSync(
+      './scripts/create-admin.js' +
+      ` --mongourl 'mongodb://localhost:${port}/test'` +
+      ` --type "role" --role "${role}" --resource "${resource}"` +
+      ` --permission "${perm}"`
+    );
+  }
+  child.execSync(
+    './scripts/create-admin.js' +
+    ` --mongourl 'mongodb://localhost:${port}/test'` +
+    ` --type "user" --role "${role}"` +
+    ` --username "${username}"`
+  );
+};
+
 /**
  * Creates a self signed certificate and saves the certificate and its key to
  * the path provided.
@@ -195,8 +249,11 @@ module.exports = {
   create_certificates,
   create_self_signed_cert,
   create_test_acls,
+  create_test_role,
   getCollection,
   start_database,
+  start_postgres,
   stop_database,
+  stop_postgres,
   drop_database,
 };
@@ -0,0 +1,52 @@
+'use strict';
+
+const crypto = require('crypto');
+
+let config = require('../../lib/config');
+
+const tokenHash = require('../../lib/token_hash');
+
+describe('token_hash', function() {
+
+  describe('hashToken', function() {
+    beforeAll(function() {
+      config.provide(() => {return {tokensecret: 'test secret'};});
+    });
+
+    it('produces the HMAC of the token', function() {
+      let token = 'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA';
+      let expected = crypto.createHmac('sha256', 'test secret')
+        .update(token)
+        .digest('hex');
+      expect(tokenHash.hashToken(token)).toBe(expected);
+    });
+
+    it('does not return the plaintext token', function() {
+      let token = 'BBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBB';
+      let hash = tokenHash.hashToken(token);
+      expect(hash).not.toMatch(token);
+      expect(hash).toMatch(/^[a-f0-9]{64}$/);
+    });
+
+    it('depends on the secret', function() {
+      let token = 'CCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCC';
+      let hash1 = tokenHash.hashToken(token);
+      config.provide(() => {return {tokensecret: 'another secret'};});
+      let hash2 = tokenHash.hashToken(token);
+      config.provide(() => {return {tokensecret: 'test secret'};});
+      expect(hash1).not.toBe(hash2);
+    });
+  });
+
+  describe('hashToken without a secret', function() {
+    beforeAll(function() {
+      config.provide(() => {return {};});
+    });
+
+    it('throws', function() {
+      expect(function() {
+        tokenHash.hashToken('DDDDDDDDDDDDDDDDDDDDDDDDDDDDDDDD');
+      }).toThrowError(/tokensecret is not defined/);
+    });
+  });
+});
@@ -0,0 +1,137 @@
+'use strict';
+
+const decache = require('decache');
+
+let config = require('../../lib/config');
+
+describe('user_import', function() {
+  let storage;
+  let userImport;
+
+  beforeAll(function() {
+    decache('../../lib/storage');
+    decache('../../lib/user_import');
+    // Decaching also unloads the config the modules will use
+    config = require('../../lib/config');
+    config.provide(() => {
+      return {tokensecret: 'test secret', storage: 'memory'};
+    });
+    storage = require('../../lib/storage');
+    userImport = require('../../lib/user_import');
+  });
+
+  describe('parse', function() {
+    it('parses JSON lines, ignoring blank lines', function() {
+      let records = userImport.parse(
+        '{"user":"alice","groups":["a","b"],"current":true,"last_modified":"2017-06-01"}\n' +
+        '\n' +
+        '{"user":"bob","groups":[]}\n'
+      );
+      expect(records).toEqual([
+        {user: 'alice', groups: ['a', 'b'], current: true, last_modified: '2017-06-01'},
+        {user: 'bob', groups: []},
+      ]);
+    });
+
+    it('accepts records which are already parsed', function() {
+      expect(userImport.parse([{user: 'alice', groups: ['a']}]))
+        .toEqual([{user: 'alice', groups: ['a']}]);
+    });
+
+    it('rejects invalid lines, with the number of the line', function() {
+      [
+        ['{"user":"alice","groups":[]}\nnot json', /^line 2: /],
+        ['{"groups":[]}', /^line 1: user must be a non-empty string/],
+        ['{"user":"alice","groups":"a"}', /^line 1: groups must be an Array/],
+        ['{"user":"alice","groups":[1]}', /^line 1: groups entry must be a string/],
+        ['{"user":"alice","groups":[],"current":"yes"}', /^line 1: current must be a Boolean/],
+        ['{"user":"alice","groups":[]}\n{"user":"alice","groups":[]}',
+         /^line 2: user alice is repeated/],
+      ].forEach(function(example) {
+        let err;
+        try {
+          userImport.parse(example[0]);
+        } catch (e) {
+          err = e;
+        }
+        expect(err instanceof Error).toBe(true);
+        expect(err.message).toMatch(example[1]);
+        expect(err.statusCode).toBe(400);
+      });
+    });
+  });
+
+  describe('run', function() {
+    beforeEach(function(done) {
+      let backend = storage.provide();
+      backend.clear();
+      Promise.all([
+        backend.saveUser({user: 'alice', groups: ['a', 'b'], current: true,
+                          last_modified: '2017-01-01T00:00:00Z'}),
+        backend.saveUser({user: 'bob', groups: ['a'], current: true,
+                          last_modified: '2017-01-01T00:00:00Z'}),
+        backend.saveUser({user: 'carol', groups: [], current: false,
+                          last_modified: '2017-01-01T00:00:00Z'}),
+      ]).then(done, done.fail);
+    });
+
+    let findUsers = function() {
+      return storage.provide().listUsers().then(function(docs) {
+        let users = {};
+        docs.forEach(function(doc) {
+          users[doc.user] = doc;
+        });
+        return users;
+      });
+    };
+
+    it('adds, changes and removes users, reporting the differences', function(done) {
+      userImport.run([
+        {user: 'alice', groups: ['b', 'c'], current: true, last_modified: '2017-06-01T00:00:00Z'},
+        {user: 'dave', groups: ['a']},
+      ]).then(function(summary) {
+        expect(summary).toEqual({
+          added:     ['dave'],
+          removed:   ['bob'],
+          changed:   [
+            {user: 'alice', added: ['c'], removed: ['a']},
+            {user: 'dave', added: ['a'], removed: []},
+            {user: 'bob', added: [], removed: ['a']},
+          ],
+          unchanged: 1,
+        });
+        return findUsers();
+      }).then(function(users) {
+        expect(users.alice.groups).toEqual(['b', 'c']);
+        expect(users.alice.last_modified).toBe('2017-06-01T00:00:00Z');
+        expect(users.dave.current).toBe(true);
+        expect(users.bob.current).toBe(false);
+        expect(users.bob.groups).toEqual([]);
+        expect(users.bob.last_modified).not.toBe('2017-01-01T00:00:00Z');
+        expect(users.carol.last_modified).toBe('2017-01-01T00:00:00Z');
+      }).then(done, done.fail);
+    });
+
+    it('does not store users who have not changed', function(done) {
+      userImport.run([
+        {user: 'alice', groups: ['b', 'a'], current: true, last_modified: '2017-06-01T00:00:00Z'},
+        {user: 'bob', groups: ['a'], current: true, last_modified: '2017-06-01T00:00:00Z'},
+      ]).then(function(summary) {
+        expect(summary).toEqual({added: [], removed: [], changed: [], unchanged: 3});
+        return findUsers();
+      }).then(function(users) {
+        expect(users.alice.last_modified).toBe('2017-01-01T00:00:00Z');
+      }).then(done, done.fail);
+    });
+
+    it('only reports the differences in a dry run', function(done) {
+      userImport.run([], {dryRun: true}).then(function(summary) {
+        expect(summary.removed).toEqual(['alice', 'bob']);
+        return findUsers();
+      }).then(function(users) {
+        expect(users.alice.current).toBe(true);
+        expect(users.bob.current).toBe(true);
+      }).then(done, done.fail);
+    });
+  });
+});